@@ -0,0 +1,10 @@
+// evaluation-worker.mjs
+// worker_threads entry for EvaluationPool (see js/evaluation-pool.js).
+// Receives evaluation jobs, runs them headless and posts the reports back.
+
+import { parentPort } from 'node:worker_threads';
+import { runEvaluationJob } from '../js/headless.js';
+
+parentPort.on('message', (job) => {
+  parentPort.postMessage(runEvaluationJob(job));
+});
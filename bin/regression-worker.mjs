@@ -0,0 +1,11 @@
+// regression-worker.mjs
+// worker_threads entry for bin/regression.mjs --worker. Runs the
+// scenarios it receives (see js/regression.js) and posts their checksums
+// back, so the harness can compare them with a main-thread run.
+
+import { parentPort } from 'node:worker_threads';
+import { runScenario } from '../js/regression.js';
+
+parentPort.on('message', (scenario) => {
+  parentPort.postMessage(runScenario(scenario));
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// regression.mjs
+// Determinism regression harness. Runs the reference scenarios of
+// js/regression.js, checksums the world after every physics step and
+// compares the checksums with the golden values stored next to this
+// script. For every scenario that differs it reports the first divergent
+// step. With --worker each scenario is also run in a worker thread and
+// compared with the main-thread run, the way turbo mode and --workers
+// evaluate cars. Exits with status 1 when anything diverges.
+//
+// Usage:
+//   node bin/regression.mjs
+//   node bin/regression.mjs --worker
+//   node bin/regression.mjs --update            (after an intended change)
+//   node bin/regression.mjs --scenario default-car
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { Worker } from 'node:worker_threads';
+import { REFERENCE_SCENARIOS, runScenario, firstDivergence } from '../js/regression.js';
+
+const GOLDEN_FILE = new URL('./regression-golden.json', import.meta.url);
+const GOLDEN_VERSION = 1;
+
+const USAGE = `Usage: node bin/regression.mjs [options]
+
+Options:
+  --scenario <name>     run only this scenario (may be repeated)
+  --worker              also run every scenario in a worker thread and
+                        compare it with the main-thread run
+  --update              store the current checksums as the golden values
+  -h, --help            show this help
+
+Scenarios: ${REFERENCE_SCENARIOS.map((s) => s.name).join(', ')}`;
+
+function fail(message) {
+  process.stderr.write(`regression: ${message}\n\n${USAGE}\n`);
+  process.exit(1);
+}
+
+function readGolden() {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(GOLDEN_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    fail(`cannot read golden checksums: ${err.message}`);
+  }
+  if (data.version !== GOLDEN_VERSION) {
+    fail(`golden checksums have version ${data.version}, expected ${GOLDEN_VERSION}; run with --update`);
+  }
+  return data.scenarios;
+}
+
+// Run one scenario in a fresh worker thread.
+function runInWorker(scenario) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./regression-worker.mjs', import.meta.url));
+    worker.once('message', (checksums) => {
+      worker.terminate();
+      resolve(checksums);
+    });
+    worker.once('error', reject);
+    worker.postMessage(scenario);
+  });
+}
+
+function describe(divergence) {
+  const { step, expected, actual } = divergence;
+  return `first divergence at step ${step}: expected ${expected ?? '(run ended)'}, got ${actual ?? '(run ended)'}`;
+}
+
+const { values } = parseArgs({
+  options: {
+    scenario: { type: 'string', multiple: true },
+    worker: { type: 'boolean', default: false },
+    update: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+});
+
+if (values.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+
+let scenarios = REFERENCE_SCENARIOS;
+if (values.scenario) {
+  const unknown = values.scenario.filter((name) => !REFERENCE_SCENARIOS.some((s) => s.name === name));
+  if (unknown.length) fail(`unknown scenario ${unknown.join(', ')}`);
+  scenarios = REFERENCE_SCENARIOS.filter((s) => values.scenario.includes(s.name));
+}
+
+const golden = readGolden();
+let failures = 0;
+for (const scenario of scenarios) {
+  const checksums = runScenario(scenario);
+  const problems = [];
+
+  if (values.update) {
+    golden[scenario.name] = checksums;
+  } else if (!golden[scenario.name]) {
+    problems.push('no golden checksums (run with --update)');
+  } else {
+    const divergence = firstDivergence(golden[scenario.name], checksums);
+    if (divergence) problems.push(`golden ${describe(divergence)}`);
+  }
+
+  if (values.worker) {
+    const divergence = firstDivergence(checksums, await runInWorker(scenario));
+    if (divergence) problems.push(`worker ${describe(divergence)}`);
+  }
+
+  if (problems.length) failures += 1;
+  const status = problems.length ? 'FAIL' : values.update ? 'updated' : 'ok';
+  process.stdout.write(`${status} ${scenario.name} (${checksums.length} steps)\n`);
+  for (const problem of problems) process.stdout.write(`  ${problem}\n`);
+}
+
+if (values.update) {
+  const scenariosByName = Object.fromEntries(
+    Object.entries(golden).filter(([name]) => REFERENCE_SCENARIOS.some((s) => s.name === name)),
+  );
+  writeFileSync(GOLDEN_FILE, `${JSON.stringify({ version: GOLDEN_VERSION, scenarios: scenariosByName })}\n`);
+}
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// simulate.mjs
+// Headless simulation CLI. Loads a genome or a population from a JSON
+// file (or generates a seeded random population), runs every car through
+// the fixed-timestep physics at full speed and prints the fitness
+// reports as JSON on stdout. With --generations it keeps evolving the
+// population, which is how long evolution batches are run on a server.
+//
+// Usage:
+//   node bin/simulate.mjs genome.json
+//   node bin/simulate.mjs population.json --generations 50 --seed 7
+//   node bin/simulate.mjs --random 20 --seed 7 --time-limit 30
+//   node bin/simulate.mjs --random 200 --workers 4
+//   node bin/simulate.mjs --random 20 --brains --generations 30
+//   node bin/simulate.mjs --random 40 --generations 50 --islands 4 --selection rank
+//   node bin/simulate.mjs --random 20 --generations 30 --objective pareto --fuel 5000
+//   node bin/simulate.mjs --random 20 --generations 30 --stats-csv stats.csv --lineage-csv lineage.csv
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { availableParallelism } from 'node:os';
+import { parseArgs } from 'node:util';
+import { Worker } from 'node:worker_threads';
+import { simulatePopulation } from '../js/headless.js';
+import { EvaluationPool } from '../js/evaluation-pool.js';
+import { parseSave } from '../js/storage.js';
+import { createEvolution } from '../js/islands.js';
+import { SELECTION_STRATEGIES } from '../js/selection.js';
+import { SELECTION_OBJECTIVES, paretoRanking, rankGroups, selectionScores } from '../js/pareto.js';
+import { generationStats, statsToCSV } from '../js/lineage.js';
+import { randomGenome } from '../js/genome.js';
+import { createRng } from '../js/random.js';
+import { generateTerrain, generationTerrainSeed, islandTerrainSeed } from '../js/terrain.js';
+
+const USAGE = `Usage: node bin/simulate.mjs [file] [options]
+
+  file                  saved car, population or run (see js/storage.js), or a
+                        plain JSON genome, array of genomes or { population: [...] }
+
+Options:
+  --random <n>          simulate <n> random genomes instead of a file
+  --seed <seed>         seed for --random and --generations (default 1)
+  --generations <n>     evolve the population for <n> generations
+  --time-limit <s>      simulated seconds per car (default 60)
+  --terrain-seed <seed> seed of the track (default 1)
+  --fresh-tracks        drive a new track every generation
+  --endless             drive an endless streamed track (runs end by time limit)
+  --brains              drive with evolved neural controllers (random genomes get
+                        one, and so does every genome of an evolved population)
+  --selection <name>    parent selection: ${Object.keys(SELECTION_STRATEGIES).join(', ')}
+                        (default tournament)
+  --tournament-size <n> entrants per selection tournament (default 3)
+  --objective <name>    what evolution breeds for: ${SELECTION_OBJECTIVES.join(', ')} (distance,
+                        energy used and mass at once); default distance
+  --fuel <joules>       energy each car's motors may use before its run ends
+                        (default unlimited)
+  --islands <n>         split the population into <n> islands, each evolving on its
+                        own track and passing its best cars on (default 1)
+  --migration-interval <n>  generations between island migrations (default 5)
+  --migration-count <n> cars each island passes on per migration (default 2)
+  --stats-csv <file>    with --generations: write per-generation statistics (fitness,
+                        diversity, wheel counts) as CSV
+  --lineage-csv <file>  with --generations: write every genome's parents, breeding
+                        operation, mutations and fitness as CSV
+  --workers <n|auto>    evaluate in <n> worker threads (default: none)
+  --pretty              indent the JSON output
+  -h, --help            show this help`;
+
+function fail(message) {
+  process.stderr.write(`simulate: ${message}\n\n${USAGE}\n`);
+  process.exit(1);
+}
+
+function parseCount(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) fail(`${name} must be a positive integer, got "${value}"`);
+  return n;
+}
+
+function loadGenomes(file) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    fail(`cannot read ${file}: ${err.message}`);
+  }
+  if (data && data.format !== undefined) {
+    // Versioned save written by the page or by storage.js.
+    let save;
+    try {
+      save = parseSave(data);
+    } catch (err) {
+      fail(`${file}: ${err.message}`);
+    }
+    if (save.kind === 'genome') return [save.genome];
+    if (save.kind === 'population') return save.population;
+    return save.run.evolution.population;
+  }
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.population)) return data.population;
+  if (data && data.chassis) return [data];
+  fail(`${file} does not contain a genome or a population`);
+}
+
+// Worker handle for EvaluationPool backed by worker_threads.
+function createNodeWorker() {
+  const worker = new Worker(new URL('./evaluation-worker.mjs', import.meta.url));
+  return {
+    postMessage: (message) => worker.postMessage(message),
+    onMessage: (handler) => worker.on('message', handler),
+    onError: (handler) => worker.on('error', handler),
+    onExit: (handler) => worker.on('exit', handler),
+    terminate: () => worker.terminate(),
+  };
+}
+
+function summarize(reports) {
+  const fitnesses = reports.map((r) => r.fitness);
+  return {
+    best: Math.max(...fitnesses),
+    mean: fitnesses.reduce((s, f) => s + f, 0) / fitnesses.length,
+  };
+}
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    random: { type: 'string' },
+    seed: { type: 'string', default: '1' },
+    generations: { type: 'string' },
+    'time-limit': { type: 'string' },
+    'terrain-seed': { type: 'string', default: '1' },
+    'fresh-tracks': { type: 'boolean', default: false },
+    endless: { type: 'boolean', default: false },
+    brains: { type: 'boolean', default: false },
+    selection: { type: 'string', default: 'tournament' },
+    'tournament-size': { type: 'string' },
+    objective: { type: 'string', default: 'distance' },
+    fuel: { type: 'string' },
+    islands: { type: 'string', default: '1' },
+    'migration-interval': { type: 'string' },
+    'migration-count': { type: 'string' },
+    'stats-csv': { type: 'string' },
+    'lineage-csv': { type: 'string' },
+    workers: { type: 'string' },
+    pretty: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+});
+
+if (values.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+
+const seed = values.seed;
+let genomes;
+if (values.random !== undefined) {
+  const rng = createRng(seed);
+  genomes = Array.from(
+    { length: parseCount(values.random, '--random') },
+    () => randomGenome(rng, { brain: values.brains }),
+  );
+} else if (positionals.length === 1) {
+  genomes = loadGenomes(positionals[0]);
+} else {
+  fail('expected exactly one input file or --random <n>');
+}
+
+const simOptions = {};
+if (values['time-limit'] !== undefined) {
+  const timeLimit = Number(values['time-limit']);
+  if (!(timeLimit > 0)) fail(`--time-limit must be a positive number, got "${values['time-limit']}"`);
+  simOptions.evaluation = { timeLimit };
+}
+if (values.fuel !== undefined) {
+  const fuel = Number(values.fuel);
+  if (!(fuel > 0)) fail(`--fuel must be a positive number, got "${values.fuel}"`);
+  simOptions.evaluation = { ...simOptions.evaluation, fuel };
+}
+const pareto = values.objective === 'pareto';
+if ((values['stats-csv'] ?? values['lineage-csv']) !== undefined && values.generations === undefined) {
+  fail('--stats-csv and --lineage-csv need --generations');
+}
+
+let pool = null;
+if (values.workers !== undefined) {
+  const size = values.workers === 'auto'
+    ? Math.max(1, availableParallelism() - 1)
+    : parseCount(values.workers, '--workers');
+  pool = new EvaluationPool({ size, createWorker: createNodeWorker });
+}
+const evaluate = (population, options) => (
+  pool ? pool.evaluate(population, options) : simulatePopulation(population, options)
+);
+
+const trackFor = (generation, island = null) => {
+  let terrainSeed = generationTerrainSeed(values['terrain-seed'], generation, values['fresh-tracks']);
+  if (island !== null) terrainSeed = islandTerrainSeed(terrainSeed, island);
+  return generateTerrain({ seed: terrainSeed, streaming: values.endless });
+};
+
+// Evaluate a run's population, each island on its own track.
+const evaluateRun = async (run) => {
+  if (!run.islands) return evaluate(run.population, { ...simOptions, terrain: trackFor(run.generation) });
+  const reports = [];
+  for (const [index, island] of run.islands.entries()) {
+    const terrain = trackFor(run.generation, index);
+    reports.push(...await evaluate(island.population, { ...simOptions, terrain }));
+  }
+  return reports;
+};
+
+let output;
+if (values.generations === undefined) {
+  const reports = await evaluate(genomes, { ...simOptions, terrain: trackFor(0) });
+  output = { seed, results: reports.map((report, index) => ({ index, ...report })) };
+} else {
+  const generations = parseCount(values.generations, '--generations');
+  const islands = parseCount(values.islands, '--islands');
+  const evolutionOptions = {
+    seed,
+    population: genomes,
+    populationSize: Math.max(2, Math.ceil(genomes.length / islands)),
+    brains: values.brains,
+    selection: values.selection,
+    islands,
+    objective: values.objective,
+  };
+  if (values['tournament-size'] !== undefined) {
+    evolutionOptions.tournamentSize = parseCount(values['tournament-size'], '--tournament-size');
+  }
+  if (values['migration-interval'] !== undefined) {
+    evolutionOptions.migrationInterval = parseCount(values['migration-interval'], '--migration-interval');
+  }
+  if (values['migration-count'] !== undefined) {
+    evolutionOptions.migrationCount = parseCount(values['migration-count'], '--migration-count');
+  }
+  let evolution;
+  try {
+    evolution = createEvolution(evolutionOptions);
+  } catch (err) {
+    fail(err.message);
+  }
+  // --lineage-csv writes every genome, so keep them all.
+  if (values['lineage-csv'] !== undefined) evolution.lineage.options.depth = Infinity;
+  // Islands are ranked apart: each has a Pareto front of its own.
+  const groups = (evolution.islands ?? [evolution]).map((group) => group.population.length);
+  const rankFronts = (reports) => rankGroups(reports, groups, (group) => paretoRanking(group));
+  const history = [];
+  let reports;
+  for (;;) {
+    reports = await evaluateRun(evolution);
+    const stats = { generation: evolution.generation, ...summarize(reports) };
+    if (pareto) stats.front = rankFronts(reports).filter((r) => r.rank === 0).length;
+    history.push(stats);
+    const front = pareto ? ` front ${stats.front}` : '';
+    process.stderr.write(`generation ${stats.generation}: best ${stats.best.toFixed(2)} mean ${stats.mean.toFixed(2)}${front}\n`);
+    if (evolution.generation + 1 >= generations) break;
+    evolution.evolve(selectionScores(reports, evolution.options.objective, groups), reports.map((r) => r.fitness));
+  }
+  // The last generation is scored but not bred: record it as well.
+  const { lineage } = evolution;
+  const fitnesses = reports.map((r) => r.fitness);
+  evolution.ids.forEach((id, i) => lineage.setFitness(id, fitnesses[i]));
+  const statistics = [...lineage.generations, generationStats(evolution.generation, evolution.population, fitnesses)];
+  if (values['stats-csv'] !== undefined) writeFileSync(values['stats-csv'], statsToCSV(statistics));
+  if (values['lineage-csv'] !== undefined) writeFileSync(values['lineage-csv'], lineage.toCSV());
+  if (pareto) {
+    const ranking = rankFronts(reports);
+    reports = reports.map((report, i) => ({ ...report, paretoRank: ranking[i].rank }));
+  }
+  output = {
+    seed,
+    settings: { islands: 1, ...evolution.options },
+    generations: history,
+    population: evolution.population,
+    results: reports.map((report, index) => ({ index, ...report })),
+  };
+}
+
+if (pool) pool.terminate();
+process.stdout.write(`${JSON.stringify(output, null, values.pretty ? 2 : 0)}\n`);
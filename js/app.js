@@ -1,14 +1,59 @@
 // app.js
 // Entry point for the car simulation. This module wires together the
-// world creation, rendering and control systems. It implements a
-// fixed-timestep simulation loop with an accumulator so physics runs
-// deterministically regardless of frame rate. The renderer keeps the
-// camera smoothly following the car and supports pausing, resetting and
-// zooming via keyboard controls.
+// world creation, evolution, rendering and control systems. Every car of
+// the current generation drives at the same time in one world; when all
+// of them have been eliminated the generation is scored and bred into
+// the next one. It implements a fixed-timestep simulation loop with an
+// accumulator (see clock.js) so physics runs deterministically regardless
+// of frame rate, at a selectable speed from 0.25x to 16x or as fast as
+// the frame budget allows, and can be stepped frame by frame while
+// paused. The renderer interpolates between physics steps, keeps the
+// camera smoothly following the leading car and draws a HUD with live
+// stats and a fitness-per-generation chart.
+// Keyboard controls pause, reset, zoom and run a turbo mode that evolves
+// several generations in background workers. Every generation is recorded
+// as it runs, so the last one can be replayed (or exported and replayed in
+// a later session) from the replay panel. Manual mode puts the best car on
+// the current track alone and lets the arrow/WASD keys drive it.
+// In an island-model run (islands.js) the islands of a generation drive
+// one after another, each on its own track. Cars are bred for distance,
+// or for distance, energy used and mass at once (pareto.js); the P key
+// shows the last generation's Pareto front. The lineage panel exports
+// the run's history and shows the best car's family tree (lineage.js).
+// The car designer (designer.js) edits a car by hand on the canvas while
+// the evolution waits; the design can be test driven or added to the
+// population along with a few mutants of it.
+// Physics and camera settings (config.js) come from the URL's query
+// parameters and can be edited in the settings panel, which writes them
+// back to the URL; physics changes restart the current generation in a
+// fresh world.
 
-import { createWorld, stepWorld } from './world.js';
+import { createWorld, createGenerationWorld, stepWorld } from './world.js';
+import { createDefaultGenome } from './genome.js';
+import { eliminateCar } from './car.js';
+import { createEvolution, restoreEvolution } from './islands.js';
+import { FitnessEvaluator } from './fitness.js';
+import { EvaluationPool, createBrowserWorker } from './evaluation-pool.js';
+import { generateTerrain, generationTerrainSeed, islandTerrainSeed } from './terrain.js';
+import { Recorder, Replay, decodeRecording } from './recording.js';
 import { Renderer } from './render.js';
-import { setupControls } from './controls.js';
+import { Hud } from './hud.js';
+import { ManualDriver } from './driver.js';
+import { DamageModel } from './damage.js';
+import { setupControls, setupPointerControls, trackDriveKeys } from './controls.js';
+import { SimulationClock } from './clock.js';
+import {
+  createGenomeSave, createPopulationSave, createRunSave, createRecordingSave,
+  saveCheckpoint, loadCheckpoint, clearCheckpoint,
+} from './storage.js';
+import { setupSavePanel } from './save-panel.js';
+import { setupReplayPanel } from './replay-panel.js';
+import { setupSettingsPanel } from './settings-panel.js';
+import { setupLineagePanel } from './lineage-panel.js';
+import { setupDesignerPanel } from './designer-panel.js';
+import { CarDesigner } from './designer.js';
+import { configFromQuery, configToQuery, needsRebuild, evaluationOptions } from './config.js';
+import { paretoRanking, rankGroups, selectionScores } from './pareto.js';
 
 // Retrieve the canvas from the DOM. The HTML file should contain a
 // <canvas id="gameCanvas"> element sized appropriately. If it is not
@@ -18,24 +63,558 @@ if (!canvas) {
   throw new Error('Unable to find canvas with id "gameCanvas"');
 }
 
-// Create initial world and renderer. We store these in outer scope so
-// they can be replaced when resetting the simulation.
-let simulation = createWorld();
+// Simulation settings (see config.js), read from the page URL so a
+// shared link reproduces them.
+let config = readConfig();
+
+// Evolution settings. The seeds make every run reproducible. Set
+// `brains` to evolve a neural driving controller (controller.js) along
+// with every car's body, `selection` to pick another parent selection
+// strategy (selection.js) and `islands` above 1 to split the population
+// into islands that drive different tracks and exchange their best cars
+// (islands.js). Set `objective` to 'pareto' to breed cars that are far,
+// frugal and light at once (pareto.js); a fuel budget is a setting
+// (config.js).
+const EVOLUTION_OPTIONS = {
+  seed: 1,
+  populationSize: 20,
+  brains: false,
+  selection: 'tournament',
+  islands: 1,
+  objective: 'distance',
+};
+// Endless track streamed around the lead car, so good cars never run out
+// of ground.
+const TERRAIN_OPTIONS = { seed: 1, streaming: true };
+// Give every generation a new track so designs do not overfit one.
+const FRESH_TRACK_EACH_GENERATION = false;
+// Generations evaluated in background workers per turbo request.
+const TURBO_GENERATIONS = 10;
+// Mutated copies of a designed car added to the population with it.
+const DESIGN_MUTANTS = 3;
+
+// Terrain settings of the current run. Loaded runs bring their own.
+let terrainSettings = { options: { ...TERRAIN_OPTIONS }, fresh: FRESH_TRACK_EACH_GENERATION };
+
+/**
+ * Read the settings from the URL query, warning about (and dropping)
+ * invalid ones.
+ * @returns {Object} configuration (see `normalizeConfig` in config.js).
+ */
+function readConfig() {
+  const { config: fromUrl, errors } = configFromQuery(window.location.search);
+  for (const err of errors) {
+    console.warn(`[config] ignoring URL setting: ${err.message}`);
+  }
+  return fromUrl;
+}
+
+/**
+ * Generate the track all cars of a generation (or of one island of it)
+ * are evaluated on.
+ * @param {number} generation Generation number.
+ * @param {?number} [island=null] Island index in an island-model run.
+ * @returns {Object} track from `generateTerrain`.
+ */
+function trackForGeneration(generation, island = null) {
+  const { options, fresh } = terrainSettings;
+  let seed = generationTerrainSeed(options.seed, generation, fresh);
+  if (island !== null) seed = islandTerrainSeed(seed, island);
+  return generateTerrain({ ...options, seed });
+}
+
+/**
+ * The separately evaluated groups of a run: its islands, or the run itself.
+ * @param {Object} run `Evolution` or `IslandEvolution`.
+ * @returns {Object[]} objects with a `population`.
+ */
+function islandsOf(run) {
+  return run.islands ?? [run];
+}
+
+/**
+ * Resume the checkpointed run if there is one, else start a new run.
+ * @returns {Evolution|IslandEvolution}
+ */
+function restoreOrCreateEvolution() {
+  const checkpoint = loadCheckpoint();
+  if (checkpoint && checkpoint.kind === 'run') {
+    try {
+      const evolution = restoreEvolution(checkpoint.run.evolution);
+      terrainSettings = checkpoint.run.terrain;
+      return evolution;
+    } catch (err) {
+      console.warn(`[storage] ignoring checkpoint: ${err.message}`);
+    }
+  }
+  return createEvolution(EVOLUTION_OPTIONS);
+}
+
+// Create the evolution, the first generation's world and the renderer.
+// We store these in outer scope so they can be replaced when moving on to
+// the next generation or resetting the simulation.
+let evolution = restoreOrCreateEvolution();
+// Island of the current generation being simulated (always 0 without
+// islands) and the fitness reports of the islands before it.
+let island = 0;
+let islandReports = [];
+// Best car of the last finished generation: { genome, id, fitness, generation },
+// `id` being its lineage id (see lineage.js).
+let champion = null;
+let simulation = createGenerationWorld(islandsOf(evolution)[island].population, {
+  terrain: currentTrack(),
+  physics: config,
+});
 let world = simulation.world;
-let car = simulation.car;
-let renderer = new Renderer(canvas, world, car);
+let evaluators = createEvaluators();
+const hud = new Hud({ showPareto: evolution.options.objective === 'pareto' });
+const renderer = new Renderer(canvas, world, simulation.vehicles[0].chassis, {
+  hud,
+  minZoom: config.minZoom,
+  maxZoom: config.maxZoom,
+  damping: config.cameraDamping,
+});
+renderer.followLeader(simulation.vehicles);
 
 // Simulation state variables
-let paused = false;
-let accumulator = 0;
-const fixedTimeStep = 1 / 60; // 60 Hz physics
+let fixedTimeStep = config.timeStep; // changed only together with a new world
+const clock = new SimulationClock({ timeStep: fixedTimeStep });
 let lastTimestamp = null;
+let pool = null;              // created on first turbo request
+let turboRunning = false;     // live simulation waits while workers evolve
+
+// Recording of the generation being simulated, the last finished one
+// ({ recording, meta }) and the replay being watched (null when live).
+let recorder = new Recorder(world, { timeStep: fixedTimeStep, vehicles: simulation.vehicles });
+let lastRecording = null;
+let replay = null;
+let replayMeta = null;
+
+// Manual test drive ({ genome, world, vehicle, driver, damage, time }), or null
+// while evolving. The evolution waits where it was meanwhile.
+let manual = null;
+const driveInput = trackDriveKeys(() => manual !== null);
+
+// Car designer, created when first opened and kept with its design after
+// closing, and whether it is open. The evolution waits meanwhile.
+let designer = null;
+let designing = false;
+// Zoom the designer opens at, and how close (CSS pixels) a pointer must
+// come to one of its handles to pick it up.
+const DESIGNER_ZOOM = 3;
+const DESIGNER_PICK_DISTANCE = 10;
+
+/**
+ * Track of the generation (and island) being simulated.
+ * @returns {Object} track from `generateTerrain`.
+ */
+function currentTrack() {
+  return trackForGeneration(evolution.generation, evolution.islands ? island : null);
+}
+
+/**
+ * Create one fitness evaluator per car of the current simulation.
+ * @returns {FitnessEvaluator[]} evaluators in vehicle order.
+ */
+function createEvaluators() {
+  return simulation.vehicles.map((vehicle) => (
+    new FitnessEvaluator(world, vehicle, simulation.terrain, evaluationOptions(config))
+  ));
+}
+
+/**
+ * Replace the simulation with a world holding every car of the current
+ * population (or of the current island) and point the renderer at its
+ * leader.
+ */
+function loadGeneration() {
+  for (const evaluator of evaluators) {
+    evaluator.dispose();
+  }
+  simulation = createGenerationWorld(islandsOf(evolution)[island].population, {
+    terrain: currentTrack(),
+    physics: config,
+  });
+  world = simulation.world;
+  evaluators = createEvaluators();
+  recorder = new Recorder(world, { timeStep: fixedTimeStep, vehicles: simulation.vehicles });
+  if (!replay && !manual && !designing) showLive();
+}
+
+/**
+ * Point the renderer at the live simulation, following its leader.
+ */
+function showLive() {
+  renderer.setWorld(world, simulation.vehicles[0].chassis);
+  renderer.followLeader(simulation.vehicles);
+}
+
+/**
+ * Start replaying a recording. The live simulation waits meanwhile.
+ * @param {Object} recording Recording (decoded).
+ * @param {Object} [meta] Metadata shown with the recording, e.g. { generation }.
+ */
+function startReplay(recording, meta) {
+  stopManual();
+  stopDesigner();
+  replay = new Replay(recording);
+  replayMeta = meta ?? null;
+  renderer.setWorld(replay, replay.vehicles.length ? replay.vehicles[0].chassis : null);
+  renderer.followLeader(replay.vehicles);
+  replay.play();
+}
+
+/**
+ * Leave replay and continue the live simulation where it stopped.
+ */
+function exitReplay() {
+  if (!replay) return;
+  replay = null;
+  replayMeta = null;
+  showLive();
+  lastTimestamp = null;
+}
+
+/**
+ * Put a car alone on the current generation's track and hand its motors
+ * to the drive keys.
+ * @param {Object} genome Car genome to drive.
+ */
+function startManual(genome) {
+  exitReplay();
+  stopDesigner();
+  const { world: driveWorld, vehicle } = createWorld(genome, {
+    terrain: currentTrack(),
+    physics: config,
+    brains: false, // the drive keys have the motors
+  });
+  manual = {
+    genome,
+    world: driveWorld,
+    vehicle,
+    driver: new ManualDriver(vehicle),
+    damage: new DamageModel(driveWorld, vehicle),
+    time: 0,
+  };
+  renderer.setWorld(driveWorld, vehicle.chassis);
+  clock.paused = false;
+  clock.reset();
+  lastTimestamp = null;
+}
+
+/**
+ * Leave manual driving and return to the evolution where it stopped.
+ */
+function stopManual() {
+  if (!manual) return;
+  manual = null;
+  showLive();
+  lastTimestamp = null;
+}
+
+/**
+ * Open the car designer on the canvas, on its last design or on a given
+ * car. The evolution waits where it was meanwhile.
+ * @param {Object} [genome] Car to edit instead of the last design.
+ */
+function startDesigner(genome) {
+  exitReplay();
+  stopManual();
+  designer ??= new CarDesigner({ onChange: () => designerPanel.sync() });
+  if (genome) designer.load(genome);
+  if (!designing) {
+    designing = true;
+    renderer.setWorld(designer.world, null);
+    renderer.setOverlay(designer);
+    renderer.lookAt({ x: 0, y: 0 }, DESIGNER_ZOOM);
+  }
+  designerPanel.sync();
+}
+
+/**
+ * Close the car designer and return to the evolution where it stopped.
+ */
+function stopDesigner() {
+  if (!designing) return;
+  designing = false;
+  designer.release();
+  renderer.setOverlay(null);
+  showLive();
+  renderer.resetCamera();
+  designerPanel.sync();
+  lastTimestamp = null;
+}
+
+/**
+ * Advance the manual test drive by one physics step.
+ */
+function stepManual() {
+  manual.driver.update(driveInput, fixedTimeStep);
+  stepWorld(manual.world, fixedTimeStep);
+  manual.damage.step(fixedTimeStep);
+  manual.time += fixedTimeStep;
+}
+
+/**
+ * Advance the current generation by one physics step, recording it and
+ * moving on to the next generation once every car is out.
+ */
+function stepGeneration() {
+  stepWorld(world, fixedTimeStep);
+  const finished = updateEvaluations();
+  recorder.capture();
+  if (finished) {
+    finishGeneration();
+  }
+}
+
+/**
+ * Advance every car's evaluation after a physics step and eliminate the
+ * cars whose run just ended.
+ * @returns {boolean} true once every car has been eliminated.
+ */
+function updateEvaluations() {
+  let running = 0;
+  evaluators.forEach((evaluator, i) => {
+    const vehicle = simulation.vehicles[i];
+    if (vehicle.eliminated) return;
+    if (evaluator.step(fixedTimeStep)) {
+      eliminateCar(vehicle);
+    } else {
+      running += 1;
+    }
+  });
+  return running === 0;
+}
+
+/**
+ * Remember the generation's best car, breed the next generation from the
+ * run's objective and checkpoint the run so it survives a page reload.
+ * @param {Evolution|IslandEvolution} run Evolution the reports belong to.
+ * @param {Object[]} reports Fitness report per genome of `run.population`.
+ */
+function evolveGeneration(run, reports) {
+  const fitnesses = reports.map((r) => r.fitness);
+  const bestIndex = fitnesses.indexOf(Math.max(...fitnesses));
+  champion = {
+    genome: run.population[bestIndex],
+    id: run.ids[bestIndex],
+    fitness: fitnesses[bestIndex],
+    generation: run.generation,
+  };
+  hud.addGeneration(run.generation, fitnesses);
+  // Islands drive different tracks, so each has a front of its own.
+  const groups = islandsOf(run).map((group) => group.population.length);
+  const ranking = rankGroups(reports, groups, (group) => paretoRanking(group));
+  const groupOf = groups.flatMap((size, index) => new Array(size).fill(index));
+  hud.setPareto(run.generation, reports.map((r, i) => ({
+    distance: r.distance,
+    energy: r.energy,
+    mass: r.mass,
+    rank: ranking[i].rank,
+    group: groupOf[i],
+  })));
+  run.evolve(selectionScores(reports, run.options.objective, groups), fitnesses);
+  lineagePanel.sync();
+  saveCheckpoint(createRunSave(run.snapshot(), terrainSettings));
+}
+
+/**
+ * Score the finished generation (or island) and load the next island,
+ * or once every island has driven, breed the next generation and load it.
+ */
+function finishGeneration() {
+  lastRecording = {
+    recording: recorder.toRecording(),
+    meta: {
+      seed: evolution.options.seed,
+      generation: evolution.generation,
+      ...(evolution.islands ? { island } : {}),
+    },
+  };
+  islandReports.push(...evaluators.map((evaluator) => evaluator.report()));
+  if (island + 1 < islandsOf(evolution).length) {
+    island += 1;
+  } else {
+    const reports = islandReports;
+    island = 0;
+    islandReports = [];
+    evolveGeneration(evolution, reports);
+  }
+  loadGeneration();
+}
+
+/**
+ * Replace the current run and start showing its current generation.
+ * @param {Evolution|IslandEvolution} run
+ */
+function startRun(run) {
+  exitReplay();
+  stopManual();
+  stopDesigner();
+  evolution = run;
+  island = 0;
+  islandReports = [];
+  champion = null;
+  lastRecording = null;
+  hud.clearHistory();
+  lineagePanel.sync();
+  loadGeneration();
+  clock.paused = false;
+  clock.reset();
+  lastTimestamp = null;
+}
+
+/**
+ * Evolve several generations without drawing them: each population is
+ * evaluated in parallel in Web Workers, then bred. The live view then
+ * continues with the resulting generation.
+ */
+async function runTurbo() {
+  // The evolution waits while a car is being designed.
+  if (turboRunning || designing) return;
+  turboRunning = true;
+  const run = evolution;
+  try {
+    pool ??= new EvaluationPool({
+      size: Math.max(1, (navigator.hardwareConcurrency || 2) - 1),
+      createWorker: createBrowserWorker,
+    });
+    for (let i = 0; i < TURBO_GENERATIONS; i++) {
+      const reports = [];
+      for (const [index, group] of islandsOf(run).entries()) {
+        reports.push(...await pool.evaluate(group.population, {
+          terrain: trackForGeneration(run.generation, run.islands ? index : null),
+          physics: config,
+          timeStep: fixedTimeStep,
+          evaluation: evaluationOptions(config),
+        }));
+      }
+      if (evolution !== run) return; // reset while we were waiting
+      evolveGeneration(run, reports);
+    }
+    // The live view restarts the bred generation from its first island.
+    island = 0;
+    islandReports = [];
+    loadGeneration();
+  } catch (err) {
+    console.error('[turbo] evaluation failed', err);
+  } finally {
+    turboRunning = false;
+    lastTimestamp = null;
+  }
+}
+
+/**
+ * Switch to new settings and write them to the URL. Camera settings take
+ * effect at once; physics settings rebuild the world: the current
+ * generation (and a manual drive) starts over with them.
+ * @param {Object} next Validated configuration.
+ * @returns {boolean} whether the world was rebuilt.
+ */
+function applyConfig(next) {
+  const rebuild = needsRebuild(config, next);
+  config = next;
+  const { pathname, search, hash } = window.location;
+  window.history.replaceState(null, '', `${pathname}${configToQuery(config, search)}${hash}`);
+  renderer.setCameraLimits({
+    minZoom: config.minZoom,
+    maxZoom: config.maxZoom,
+    damping: config.cameraDamping,
+  });
+  if (!rebuild) return false;
+
+  fixedTimeStep = config.timeStep;
+  clock.timeStep = fixedTimeStep;
+  exitReplay();
+  // Every island of the generation drives again under the new settings.
+  island = 0;
+  islandReports = [];
+  loadGeneration();
+  if (manual) startManual(manual.genome);
+  clock.reset();
+  lastTimestamp = null;
+  return true;
+}
+
+/**
+ * Refresh the HUD's live values from the simulation or replay on screen.
+ */
+function updateHud() {
+  const target = renderer.target;
+  const velocity = target ? target.getLinearVelocity() : { x: 0, y: 0 };
+  if (designing) {
+    hud.setStats({
+      generation: evolution.generation,
+      paused: true,
+      simSpeed: clock.speed,
+      mode: 'DESIGNER',
+      debug: renderer.debugLayers,
+      camera: renderer.mode,
+    });
+    return;
+  }
+  if (manual) {
+    hud.setStats({
+      distance: target.getPosition().x,
+      speed: Math.hypot(velocity.x, velocity.y),
+      time: manual.time,
+      paused: clock.paused,
+      simSpeed: clock.speed,
+      mode: `MANUAL (${manual.damage.wrecked ? 'wrecked' : manual.driver.state})`,
+      debug: renderer.debugLayers,
+      camera: renderer.mode,
+    });
+    return;
+  }
+  const vehicles = replay ? replay.vehicles : simulation.vehicles;
+  let mode = null;
+  if (replay) mode = 'REPLAY';
+  else if (turboRunning) mode = 'TURBO';
+  // Energy of the followed car; replays do not record it.
+  const meter = replay ? null : evaluators.find((e) => e.vehicle.chassis === target)?.energy;
+  hud.setStats({
+    generation: replay ? replayMeta?.generation : evolution.generation,
+    island: islandLabel(),
+    distance: target ? target.getPosition().x : 0,
+    speed: Math.hypot(velocity.x, velocity.y),
+    time: replay ? replay.time : (recorder.frameCount - 1) * fixedTimeStep,
+    energy: meter?.energy,
+    fuel: meter && Number.isFinite(meter.options.fuel) ? meter.fuelLeft / meter.options.fuel : undefined,
+    alive: vehicles.filter((v) => !v.eliminated).length,
+    total: vehicles.length,
+    paused: replay ? !replay.playing : clock.paused,
+    simSpeed: replay ? replay.speed : clock.speed,
+    mode,
+    debug: renderer.debugLayers,
+    camera: renderer.mode,
+  });
+}
+
+/**
+ * Island shown, e.g. '2/4', or undefined outside island-model runs.
+ * @returns {string|undefined}
+ */
+function islandLabel() {
+  if (replay) return replayMeta?.island !== undefined ? String(replayMeta.island + 1) : undefined;
+  return evolution.islands ? `${island + 1}/${evolution.islands.length}` : undefined;
+}
+
+/**
+ * Advance the live simulation (manual drive or generation) by one
+ * physics step, remembering the state before it for interpolation.
+ */
+function stepLive() {
+  renderer.savePreviousState();
+  if (manual) stepManual();
+  else stepGeneration();
+}
 
 /**
  * The main animation loop. It calculates how much time has elapsed since
- * the previous frame and steps the physics world forward in fixed-size
- * increments. The renderer is invoked once per frame to draw the
- * interpolated state.
+ * the previous frame and lets the clock step the physics world forward in
+ * fixed-size increments at the chosen speed. The renderer is invoked once
+ * per frame to draw the state interpolated by the clock's leftover time.
  * @param {DOMHighResTimeStamp} timestamp Provided by requestAnimationFrame
  */
 function loop(timestamp) {
@@ -44,17 +623,19 @@ function loop(timestamp) {
   }
   const deltaTime = (timestamp - lastTimestamp) / 1000;
   lastTimestamp = timestamp;
-  if (!paused) {
-    accumulator += deltaTime;
-    // Step the world in fixed increments. We may step multiple times per
-    // frame if the renderer is lagging behind.
-    while (accumulator >= fixedTimeStep) {
-      stepWorld(world, fixedTimeStep);
-      accumulator -= fixedTimeStep;
-    }
+  let alpha = 1;
+  if (replay) {
+    replay.update(deltaTime);
+  } else if (designing) {
+    // Nothing moves while a car is being designed.
+  } else if (manual || !turboRunning) {
+    clock.advance(deltaTime, stepLive);
+    alpha = clock.alpha;
   }
   // Render the current state
-  renderer.render();
+  updateHud();
+  renderer.render(alpha);
+  replayPanel.sync();
   // Queue next frame
   requestAnimationFrame(loop);
 }
@@ -62,29 +643,212 @@ function loop(timestamp) {
 // Define actions to be invoked by controls
 const actions = {
   togglePause() {
-    paused = !paused;
+    // In replay the same key plays/pauses the playback.
+    if (replay) replay.togglePlay();
+    else clock.togglePause();
   },
   reset() {
-    // Create a fresh world and replace our references. Reset the
-    // accumulator and timestamp to avoid simulation jumps.
-    simulation = createWorld();
-    world = simulation.world;
-    car = simulation.car;
-    renderer = new Renderer(canvas, world, car);
-    paused = false;
-    accumulator = 0;
-    lastTimestamp = null;
+    // While driving by hand, reset just puts the car back on the start.
+    if (manual) {
+      startManual(manual.genome);
+      return;
+    }
+    // Restart the evolution run from its seed (dropping the checkpoint)
+    // and replace our references. startRun resets the accumulator and
+    // timestamp to avoid simulation jumps.
+    clearCheckpoint();
+    terrainSettings = { options: { ...TERRAIN_OPTIONS }, fresh: FRESH_TRACK_EACH_GENERATION };
+    startRun(createEvolution(EVOLUTION_OPTIONS));
   },
   zoomIn() {
-    renderer.adjustZoom(0.1);
+    renderer.zoomAt(1.25);
   },
   zoomOut() {
-    renderer.adjustZoom(-0.1);
+    renderer.zoomAt(0.8);
+  },
+  turbo() {
+    runTurbo();
+  },
+  stepFrame(count) {
+    // Live physics only runs forwards: step once while paused.
+    if (replay) replay.stepFrames(count);
+    else if (clock.paused && count > 0 && !designing && (manual || !turboRunning)) clock.stepOnce(stepLive);
+  },
+  changeSpeed(direction) {
+    // Replays have their own speed control in the replay panel.
+    clock.shiftSpeed(direction);
+  },
+  toggleHud() {
+    hud.toggle();
+  },
+  togglePareto() {
+    hud.togglePareto();
+  },
+  toggleDebug(layer) {
+    renderer.toggleDebugLayer(layer);
+  },
+  clearDebug() {
+    renderer.clearDebugLayers();
+  },
+  follow() {
+    renderer.setCameraMode('follow');
+  },
+  toggleOverview() {
+    renderer.setCameraMode(renderer.mode === 'overview' ? 'follow' : 'overview');
+  },
+  toggleMinimap() {
+    renderer.toggleMinimap();
+  },
+  toggleManual() {
+    // Drive the best car so far (or the first of the current population).
+    if (manual) stopManual();
+    else startManual(bestGenome());
+  },
+  toggleDesigner() {
+    if (designing) stopDesigner();
+    else startDesigner();
   },
 };
 
-// Register keyboard controls
+/**
+ * Best car so far, or the first of the current population before any
+ * generation has finished.
+ * @returns {Object} genome
+ */
+function bestGenome() {
+  return champion ? champion.genome : evolution.population[0];
+}
+
+// Register keyboard controls, and mouse/touch camera controls on the canvas
 setupControls(actions);
+setupPointerControls(canvas, {
+  pan: (dx, dy) => renderer.panBy(dx, dy),
+  zoomAt: (factor, at) => renderer.zoomAt(factor, at),
+  // In the designer, dragging a handle edits the car instead of panning.
+  press: (at) => designing && designer.press(
+    renderer.canvasToWorld(at),
+    DESIGNER_PICK_DISTANCE / renderer.pixelsPerMeter,
+  ),
+  drag: (at) => designer.drag(renderer.canvasToWorld(at)),
+  release: () => designer.release(),
+});
+
+// Export/import of cars, populations and runs
+setupSavePanel({
+  exportGenome() {
+    const best = champion ?? { genome: evolution.population[0], generation: evolution.generation };
+    return createGenomeSave(best.genome, {
+      seed: evolution.options.seed,
+      generation: best.generation,
+      ...(best.fitness !== undefined ? { fitness: best.fitness } : {}),
+    });
+  },
+  exportPopulation() {
+    return createPopulationSave(evolution.population, {
+      seed: evolution.options.seed,
+      generation: evolution.generation,
+    });
+  },
+  exportRun() {
+    return createRunSave(evolution.snapshot(), terrainSettings);
+  },
+  importSave(save) {
+    // A recording is replayed without touching the run. A single car or a
+    // population seeds a new run with the current settings; a run save
+    // resumes exactly where it was saved.
+    if (save.kind === 'recording') {
+      startReplay(decodeRecording(save.recording), save.meta);
+      return;
+    }
+    let run;
+    if (save.kind === 'run') {
+      run = restoreEvolution(save.run.evolution);
+      terrainSettings = save.run.terrain;
+    } else if (save.kind === 'population') {
+      run = createEvolution({
+        ...EVOLUTION_OPTIONS,
+        population: save.population,
+        populationSize: Math.max(2, save.population.length),
+      });
+    } else {
+      run = createEvolution({ ...EVOLUTION_OPTIONS, population: [save.genome] });
+    }
+    startRun(run);
+    saveCheckpoint(createRunSave(run.snapshot(), terrainSettings));
+  },
+});
+
+// Replay of recorded generations
+const replayPanel = setupReplayPanel({
+  start() {
+    if (!lastRecording) return 'Nothing recorded yet: let a generation finish first.';
+    startReplay(lastRecording.recording, lastRecording.meta);
+    return null;
+  },
+  exit() {
+    exitReplay();
+  },
+  exportRecording() {
+    if (replay) return createRecordingSave(replay.recording, replayMeta ?? undefined);
+    if (lastRecording) return createRecordingSave(lastRecording.recording, lastRecording.meta);
+    return null;
+  },
+  getReplay() {
+    return replay;
+  },
+});
+
+// Physics and camera settings
+setupSettingsPanel({
+  getConfig() {
+    return config;
+  },
+  apply: applyConfig,
+});
+
+// Run history: statistics, lineage and the best car's family tree
+const lineagePanel = setupLineagePanel({
+  getLineage() {
+    return evolution.lineage;
+  },
+  getChampion() {
+    return champion;
+  },
+});
+
+// Car designer: edit a car by hand, test drive it or seed a run with it
+const designerPanel = setupDesignerPanel({
+  toggle: actions.toggleDesigner,
+  editBest() {
+    startDesigner(bestGenome());
+  },
+  reset() {
+    startDesigner(createDefaultGenome());
+  },
+  testDrive() {
+    const problems = designer.problems;
+    if (problems.length > 0) return `Fix the car first: ${problems[0]}.`;
+    startManual(designer.genome);
+    return null;
+  },
+  seed() {
+    const problems = designer.problems;
+    if (problems.length > 0) return `Fix the car first: ${problems[0]}.`;
+    if (turboRunning) return 'Wait for turbo mode to finish first.';
+    // The design and its mutants replace the newest cars of the current
+    // generation, which then drives again from its first island.
+    evolution.inject([designer.genome], DESIGN_MUTANTS);
+    stopDesigner();
+    island = 0;
+    islandReports = [];
+    loadGeneration();
+    saveCheckpoint(createRunSave(evolution.snapshot(), terrainSettings));
+    return null;
+  },
+  getDesigner() {
+    return designing ? designer : null;
+  },
+});
 
 // Kick off the animation loop
-requestAnimationFrame(loop);
\ No newline at end of file
+requestAnimationFrame(loop);
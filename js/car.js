@@ -0,0 +1,218 @@
+// car.js
+// Car builder. Turns a genome (see genome.js) into Planck bodies and
+// joints inside an existing world. The genome is repaired before it is
+// built, so any genome - random, bred or hand written - produces a car
+// that can be simulated.
+
+import { pl, Vec2 } from './planck.js';
+import { repairGenome, chassisPoints } from './genome.js';
+import { DEFAULT_CONFIG } from './config.js';
+
+/* Tunable defaults */
+const DEFAULT_MOTOR_SPEED = -DEFAULT_CONFIG.motorSpeed;   // rad/s, negative drives the car to +x
+const DEFAULT_GROUP_INDEX = -1;      // parts of one car never collide
+const TRAVEL_STOP_DISTANCE = 10;     // meters from the mount to the travel stop anchors
+
+/**
+ * Build a car from a genome.
+ *
+ * The chassis origin is placed at `opts.position`. Each wheel is centred
+ * on its chassis vertex and attached with a motorized revolute joint, or
+ * with a motorized `pl.WheelJoint` when its gene has a suspension: the
+ * wheel then slides along the suspension axis on a spring-damper. Planck's
+ * wheel joint has no travel limits, so two rope joints anchored far out
+ * along the axis on either side act as the end stops.
+ * All parts share a negative collision group, so wheels may overlap the
+ * chassis without fighting it. Cars built with the same (default) group
+ * never collide with each other either, while all of them collide with
+ * the terrain.
+ *
+ * @param {pl.World} world World to create the car in.
+ * @param {Object} genome Car genome. Invalid genomes are repaired first.
+ * @param {Object} [opts]
+ * @param {{ x: number, y: number }} [opts.position={x:0,y:0}] - Chassis origin in world space.
+ * @param {number} [opts.motorSpeed=-10] - Wheel motor speed (rad/s).
+ * @param {number} [opts.torqueScale=1] - Multiplier on the genome's motor torque.
+ * @param {number} [opts.chassisFriction=0.3] - Friction of the chassis.
+ * @param {number} [opts.wheelFriction=0.9] - Friction of the wheels.
+ * @param {number} [opts.groupIndex=-1] - Collision group shared by all parts.
+ * @returns {{ genome: Object, chassis: pl.Body, wheels: pl.Body[], joints: pl.Joint[],
+ *   suspensions: Object[], detachedWheels: pl.Body[], damage: number,
+ *   eliminated: boolean, motorSpeed: number, motorTorque: number }} the
+ *   vehicle: the repaired genome, the created bodies, the drive joint of
+ *   each wheel (revolute or wheel joint, both with the same motor API),
+ *   one entry per sprung wheel ({ wheel, joint, stops, anchor, axis,
+ *   extension, compression } with `anchor` and `axis` in chassis space),
+ *   wheels torn off so far (see `detachWheel`), chassis damage from 0
+ *   (intact) to 1 (wrecked, see damage.js), whether the car has been taken
+ *   out of the run (see `eliminateCar`) and the motor speed and torque its
+ *   wheels were given. Each body's user data is `{ role, vehicle }` with
+ *   role 'chassis' or 'wheel'; torn-off wheels also get `detached: true`.
+ */
+export function buildCar(world, genome, opts = {}) {
+  const dna = repairGenome(genome);
+  const position = opts.position ?? { x: 0, y: 0 };
+  const motorSpeed = opts.motorSpeed ?? DEFAULT_MOTOR_SPEED;
+  const groupIndex = opts.groupIndex ?? DEFAULT_GROUP_INDEX;
+  const motorTorque = dna.motorTorque * (opts.torqueScale ?? DEFAULT_CONFIG.torqueScale);
+
+  // Every part points back at the shared vehicle record through its
+  // user data, so contact handlers and the renderer can tell which car a
+  // body belongs to.
+  const vehicle = {
+    genome: dna,
+    chassis: null,
+    wheels: [],
+    joints: [],
+    suspensions: [],
+    detachedWheels: [],
+    damage: 0,
+    eliminated: false,
+    motorSpeed,
+    motorTorque,
+  };
+  const points = chassisPoints(dna);
+  const chassis = world.createBody({
+    type: 'dynamic',
+    position: Vec2(position.x, position.y),
+    userData: { role: 'chassis', vehicle },
+  });
+  chassis.createFixture(pl.Polygon(points.map((p) => Vec2(p.x, p.y))), {
+    density: dna.chassis.density,
+    friction: opts.chassisFriction ?? DEFAULT_CONFIG.chassisFriction,
+    filterGroupIndex: groupIndex,
+  });
+
+  vehicle.chassis = chassis;
+  for (const gene of dna.wheels) {
+    const anchor = points[gene.vertex];
+    const wheel = world.createBody({
+      type: 'dynamic',
+      position: Vec2(position.x + anchor.x, position.y + anchor.y),
+      userData: { role: 'wheel', vehicle },
+    });
+    wheel.createFixture(pl.Circle(gene.radius), {
+      density: gene.density,
+      friction: opts.wheelFriction ?? DEFAULT_CONFIG.wheelFriction,
+      filterGroupIndex: groupIndex,
+    });
+    const motor = {
+      motorSpeed,
+      maxMotorTorque: motorTorque,
+      enableMotor: true,
+    };
+    const joint = gene.suspension
+      ? mountSuspension(world, vehicle, wheel, anchor, gene.suspension, motor)
+      : world.createJoint(pl.RevoluteJoint(motor, chassis, wheel, wheel.getPosition()));
+    vehicle.wheels.push(wheel);
+    vehicle.joints.push(joint);
+  }
+
+  return vehicle;
+}
+
+/**
+ * Attach a wheel to the chassis with a sprung, motorized wheel joint and
+ * rope joints as travel stops, and record it in `vehicle.suspensions`.
+ * The chassis is still unrotated, so chassis space and world directions
+ * agree.
+ * @param {pl.World} world
+ * @param {Object} vehicle Vehicle being built.
+ * @param {pl.Body} wheel Wheel body, centred on the mount.
+ * @param {{ x: number, y: number }} anchor Mount point in chassis space.
+ * @param {Object} gene Suspension gene (see genome.js).
+ * @param {Object} motor Motor settings of the wheel.
+ * @returns {pl.WheelJoint} the drive joint.
+ */
+function mountSuspension(world, vehicle, wheel, anchor, gene, motor) {
+  const chassis = vehicle.chassis;
+  const axis = { x: Math.cos(gene.axis), y: Math.sin(gene.axis) };
+  const joint = world.createJoint(pl.WheelJoint(
+    { ...motor, frequencyHz: gene.frequency, dampingRatio: gene.dampingRatio },
+    chassis,
+    wheel,
+    wheel.getPosition(),
+    Vec2(axis.x, axis.y),
+  ));
+  // A wheel at translation t along the axis is D - t from a point D out
+  // along the axis and D + t from a point D back along it, so ropes of
+  // D + extension and D + compression keep -extension <= t <= compression.
+  const D = TRAVEL_STOP_DISTANCE;
+  const stop = (side, maxLength) => world.createJoint(pl.RopeJoint({
+    localAnchorA: Vec2(anchor.x + side * D * axis.x, anchor.y + side * D * axis.y),
+    localAnchorB: Vec2(0, 0),
+    maxLength,
+  }, chassis, wheel));
+  const stops = [stop(1, D + gene.extension), stop(-1, D + gene.compression)];
+  vehicle.suspensions.push({
+    wheel,
+    joint,
+    stops,
+    anchor: { x: anchor.x, y: anchor.y },
+    axis,
+    extension: gene.extension,
+    compression: gene.compression,
+  });
+  return joint;
+}
+
+/**
+ * Tear a wheel off its car: destroy the joints holding it and move it
+ * from `vehicle.wheels` (and its joint from `vehicle.joints`) to
+ * `vehicle.detachedWheels`. The wheel stays in the world as loose debris.
+ *
+ * @param {pl.World} world World the car lives in.
+ * @param {Object} vehicle Vehicle returned by `buildCar`.
+ * @param {pl.Body} wheel One of `vehicle.wheels`.
+ */
+export function detachWheel(world, vehicle, wheel) {
+  const i = vehicle.wheels.indexOf(wheel);
+  if (i < 0) return;
+  world.destroyJoint(vehicle.joints[i]);
+  const m = vehicle.suspensions.findIndex((s) => s.wheel === wheel);
+  if (m >= 0) {
+    for (const stop of vehicle.suspensions[m].stops) {
+      world.destroyJoint(stop);
+    }
+    vehicle.suspensions.splice(m, 1);
+  }
+  vehicle.wheels.splice(i, 1);
+  vehicle.joints.splice(i, 1);
+  vehicle.detachedWheels.push(wheel);
+  wheel.getUserData().detached = true;
+}
+
+/**
+ * Take a car out of the run: mark it eliminated and deactivate its
+ * bodies (torn-off wheels included) so it no longer costs simulation
+ * time. The bodies stay in the world, so the renderer can still draw the
+ * wreck.
+ *
+ * @param {Object} vehicle Vehicle returned by `buildCar`.
+ */
+export function eliminateCar(vehicle) {
+  vehicle.eliminated = true;
+  vehicle.chassis.setActive(false);
+  for (const wheel of [...vehicle.wheels, ...vehicle.detachedWheels]) {
+    wheel.setActive(false);
+  }
+}
+
+/**
+ * Distance from the chassis origin down to the lowest point of the car
+ * (chassis vertex or wheel rim, with sprung wheels fully extended). Use it
+ * to spawn a car just above the ground.
+ *
+ * @param {Object} genome Car genome. Invalid genomes are repaired first.
+ * @returns {number} a non-negative distance in meters.
+ */
+export function carClearance(genome) {
+  const dna = repairGenome(genome);
+  const points = chassisPoints(dna);
+  let lowest = Math.min(...points.map((p) => p.y));
+  for (const gene of dna.wheels) {
+    const droop = gene.suspension ? gene.suspension.extension * Math.sin(gene.suspension.axis) : 0;
+    lowest = Math.min(lowest, points[gene.vertex].y - droop - gene.radius);
+  }
+  return Math.max(0, -lowest);
+}
@@ -0,0 +1,152 @@
+// clock.js
+// Fixed-timestep simulation clock. The app feeds it the real time that
+// passed each animation frame; the clock turns that into whole physics
+// steps at the chosen speed and keeps the remainder in an accumulator:
+//  - speed multipliers from SIMULATION_SPEEDS, including an uncapped 'max'
+//    mode that simply steps for as long as a frame's time budget allows
+//    (for watching evolution at full speed);
+//  - at most `maxStepsPerFrame` steps per frame, so a stalled tab or a
+//    slow machine drops time instead of trying to catch up forever;
+//  - single steps while paused;
+//  - `alpha`, how far the real time is between the last two physics
+//    states, so the renderer can interpolate between them.
+
+import { DEFAULT_CONFIG } from './config.js';
+
+/* Tunable defaults */
+export const SIMULATION_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16, Infinity];
+const DEFAULT_MAX_STEPS_PER_FRAME = 64;
+const DEFAULT_MAX_FRAME_TIME = 0.25;   // seconds; longer frames count as this long
+const DEFAULT_FRAME_BUDGET = 12;       // milliseconds of stepping per frame in 'max' mode
+
+export class SimulationClock {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.timeStep=1/60] - Physics step in seconds.
+   * @param {number} [opts.speed=1] - Initial speed, one of SIMULATION_SPEEDS.
+   * @param {number} [opts.maxStepsPerFrame=64] - Cap on steps per `advance`.
+   * @param {number} [opts.maxFrameTime=0.25] - Longest real frame time counted, in seconds.
+   * @param {number} [opts.frameBudget=12] - Milliseconds per frame spent stepping in 'max' mode.
+   * @param {() => number} [opts.now=performance.now] - Millisecond clock for the budget.
+   */
+  constructor(opts = {}) {
+    this.timeStep = opts.timeStep ?? DEFAULT_CONFIG.timeStep;
+    this.maxStepsPerFrame = opts.maxStepsPerFrame ?? DEFAULT_MAX_STEPS_PER_FRAME;
+    this.maxFrameTime = opts.maxFrameTime ?? DEFAULT_MAX_FRAME_TIME;
+    this.frameBudget = opts.frameBudget ?? DEFAULT_FRAME_BUDGET;
+    this.now = opts.now ?? (() => performance.now());
+    this.speed = 1;
+    this.setSpeed(opts.speed ?? 1);
+    this.paused = false;
+    // Simulated seconds not yet stepped, always below one step after `advance`.
+    this.accumulator = 0;
+    // Steps taken by the last `advance`, and whether the cap cut it short.
+    this.lastSteps = 0;
+    this.fellBehind = false;
+  }
+
+  /** @returns {boolean} whether the clock runs uncapped ('max'). */
+  get uncapped() {
+    return this.speed === Infinity;
+  }
+
+  /**
+   * How far the simulation is between the last physics state and the
+   * next one, from 0 to 1. Render the previous state blended towards the
+   * current one by this much. Always 1 when uncapped or paused.
+   * @returns {number}
+   */
+  get alpha() {
+    if (this.uncapped || this.paused) return 1;
+    return Math.min(1, this.accumulator / this.timeStep);
+  }
+
+  /**
+   * Set the speed multiplier.
+   * @param {number} speed - One of SIMULATION_SPEEDS (Infinity = 'max').
+   */
+  setSpeed(speed) {
+    if (!SIMULATION_SPEEDS.includes(speed)) {
+      throw new Error(`speed must be one of ${SIMULATION_SPEEDS.map(formatSpeed).join(', ')}`);
+    }
+    this.speed = speed;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Move to the next faster (`direction` 1) or slower (-1) speed.
+   * @param {number} direction
+   * @returns {number} the new speed.
+   */
+  shiftSpeed(direction) {
+    const i = SIMULATION_SPEEDS.indexOf(this.speed);
+    const next = Math.min(SIMULATION_SPEEDS.length - 1, Math.max(0, i + Math.sign(direction)));
+    this.setSpeed(SIMULATION_SPEEDS[next]);
+    return this.speed;
+  }
+
+  /** Pause if running, run if paused. */
+  togglePause() {
+    this.paused = !this.paused;
+    this.accumulator = 0;
+  }
+
+  /** Forget the time not stepped yet (e.g. when the world is replaced). */
+  reset() {
+    this.accumulator = 0;
+  }
+
+  /**
+   * Advance by one animation frame: run `step` once per physics step due.
+   * Does nothing while paused.
+   * @param {number} dt - Real seconds since the last frame.
+   * @param {() => void} step - Advances the simulation by `timeStep`.
+   * @returns {number} the number of steps taken.
+   */
+  advance(dt, step) {
+    this.lastSteps = 0;
+    this.fellBehind = false;
+    if (this.paused) return 0;
+
+    if (this.uncapped) {
+      const end = this.now() + this.frameBudget;
+      do {
+        step();
+        this.lastSteps += 1;
+      } while (this.now() < end);
+      return this.lastSteps;
+    }
+
+    this.accumulator += Math.min(Math.max(0, dt), this.maxFrameTime) * this.speed;
+    while (this.accumulator >= this.timeStep) {
+      if (this.lastSteps >= this.maxStepsPerFrame) {
+        // Too far behind: drop the backlog rather than spiral.
+        this.fellBehind = true;
+        this.accumulator %= this.timeStep;
+        break;
+      }
+      step();
+      this.lastSteps += 1;
+      this.accumulator -= this.timeStep;
+    }
+    return this.lastSteps;
+  }
+
+  /**
+   * Take exactly one step, e.g. to step frame by frame while paused.
+   * @param {() => void} step
+   */
+  stepOnce(step) {
+    step();
+    this.accumulator = 0;
+  }
+}
+
+/**
+ * Human-readable speed, e.g. '0.25x' or 'max'.
+ * @param {number} speed
+ * @returns {string}
+ */
+export function formatSpeed(speed) {
+  return speed === Infinity ? 'max' : `${speed}x`;
+}
@@ -0,0 +1,181 @@
+// config.js
+// Simulation settings in one place: physics (gravity, time step, motors,
+// friction), the fuel budget of every car's run (see energy.js) and
+// camera (zoom limits, follow damping). `DEFAULT_CONFIG`
+// holds the defaults the other modules fall back to; `CONFIG_FIELDS`
+// describes every setting (label, allowed range, and whether changing it
+// needs the world to be rebuilt) for validation and for the settings
+// panel (settings-panel.js).
+// Settings round-trip through URL query parameters (only the ones that
+// differ from the defaults are written), so a link reproduces a setup
+// exactly, e.g. `index.html?gravity=4&wheelFriction=1.5`.
+
+import { MATERIALS } from './terrain.js';
+
+/* Tunable defaults */
+export const DEFAULT_CONFIG = Object.freeze({
+  gravity: 10,                                // m/s², pulling towards -y
+  timeStep: 1 / 60,                           // seconds per physics step
+  motorSpeed: 10,                             // rad/s the wheel motors drive forwards at
+  torqueScale: 1,                             // multiplier on every genome's motor torque
+  chassisFriction: 0.3,
+  wheelFriction: 0.9,
+  groundFriction: MATERIALS.ground.friction,  // plain ground only; other materials keep theirs
+  fuel: 0,                                    // joules each car's motors may use; 0 = unlimited
+  minZoom: 0.1,
+  maxZoom: 8,
+  cameraDamping: 0.12,                        // 0..1, share of the distance to the target closed per frame
+});
+
+/**
+ * Every setting of `DEFAULT_CONFIG`: label, inclusive range, input step
+ * and whether a change only takes effect in a freshly built world.
+ */
+export const CONFIG_FIELDS = Object.freeze({
+  gravity: { label: 'Gravity (m/s²)', min: 0.5, max: 50, step: 0.1, rebuild: true },
+  timeStep: { label: 'Time step (s)', min: 1 / 240, max: 1 / 15, step: 0.001, rebuild: true },
+  motorSpeed: { label: 'Motor speed (rad/s)', min: 0.5, max: 100, step: 0.5, rebuild: true },
+  torqueScale: { label: 'Motor torque (x genome)', min: 0.1, max: 10, step: 0.1, rebuild: true },
+  chassisFriction: { label: 'Chassis friction', min: 0, max: 5, step: 0.05, rebuild: true },
+  wheelFriction: { label: 'Wheel friction', min: 0, max: 5, step: 0.05, rebuild: true },
+  groundFriction: { label: 'Ground friction', min: 0, max: 5, step: 0.05, rebuild: true },
+  fuel: { label: 'Fuel budget (J, 0 = unlimited)', min: 0, max: 1e6, step: 100, rebuild: true },
+  minZoom: { label: 'Min zoom', min: 0.01, max: 10, step: 0.01, rebuild: false },
+  maxZoom: { label: 'Max zoom', min: 0.1, max: 50, step: 0.1, rebuild: false },
+  cameraDamping: { label: 'Camera damping', min: 0.01, max: 1, step: 0.01, rebuild: false },
+});
+
+/** Thrown for settings that are unknown or out of range. */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - What is wrong.
+   * @param {string} [key] - Setting the problem was found at, e.g. 'gravity'.
+   */
+  constructor(message, key) {
+    super(key ? `${key}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.key = key ?? null;
+  }
+}
+
+/**
+ * Fill in defaults and validate a configuration.
+ *
+ * @param {Object} [input] Settings to override, by `DEFAULT_CONFIG` key.
+ * @returns {Object} a complete, frozen configuration.
+ * @throws {ConfigError} on unknown keys, values that are not finite
+ *   numbers or lie outside their field's range, and a min zoom above the
+ *   max zoom.
+ */
+export function normalizeConfig(input = {}) {
+  for (const key of Object.keys(input)) {
+    if (!CONFIG_FIELDS[key]) throw new ConfigError('unknown setting', key);
+  }
+  const config = { ...DEFAULT_CONFIG, ...input };
+  for (const key of Object.keys(CONFIG_FIELDS)) checkField(key, config[key]);
+  if (config.minZoom > config.maxZoom) {
+    throw new ConfigError(`must not exceed maxZoom (${config.maxZoom})`, 'minZoom');
+  }
+  return Object.freeze(config);
+}
+
+/**
+ * Read a configuration from URL query parameters. Parameters that are not
+ * settings are ignored; invalid settings fall back to their defaults and
+ * are reported, so one bad value in a shared link does not discard the
+ * rest.
+ *
+ * @param {string|URLSearchParams} search Query string, e.g. `location.search`.
+ * @returns {{ config: Object, errors: ConfigError[] }} the configuration
+ *   and one error per setting that was dropped.
+ */
+export function configFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const input = {};
+  const errors = [];
+  for (const key of Object.keys(CONFIG_FIELDS)) {
+    if (!params.has(key)) continue;
+    const raw = params.get(key);
+    const value = raw.trim() === '' ? NaN : Number(raw);
+    try {
+      checkField(key, value);
+      input[key] = value;
+    } catch (err) {
+      errors.push(err);
+    }
+  }
+  try {
+    return { config: normalizeConfig(input), errors };
+  } catch (err) {
+    // Valid on their own but not together (zoom limits): drop both.
+    errors.push(err);
+    delete input.minZoom;
+    delete input.maxZoom;
+    return { config: normalizeConfig(input), errors };
+  }
+}
+
+/**
+ * Write a configuration into URL query parameters: settings that differ
+ * from the defaults are set, the others removed. Other parameters are kept.
+ *
+ * @param {Object} config Configuration (see `normalizeConfig`).
+ * @param {string|URLSearchParams} [search=''] Query string to update.
+ * @returns {string} the new query string, with a leading '?' unless empty.
+ */
+export function configToQuery(config, search = '') {
+  const params = new URLSearchParams(search);
+  for (const key of Object.keys(CONFIG_FIELDS)) {
+    if (config[key] === DEFAULT_CONFIG[key]) params.delete(key);
+    else params.set(key, String(config[key]));
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Settings whose values differ between two configurations.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string[]} keys of the changed settings.
+ */
+export function changedSettings(a, b) {
+  return Object.keys(CONFIG_FIELDS).filter((key) => a[key] !== b[key]);
+}
+
+/**
+ * Whether going from one configuration to another changes a setting that
+ * only takes effect in a new world (see `CONFIG_FIELDS[key].rebuild`).
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function needsRebuild(a, b) {
+  return changedSettings(a, b).some((key) => CONFIG_FIELDS[key].rebuild);
+}
+
+/**
+ * Fitness evaluator options for a configuration (see fitness.js).
+ * @param {Object} config Configuration (see `normalizeConfig`).
+ * @returns {{ fuel: ?number }} `fuel` is null without a fuel budget.
+ */
+export function evaluationOptions(config) {
+  return { fuel: config.fuel > 0 ? config.fuel : null };
+}
+
+// ---------- private helpers ----------
+
+function checkField(key, value) {
+  const field = CONFIG_FIELDS[key];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new ConfigError('must be a finite number', key);
+  }
+  if (value < field.min || value > field.max) {
+    throw new ConfigError(`must be between ${round(field.min)} and ${round(field.max)}, got ${value}`, key);
+  }
+}
+
+// Short form of range limits such as 1/240 for messages.
+function round(value) {
+  return Number(value.toPrecision(4));
+}
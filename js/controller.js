@@ -0,0 +1,140 @@
+// controller.js
+// Neural driving controller for cars whose genome has a brain (see
+// genome.js). Before every physics step a `NeuralController` reads the
+// car's sensors, runs them through the brain's feed-forward network and
+// sets the motor speed and torque of every wheel joint from the outputs.
+// world.js creates one per brained car and runs it from `stepWorld`.
+//
+// Inputs (BRAIN_LAYOUT.inputs, each roughly in -1..1):
+//  - 5 terrain rays cast from the chassis centre, from straight down to
+//    straight ahead (world space, see SENSOR_ANGLES): the fraction of
+//    SENSOR_RANGE at which each hits the ground, 1 when it hits nothing;
+//  - sine and cosine of the chassis angle;
+//  - chassis angular velocity;
+//  - spin of each wheel slot relative to the chassis (0 for missing or
+//    torn-off wheels).
+// Outputs, per wheel slot: motor speed (1 = full speed forwards, -1 =
+// full speed backwards) and torque (-1 = none, 1 = the car's full motor
+// torque).
+
+import { Vec2 } from './planck.js';
+import { BRAIN_LAYOUT, GENOME_LIMITS } from './genome.js';
+
+/* Tunable defaults */
+export const SENSOR_ANGLES = [-90, -60, -40, -20, 0].map((deg) => (deg * Math.PI) / 180);
+export const SENSOR_RANGE = 8;     // meters each terrain ray reaches
+const SPIN_SCALE = 5;              // rad/s of chassis rotation read as 1
+const WHEEL_SPIN_SCALE = 30;       // rad/s of wheel spin read as 1
+
+const WHEEL_SLOTS = GENOME_LIMITS.wheelCount.max;
+if (SENSOR_ANGLES.length + 3 + WHEEL_SLOTS !== BRAIN_LAYOUT.inputs) {
+  throw new Error('controller sensors do not match BRAIN_LAYOUT.inputs');
+}
+
+export class NeuralController {
+  /**
+   * Take over a car's wheel motors with its brain.
+   *
+   * @param {Object} world - Planck World the car lives in (for raycasts).
+   * @param {Object} vehicle - Vehicle as returned by `buildCar`; its
+   *   genome must have a brain.
+   * @param {Object} [opts]
+   * @param {number} [opts.maxSpeed] - Wheel speed (rad/s) of a full speed
+   *   output. Defaults to the car's own motor speed.
+   */
+  constructor(world, vehicle, opts = {}) {
+    if (!vehicle.genome.brain) throw new Error('NeuralController needs a genome with a brain');
+    this.world = world;
+    this.vehicle = vehicle;
+    this.weights = vehicle.genome.brain.weights;
+    this.maxSpeed = opts.maxSpeed ?? Math.abs(vehicle.motorSpeed);
+    // Wheel slot (genome wheel index) -> { wheel, joint }; fixed at build
+    // time so a torn-off wheel does not shift the other slots.
+    this.slots = vehicle.wheels.map((wheel, i) => ({ wheel, joint: vehicle.joints[i] }));
+    // Latest sensor readings, network activations and outputs.
+    this.inputs = new Float64Array(BRAIN_LAYOUT.inputs);
+    this.hidden = new Float64Array(BRAIN_LAYOUT.hidden);
+    this.outputs = new Float64Array(BRAIN_LAYOUT.outputs);
+  }
+
+  /**
+   * Read the sensors, run the network and set the motors. Call before
+   * stepping the world; does nothing once the car is eliminated.
+   */
+  update() {
+    if (this.vehicle.eliminated) return;
+    this.sense();
+    this.think();
+    const torque = this.vehicle.motorTorque;
+    this.slots.forEach(({ wheel, joint }, i) => {
+      if (wheel.getUserData().detached) return;
+      // Joint speed is negative while the wheels drive the car forwards (+x).
+      joint.setMotorSpeed(-this.outputs[2 * i] * this.maxSpeed);
+      joint.setMaxMotorTorque(((this.outputs[2 * i + 1] + 1) / 2) * torque);
+    });
+  }
+
+  /**
+   * Fill `inputs` from the car's current state (see the module comment).
+   * @returns {Float64Array} the inputs.
+   */
+  sense() {
+    const chassis = this.vehicle.chassis;
+    const origin = chassis.getWorldCenter();
+    const inputs = this.inputs;
+    let n = 0;
+    for (const angle of SENSOR_ANGLES) {
+      inputs[n++] = this._castRay(origin, angle);
+    }
+    const angle = chassis.getAngle();
+    const spin = chassis.getAngularVelocity();
+    inputs[n++] = Math.sin(angle);
+    inputs[n++] = Math.cos(angle);
+    inputs[n++] = Math.tanh(spin / SPIN_SCALE);
+    for (let i = 0; i < WHEEL_SLOTS; i++) {
+      const slot = this.slots[i];
+      inputs[n++] = slot && !slot.wheel.getUserData().detached
+        ? Math.tanh((slot.wheel.getAngularVelocity() - spin) / WHEEL_SPIN_SCALE)
+        : 0;
+    }
+    return inputs;
+  }
+
+  /**
+   * Run the network on `inputs`: one tanh hidden layer and tanh outputs,
+   * with a bias weight at the end of every neuron's weights.
+   * @returns {Float64Array} the outputs.
+   */
+  think() {
+    const w = this.weights;
+    let k = 0;
+    const layer = (input, output) => {
+      for (let j = 0; j < output.length; j++) {
+        let sum = 0;
+        for (let i = 0; i < input.length; i++) sum += w[k++] * input[i];
+        sum += w[k++];
+        output[j] = Math.tanh(sum);
+      }
+    };
+    layer(this.inputs, this.hidden);
+    layer(this.hidden, this.outputs);
+    return this.outputs;
+  }
+
+  // ---------- private helpers ----------
+
+  // Fraction of SENSOR_RANGE to the closest ground along the ray, or 1.
+  _castRay(origin, angle) {
+    const end = Vec2(
+      origin.x + Math.cos(angle) * SENSOR_RANGE,
+      origin.y + Math.sin(angle) * SENSOR_RANGE,
+    );
+    let closest = 1;
+    this.world.rayCast(origin, end, (fixture, point, normal, fraction) => {
+      if (fixture.getBody().getUserData()?.role !== 'ground') return -1;
+      closest = Math.min(closest, fraction);
+      return fraction;
+    });
+    return closest;
+  }
+}
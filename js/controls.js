@@ -1,8 +1,27 @@
 // controls.js
 // Module providing keyboard controls for interacting with the simulation.
-// Supports pausing/resuming the physics, resetting the simulation and
-// adjusting camera zoom. The caller should supply an object with
-// appropriate callbacks to perform these actions.
+// Supports pausing/resuming the physics, resetting the simulation,
+// changing the simulation speed, adjusting camera zoom, evolving in the
+// background (turbo), stepping through a replay frame by frame,
+// showing/hiding the HUD and its Pareto plot, switching to manual driving
+// or the car designer, toggling the renderer's debug layers and moving
+// the camera. The caller should supply an object with appropriate
+// callbacks to perform these actions. Driving keys are different: they
+// are tracked as held state (see `trackDriveKeys`), since the car must
+// react for as long as a key stays down. Mouse and touch input on the
+// canvas (drag to pan, wheel or pinch to zoom, or dragging the designer's
+// handles) is set up separately with `setupPointerControls`.
+
+// Number keys per renderer debug layer (see DEBUG_LAYERS in render.js).
+const DEBUG_KEYS = {
+  1: 'joints',
+  2: 'contacts',
+  3: 'aabbs',
+  4: 'centers',
+  5: 'velocities',
+  6: 'sleeping',
+  7: 'pairs',
+};
 
 /**
  * Set up global keyboard handlers.
@@ -13,8 +32,29 @@
  *  - 'R' or 'r': reset the simulation
  *  - '+' or '=': zoom in
  *  - '-' or '_': zoom out
+ *  - 'T' or 't': evolve several generations in background workers
+ *  - ',' or '<': step one frame back (replay)
+ *  - '.' or '>': step one frame forward (replay, or live while paused)
+ *  - '[' or '{': slow the simulation down one speed
+ *  - ']' or '}': speed the simulation up one speed (up to 'max')
+ *  - 'H' or 'h': show/hide the HUD
+ *  - 'P' or 'p': show/hide the Pareto plot of the last generation
+ *  - 'M' or 'm': switch between evolution and manual driving
+ *  - 'E' or 'e': open/close the car designer
+ *  - '1' to '7': show/hide a debug layer: joints and anchors, contact
+ *    points and normals, AABBs, centres of mass, velocities, sleeping
+ *    bodies, colliding fixture pairs
+ *  - '0': hide all debug layers
+ *  - 'F' or 'f': snap the camera back to following the car
+ *  - 'O' or 'o': show/leave the overview of the whole track
+ *  - 'N' or 'n': show/hide the minimap
  *
- * @param {{ togglePause: Function, reset: Function, zoomIn: Function, zoomOut: Function }} actions
+ * @param {{ togglePause: Function, reset: Function, zoomIn: Function, zoomOut: Function,
+ *   turbo: Function, stepFrame: (count: number) => void,
+ *   changeSpeed: (direction: number) => void, toggleHud: Function, togglePareto: Function,
+ *   toggleManual: Function, toggleDesigner: Function, toggleDebug: (layer: string) => void,
+ *   clearDebug: Function, follow: Function, toggleOverview: Function,
+ *   toggleMinimap: Function }} actions
  *   An object containing callbacks for each supported action.
  */
 export function setupControls(actions) {
@@ -43,8 +83,214 @@ export function setupControls(actions) {
         e.preventDefault();
         actions.zoomOut();
         break;
+      case 't':
+      case 'T':
+        e.preventDefault();
+        actions.turbo();
+        break;
+      case ',':
+      case '<':
+        e.preventDefault();
+        actions.stepFrame(-1);
+        break;
+      case '.':
+      case '>':
+        e.preventDefault();
+        actions.stepFrame(1);
+        break;
+      case '[':
+      case '{':
+        e.preventDefault();
+        actions.changeSpeed(-1);
+        break;
+      case ']':
+      case '}':
+        e.preventDefault();
+        actions.changeSpeed(1);
+        break;
+      case 'h':
+      case 'H':
+        e.preventDefault();
+        actions.toggleHud();
+        break;
+      case 'p':
+      case 'P':
+        e.preventDefault();
+        actions.togglePareto();
+        break;
+      case 'm':
+      case 'M':
+        e.preventDefault();
+        actions.toggleManual();
+        break;
+      case 'e':
+      case 'E':
+        e.preventDefault();
+        actions.toggleDesigner();
+        break;
+      case '0':
+        e.preventDefault();
+        actions.clearDebug();
+        break;
+      case 'f':
+      case 'F':
+        e.preventDefault();
+        actions.follow();
+        break;
+      case 'o':
+      case 'O':
+        e.preventDefault();
+        actions.toggleOverview();
+        break;
+      case 'n':
+      case 'N':
+        e.preventDefault();
+        actions.toggleMinimap();
+        break;
       default:
+        if (DEBUG_KEYS[e.key]) {
+          e.preventDefault();
+          actions.toggleDebug(DEBUG_KEYS[e.key]);
+        }
         break;
     }
   });
-}
\ No newline at end of file
+}
+
+// Zoom factor per pixel of wheel scrolling.
+const WHEEL_ZOOM_RATE = 0.0015;
+
+/**
+ * Set up mouse and touch camera controls on the canvas:
+ *  - drag with the mouse or one finger: pan the view
+ *  - mouse wheel: zoom in/out around the cursor
+ *  - pinch with two fingers: zoom around their midpoint (and pan with it)
+ * With the optional `press` action a drag can be taken over instead of
+ * panning, e.g. to move a handle of the car designer: `press` is asked
+ * where the first pointer went down, and if it returns true that pointer's
+ * moves go to `drag` and its release to `release` until it is lifted.
+ * Points are passed in CSS pixels from the canvas' top-left corner.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ pan: (dx: number, dy: number) => void,
+ *   zoomAt: (factor: number, at: { x: number, y: number }) => void,
+ *   press?: (at: { x: number, y: number }) => boolean,
+ *   drag?: (at: { x: number, y: number }) => void,
+ *   release?: Function }} actions
+ */
+export function setupPointerControls(canvas, actions) {
+  // Pointer id -> last position, for every pointer currently down.
+  const pointers = new Map();
+  // Id of the pointer whose drag `actions.press` took over, or null.
+  let captured = null;
+  const local = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  // Midpoint and spread of the two first pointers (pinch).
+  const pinch = () => {
+    const [a, b] = Array.from(pointers.values());
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      distance: Math.hypot(a.x - b.x, a.y - b.y),
+    };
+  };
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (captured !== null) return;
+    canvas.setPointerCapture(e.pointerId);
+    const p = local(e);
+    if (pointers.size === 0 && actions.press && actions.press(p)) {
+      captured = e.pointerId;
+      return;
+    }
+    pointers.set(e.pointerId, p);
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (e.pointerId === captured) {
+      actions.drag(local(e));
+      return;
+    }
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    const p = local(e);
+    if (pointers.size === 1) {
+      actions.pan(p.x - last.x, p.y - last.y);
+      pointers.set(e.pointerId, p);
+      return;
+    }
+    const before = pinch();
+    pointers.set(e.pointerId, p);
+    const after = pinch();
+    actions.pan(after.x - before.x, after.y - before.y);
+    if (before.distance > 0 && after.distance > 0) {
+      actions.zoomAt(after.distance / before.distance, after);
+    }
+  });
+  const release = (e) => {
+    if (e.pointerId === captured) {
+      captured = null;
+      actions.release();
+      return;
+    }
+    pointers.delete(e.pointerId);
+  };
+  canvas.addEventListener('pointerup', release);
+  canvas.addEventListener('pointercancel', release);
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    // Lines and pages count as roughly 16 and 400 pixels.
+    const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+    actions.zoomAt(Math.exp(-e.deltaY * unit * WHEEL_ZOOM_RATE), local(e));
+  }, { passive: false });
+}
+
+// Keys (KeyboardEvent.code, so WASD works on any layout) per drive input.
+const DRIVE_KEYS = {
+  forward: ['ArrowUp', 'KeyW'],
+  back: ['ArrowDown', 'KeyS'],
+  tiltLeft: ['ArrowLeft', 'KeyA'],
+  tiltRight: ['ArrowRight', 'KeyD'],
+};
+
+/**
+ * Track the driving keys as held state. The returned object is updated
+ * in place on keydown/keyup, so the simulation loop can read it every
+ * step (see `ManualDriver#update` in driver.js):
+ *  - Arrow Up or 'W': throttle
+ *  - Arrow Down or 'S': brake, then reverse
+ *  - Arrow Left or 'A': tilt counter-clockwise
+ *  - Arrow Right or 'D': tilt clockwise
+ * All keys are released when the window loses focus, so a key let go
+ * elsewhere does not stay stuck down.
+ *
+ * @param {() => boolean} [isActive] - Whether driving is active. While it
+ *   returns true the keys' default actions (e.g. page scrolling) are
+ *   suppressed.
+ * @returns {{ forward: boolean, back: boolean, tiltLeft: boolean, tiltRight: boolean }}
+ *   the live input state.
+ */
+export function trackDriveKeys(isActive = () => true) {
+  const input = { forward: false, back: false, tiltLeft: false, tiltRight: false };
+  const inputFor = (code) => Object.keys(DRIVE_KEYS).find((k) => DRIVE_KEYS[k].includes(code));
+
+  window.addEventListener('keydown', (e) => {
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) {
+      return;
+    }
+    const name = inputFor(e.code);
+    if (!name) return;
+    input[name] = true;
+    if (isActive()) e.preventDefault();
+  });
+  window.addEventListener('keyup', (e) => {
+    const name = inputFor(e.code);
+    if (name) input[name] = false;
+  });
+  window.addEventListener('blur', () => {
+    for (const name of Object.keys(input)) input[name] = false;
+  });
+  return input;
+}
@@ -0,0 +1,123 @@
+// damage.js
+// Damage model for one car. After every physics step a `DamageModel`
+// reads how hard the car was hit and how hard its wheels were pulled:
+//  - wheels: the reaction force of each wheel's joints (drive joint plus
+//    suspension stops). A wheel whose load goes over `wheelBreakLoad`
+//    times the car's weight is torn off (see `detachWheel` in car.js).
+//  - chassis: the normal impulses of the chassis' contacts, collected
+//    from the world's post-solve events and turned into a velocity change
+//    of the whole car (a light chassis under heavy wheels is not hurt by
+//    merely carrying them).
+//    Hits harder than `impactThreshold` add damage; at 1 the car is
+//    wrecked.
+// The fitness evaluator (fitness.js) owns one model per car and ends the
+// run of a wrecked car; the renderer tints cars by `vehicle.damage`.
+
+import { detachWheel } from './car.js';
+
+/* Tunable defaults */
+export const DEFAULT_DAMAGE_OPTIONS = {
+  wheelBreakLoad: 12,      // joint force, in multiples of the car's weight, that tears a wheel off
+  impactThreshold: 2,      // m/s of velocity change the chassis can take in one step unharmed
+  impactDamage: 0.25,      // damage per m/s above the threshold (1 = wrecked)
+};
+
+/**
+ * @typedef {Object} DamageEvent
+ * @property {string} type - 'wheel-detached' or 'impact'.
+ * @property {number} [load] - Joint force in multiples of the car's weight ('wheel-detached').
+ * @property {number} [speed] - Chassis velocity change in m/s ('impact').
+ * @property {number} [damage] - Damage added by the hit ('impact').
+ */
+
+export class DamageModel {
+  /**
+   * Start tracking damage of a car. Registers a post-solve listener on
+   * `world`; call `dispose()` when the model is no longer needed.
+   *
+   * @param {Object} world - Planck World the car lives in.
+   * @param {Object} vehicle - Vehicle as returned by `buildCar`. Its
+   *   `damage` field is kept up to date.
+   * @param {Object} [opts] Overrides for `DEFAULT_DAMAGE_OPTIONS`.
+   */
+  constructor(world, vehicle, opts = {}) {
+    this.world = world;
+    this.vehicle = vehicle;
+    this.options = { ...DEFAULT_DAMAGE_OPTIONS, ...opts };
+
+    const bodies = [vehicle.chassis, ...vehicle.wheels];
+    this.mass = bodies.reduce((sum, b) => sum + b.getMass(), 0);
+    const g = world.getGravity();
+    this.weight = this.mass * Math.hypot(g.x, g.y);
+
+    // Normal impulse the chassis received during the current step.
+    this._impulse = 0;
+    this._onPostSolve = (contact, impulse) => {
+      const a = contact.getFixtureA().getBody();
+      const b = contact.getFixtureB().getBody();
+      if (a !== vehicle.chassis && b !== vehicle.chassis) return;
+      const count = contact.getManifold().pointCount;
+      for (let i = 0; i < count; i++) {
+        this._impulse += impulse.normalImpulses[i];
+      }
+    };
+    world.on('post-solve', this._onPostSolve);
+  }
+
+  /** @returns {boolean} true once the chassis damage has reached 1. */
+  get wrecked() {
+    return this.vehicle.damage >= 1;
+  }
+
+  /**
+   * Apply the loads of the step the world was just advanced by.
+   *
+   * @param {number} dt Seconds the world was just advanced by.
+   * @returns {DamageEvent[]} what happened during the step (usually nothing).
+   */
+  step(dt) {
+    const o = this.options;
+    const vehicle = this.vehicle;
+    const events = [];
+
+    const speed = this._impulse / this.mass;
+    this._impulse = 0;
+    if (speed > o.impactThreshold && !this.wrecked) {
+      const damage = Math.min(1 - vehicle.damage, (speed - o.impactThreshold) * o.impactDamage);
+      vehicle.damage += damage;
+      events.push({ type: 'impact', speed, damage });
+    }
+
+    const invDt = 1 / dt;
+    // Copy: detaching removes the wheel from `vehicle.wheels`.
+    for (const wheel of vehicle.wheels.slice()) {
+      let fx = 0;
+      let fy = 0;
+      for (const joint of this._wheelJoints(wheel)) {
+        const f = joint.getReactionForce(invDt);
+        fx += f.x;
+        fy += f.y;
+      }
+      const load = Math.hypot(fx, fy) / this.weight;
+      if (load > o.wheelBreakLoad) {
+        detachWheel(this.world, vehicle, wheel);
+        events.push({ type: 'wheel-detached', load });
+      }
+    }
+    return events;
+  }
+
+  /** Remove the post-solve listener from the world. */
+  dispose() {
+    this.world.off('post-solve', this._onPostSolve);
+  }
+
+  // ---------- private helpers ----------
+
+  // Joints holding `wheel` to the chassis.
+  _wheelJoints(wheel) {
+    const drive = this.vehicle.joints[this.vehicle.wheels.indexOf(wheel)];
+    const mount = this.vehicle.suspensions.find((s) => s.wheel === wheel);
+    return mount ? [drive, ...mount.stops] : [drive];
+  }
+}
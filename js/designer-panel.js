@@ -0,0 +1,100 @@
+// designer-panel.js
+// Page controls for the car designer (see designer.js): opening and
+// closing it, loading the best car or the default car into it, removing
+// the selected vertex or putting a wheel on it, the chassis density and
+// motor torque, a test drive of the design and adding it to the population.
+// The status line shows the design's mass and centre of mass, or what is
+// wrong with it.
+
+import { GENOME_LIMITS } from './genome.js';
+
+/**
+ * Wire the designer panel elements in index.html to the given handlers.
+ *
+ * Expected elements (looked up by id): `designerToggle`,
+ * `designerEditBest`, `designerReset`, `designerRemoveVertex`,
+ * `designerToggleWheel`, `designerDensity`, `designerTorque`,
+ * `designerTestDrive`, `designerSeed` and `designerStatus`. If the panel
+ * is missing from the page nothing is set up and `sync` does nothing.
+ *
+ * @param {Object} handlers
+ * @param {() => void} handlers.toggle - Open the designer, or close it.
+ * @param {() => void} handlers.editBest - Open the designer on the best car so far.
+ * @param {() => void} handlers.reset - Open the designer on the default car.
+ * @param {() => ?string} handlers.testDrive - Drive the design; returns an
+ *   error message if it cannot be driven.
+ * @param {() => ?string} handlers.seed - Add the design (and mutants of
+ *   it) to the current population; returns an error message if it cannot
+ *   be used.
+ * @param {() => ?CarDesigner} handlers.getDesigner - The open designer, or null.
+ * @returns {{ sync: Function }} call `sync()` whenever the design changes
+ *   or the designer opens or closes.
+ */
+export function setupDesignerPanel(handlers) {
+  const el = (id) => document.getElementById(id);
+  const status = el('designerStatus');
+  const toggle = el('designerToggle');
+  if (!status || !toggle) return { sync() {} };
+
+  // Messages stay up until the next change of the design.
+  const show = (message, isError = false) => {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+
+  // Run `fn` with the open designer, if any.
+  const withDesigner = (fn) => () => {
+    const designer = handlers.getDesigner();
+    if (designer) fn(designer);
+  };
+
+  toggle.addEventListener('click', () => handlers.toggle());
+  el('designerEditBest').addEventListener('click', () => handlers.editBest());
+  el('designerReset').addEventListener('click', () => handlers.reset());
+  el('designerRemoveVertex').addEventListener('click', withDesigner((d) => {
+    if (d.selected === null) show('Select a vertex first.', true);
+    else if (!d.removeVertex(d.selected)) show(`The chassis needs at least ${GENOME_LIMITS.vertexCount.min} vertices.`, true);
+  }));
+  el('designerToggleWheel').addEventListener('click', withDesigner((d) => {
+    if (d.selected === null) show('Select a vertex first.', true);
+    else if (!d.toggleWheel(d.selected)) show(`A car has at most ${GENOME_LIMITS.wheelCount.max} wheels.`, true);
+  }));
+  const density = el('designerDensity');
+  const torque = el('designerTorque');
+  density.addEventListener('change', withDesigner((d) => d.setDensity(Number(density.value))));
+  torque.addEventListener('change', withDesigner((d) => d.setMotorTorque(Number(torque.value))));
+  el('designerTestDrive').addEventListener('click', () => {
+    const error = handlers.testDrive();
+    if (error) show(error, true);
+  });
+  el('designerSeed').addEventListener('click', () => {
+    const error = handlers.seed();
+    show(error ?? 'Added the design and a few mutants of it to the population.', Boolean(error));
+  });
+
+  const controls = ['designerRemoveVertex', 'designerToggleWheel', 'designerDensity',
+    'designerTorque', 'designerTestDrive', 'designerSeed'].map(el);
+
+  const sync = () => {
+    const designer = handlers.getDesigner();
+    toggle.textContent = designer ? 'Close designer' : 'Design a car';
+    for (const c of controls) c.disabled = !designer;
+    if (!designer) return;
+    // Keep what the user is typing.
+    if (document.activeElement !== density) density.value = designer.density.toFixed(1);
+    if (document.activeElement !== torque) torque.value = designer.motorTorque.toFixed(0);
+    el('designerToggleWheel').textContent = designer.selected !== null && designer.wheelAt(designer.selected)
+      ? 'Remove wheel'
+      : 'Add wheel';
+    const problems = designer.problems;
+    if (problems.length > 0) {
+      show(`Not a valid car: ${problems.join('; ')}.`, true);
+      return;
+    }
+    const { mass, center } = designer.massProperties();
+    show(`Mass ${mass.toFixed(1)} kg · centre of mass (${center.x.toFixed(2)}, ${center.y.toFixed(2)}) m · `
+      + `${designer.points.length} vertices, ${designer.wheels.length} wheels`);
+  };
+  sync();
+  return { sync };
+}
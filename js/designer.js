@@ -0,0 +1,472 @@
+// designer.js
+// Interactive car designer. A `CarDesigner` holds a car being edited by
+// hand: the chassis as a list of points in chassis space (meters) that
+// can be dragged, added and removed, wheels on some of those points with
+// a radius each, and the chassis density and motor torque. It turns the
+// design into a genome (genome.js) at any time, validates it and works
+// out the car's mass and centre of mass as the user edits.
+//
+// It is drawn over the simulation canvas as a renderer overlay (see
+// `Renderer#setOverlay`), with the renderer's world <-> canvas transforms,
+// so the grid behind it is in meters and panning and zooming work as
+// usual. Pointer input is routed to `press`, `drag` and `release` in world
+// coordinates (see `setupPointerControls` in controls.js); presses that
+// miss every handle are left to pan the view.
+
+import { pl } from './planck.js';
+import { GENOME_LIMITS, chassisPoints, cloneGenome, createDefaultGenome, repairGenome, validateGenome } from './genome.js';
+
+/* Tunable defaults */
+const NEW_WHEEL = { radius: 0.4, density: 1 };  // wheel added to a vertex
+const EDGE_BULGE = 0.1;                 // new vertex pushed out by up to this share of its edge
+const RADIUS_HANDLE_ANGLE = -Math.PI / 4;  // where on the rim the radius handle sits
+const HANDLE_SIZE = 5;                  // CSS pixels
+const COLORS = {
+  valid: 'rgba(120, 220, 120, 0.35)',
+  invalid: 'rgba(255, 110, 110, 0.35)',
+  outline: '#fff',
+  wheel: 'rgba(255, 255, 255, 0.15)',
+  vertex: '#fd6',
+  selected: '#f80',
+  edge: '#9cf',
+  radius: '#7cf',
+  center: '#7f7',
+};
+
+const TWO_PI = Math.PI * 2;
+
+export class CarDesigner {
+  /**
+   * @param {Object} [opts]
+   * @param {Object} [opts.genome] - Car to start from; the default car
+   *   (see `createDefaultGenome`) when left out.
+   * @param {?Function} [opts.onChange=null] - Called after every edit.
+   */
+  constructor(opts = {}) {
+    this.onChange = opts.onChange ?? null;
+    // Empty world to show behind the design: the renderer draws just the
+    // grid.
+    this.world = new pl.World();
+    this.load(opts.genome ?? createDefaultGenome());
+  }
+
+  /**
+   * Start editing a car. Invalid genomes are repaired first.
+   * @param {Object} genome
+   */
+  load(genome) {
+    const car = repairGenome(genome);
+    this.points = chassisPoints(car);
+    // Wheels keep their genes (e.g. suspension); `vertex` indexes `points`.
+    this.wheels = car.wheels.map(cloneGenome);
+    this.density = car.chassis.density;
+    this.motorTorque = car.motorTorque;
+    this.brain = car.brain ? cloneGenome(car.brain) : null;
+    // Index of the selected vertex, or null.
+    this.selected = null;
+    this._drag = null;
+    this._changed();
+  }
+
+  /**
+   * The design as a genome. Vertices are listed by angle from the
+   * smallest one on, as genomes expect; a design whose points are out of
+   * order (dragged past a neighbour) comes out invalid.
+   * @returns {Object} a new genome; check `problems` before using it.
+   */
+  get genome() {
+    const n = this.points.length;
+    const vertices = this.points.map(({ x, y }) => {
+      let angle = Math.atan2(y, x);
+      if (angle < 0) angle += TWO_PI;
+      if (angle >= TWO_PI) angle = 0;
+      // Clamped against rounding: points are kept within the limits.
+      return { angle, radius: clamp(Math.hypot(x, y), GENOME_LIMITS.vertexRadius) };
+    });
+    let first = 0;
+    vertices.forEach((v, i) => {
+      if (v.angle < vertices[first].angle) first = i;
+    });
+    return {
+      chassis: {
+        vertices: vertices.map((_, i) => vertices[(i + first) % n]),
+        density: this.density,
+      },
+      wheels: this.wheels.map((wheel) => ({ ...cloneGenome(wheel), vertex: (wheel.vertex - first + n) % n })),
+      motorTorque: this.motorTorque,
+      ...(this.brain ? { brain: cloneGenome(this.brain) } : {}),
+    };
+  }
+
+  /** @returns {string[]} problems of the design (see `validateGenome`); empty when it is valid. */
+  get problems() {
+    return validateGenome(this.genome);
+  }
+
+  /** @returns {boolean} whether the design is a car that can be simulated. */
+  get valid() {
+    return this.problems.length === 0;
+  }
+
+  /**
+   * Mass and centre of mass of the car as built (see `buildCar` in
+   * car.js): a uniform chassis polygon plus a uniform disc per wheel,
+   * centred on its vertex.
+   * @returns {{ mass: number, center: { x: number, y: number } }} kilograms
+   *   and chassis-space meters.
+   */
+  massProperties() {
+    const { area, centroid } = polygonProperties(this.points);
+    let mass = area * this.density;
+    let x = centroid.x * mass;
+    let y = centroid.y * mass;
+    for (const wheel of this.wheels) {
+      const p = this.points[wheel.vertex];
+      const m = Math.PI * wheel.radius ** 2 * wheel.density;
+      mass += m;
+      x += p.x * m;
+      y += p.y * m;
+    }
+    return { mass, center: mass > 0 ? { x: x / mass, y: y / mass } : centroid };
+  }
+
+  /** @returns {?Object} wheel on the given vertex, if any. */
+  wheelAt(vertex) {
+    return this.wheels.find((wheel) => wheel.vertex === vertex) ?? null;
+  }
+
+  /**
+   * Move a vertex, keeping its distance from the chassis origin within
+   * the genome limits.
+   * @param {number} index
+   * @param {{ x: number, y: number }} point - Chassis-space meters.
+   */
+  moveVertex(index, point) {
+    const { min, max } = GENOME_LIMITS.vertexRadius;
+    const length = Math.hypot(point.x, point.y);
+    const radius = Math.min(max, Math.max(min, length));
+    this.points[index] = length > 0
+      ? { x: (point.x / length) * radius, y: (point.y / length) * radius }
+      : { x: radius, y: 0 };
+    this._changed();
+  }
+
+  /**
+   * Split an edge with a new vertex just outside its middle. On a convex
+   * chassis the vertex is placed where the chassis stays convex: pushed
+   * out at most halfway to where the neighbouring edges, extended, would
+   * make a corner concave. Next to corners that are almost straight that
+   * leaves it almost on the edge, which `problems` reports; so does an
+   * edge too short to split (see the vertex spacing in genome.js).
+   * @param {number} edge - Index of the edge's first vertex.
+   * @returns {?number} index of the new vertex, or null if the chassis
+   *   already has the most vertices allowed.
+   */
+  insertVertex(edge) {
+    if (this.points.length >= GENOME_LIMITS.vertexCount.max) return null;
+    const n = this.points.length;
+    const before = this.points[(edge + n - 1) % n];
+    const a = this.points[edge];
+    const b = this.points[(edge + 1) % n];
+    const after = this.points[(edge + 2) % n];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) return null;
+    // Unit outward normal of the counter-clockwise edge a -> b.
+    const normal = { x: (b.y - a.y) / length, y: (a.x - b.x) / length };
+    const half = { x: (b.x - a.x) / 2, y: (b.y - a.y) / 2 };
+    // Largest push at which the corners at a and b are still convex.
+    let limit = Infinity;
+    const inAt = { x: a.x - before.x, y: a.y - before.y };
+    const outAt = { x: after.x - b.x, y: after.y - b.y };
+    if (cross(inAt, normal) < 0) limit = Math.min(limit, cross(inAt, half) / -cross(inAt, normal));
+    if (cross(normal, outAt) > 0) limit = Math.min(limit, cross(half, outAt) / cross(normal, outAt));
+    const push = Math.max(0, Math.min(EDGE_BULGE * length, limit / 2));
+
+    const index = edge + 1;
+    this.points.splice(index, 0, { x: 0, y: 0 });
+    for (const wheel of this.wheels) {
+      if (wheel.vertex >= index) wheel.vertex += 1;
+    }
+    if (this.selected !== null && this.selected >= index) this.selected += 1;
+    // Pulling a point that is too far out back towards the origin keeps
+    // it between the edge and the pushed point, so still convex.
+    this.moveVertex(index, { x: a.x + half.x + normal.x * push, y: a.y + half.y + normal.y * push });
+    return index;
+  }
+
+  /**
+   * Remove a vertex and the wheel on it.
+   * @param {number} index
+   * @returns {boolean} false if the chassis already has the fewest
+   *   vertices allowed.
+   */
+  removeVertex(index) {
+    if (this.points.length <= GENOME_LIMITS.vertexCount.min) return false;
+    this.points.splice(index, 1);
+    this.wheels = this.wheels.filter((wheel) => wheel.vertex !== index);
+    for (const wheel of this.wheels) {
+      if (wheel.vertex > index) wheel.vertex -= 1;
+    }
+    this.selected = null;
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Put a wheel on a vertex, or take it off.
+   * @param {number} vertex
+   * @returns {boolean} false if a wheel should be added but the car
+   *   already has the most wheels allowed.
+   */
+  toggleWheel(vertex) {
+    if (this.wheelAt(vertex)) {
+      this.wheels = this.wheels.filter((wheel) => wheel.vertex !== vertex);
+    } else if (this.wheels.length < GENOME_LIMITS.wheelCount.max) {
+      this.wheels.push({ vertex, ...NEW_WHEEL });
+    } else {
+      return false;
+    }
+    this._changed();
+    return true;
+  }
+
+  /**
+   * @param {number} vertex - Vertex the wheel is on.
+   * @param {number} radius - Meters, clamped to the genome limits.
+   */
+  setWheelRadius(vertex, radius) {
+    const wheel = this.wheelAt(vertex);
+    if (!wheel) return;
+    wheel.radius = clamp(radius, GENOME_LIMITS.wheelRadius);
+    this._changed();
+  }
+
+  /** @param {number} density - Chassis density, clamped to the genome limits. */
+  setDensity(density) {
+    this.density = clamp(density, GENOME_LIMITS.density);
+    this._changed();
+  }
+
+  /** @param {number} torque - Motor torque, clamped to the genome limits. */
+  setMotorTorque(torque) {
+    this.motorTorque = clamp(torque, GENOME_LIMITS.motorTorque);
+    this._changed();
+  }
+
+  /**
+   * Handle under a point, if any. Wheel radius handles come first, then
+   * vertices, then the "add vertex" handles in the middle of each edge
+   * (only while another vertex fits).
+   * @param {{ x: number, y: number }} point - Chassis-space meters.
+   * @param {number} tolerance - How far from a handle still hits it (meters).
+   * @returns {?{ kind: 'radius'|'vertex'|'edge', index: number }} `index`
+   *   is the vertex (radius, vertex) or the edge's first vertex (edge).
+   */
+  hitTest(point, tolerance) {
+    const near = (p) => Math.hypot(p.x - point.x, p.y - point.y) <= tolerance;
+    for (const wheel of this.wheels) {
+      if (near(this._radiusHandle(wheel))) return { kind: 'radius', index: wheel.vertex };
+    }
+    const vertex = this.points.findIndex(near);
+    if (vertex >= 0) return { kind: 'vertex', index: vertex };
+    if (this.points.length < GENOME_LIMITS.vertexCount.max) {
+      const edge = this._edgeHandles().findIndex(near);
+      if (edge >= 0) return { kind: 'edge', index: edge };
+    }
+    return null;
+  }
+
+  /**
+   * Start dragging the handle under a point: a vertex moves, a radius
+   * handle resizes its wheel and an edge handle adds a vertex that then
+   * moves. The vertex involved becomes the selected one.
+   * @param {{ x: number, y: number }} point - Chassis-space meters.
+   * @param {number} tolerance - See `hitTest`.
+   * @returns {boolean} whether a handle was hit; if not, nothing changed.
+   */
+  press(point, tolerance) {
+    const hit = this.hitTest(point, tolerance);
+    if (!hit) return false;
+    if (hit.kind === 'edge') {
+      const index = this.insertVertex(hit.index);
+      this._drag = { kind: 'vertex', index };
+      this.selected = index;
+    } else {
+      this._drag = hit;
+      this.selected = hit.index;
+    }
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Continue the drag started by `press`.
+   * @param {{ x: number, y: number }} point - Chassis-space meters.
+   */
+  drag(point) {
+    if (!this._drag) return;
+    const { kind, index } = this._drag;
+    if (kind === 'vertex') {
+      this.moveVertex(index, point);
+    } else {
+      const p = this.points[index];
+      this.setWheelRadius(index, Math.hypot(point.x - p.x, point.y - p.y));
+    }
+  }
+
+  /** End the drag started by `press`. */
+  release() {
+    this._drag = null;
+  }
+
+  /**
+   * Draw the design (overlay interface, see `Renderer#setOverlay`): the
+   * chassis, green when valid and red when not, its wheels, every handle
+   * and the centre of mass. The chassis origin sits at the world origin.
+   * @param {CanvasRenderingContext2D} ctx - Scaled to CSS pixels.
+   * @param {Renderer} renderer
+   */
+  draw(ctx, renderer) {
+    const screen = (p) => renderer.worldToCanvas(p);
+    const scale = renderer.pixelsPerMeter;
+    const points = this.points.map(screen);
+
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = COLORS.outline;
+    ctx.fillStyle = this.valid ? COLORS.valid : COLORS.invalid;
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    for (const wheel of this.wheels) {
+      const c = points[wheel.vertex];
+      const rim = screen(this._radiusHandle(wheel));
+      ctx.fillStyle = COLORS.wheel;
+      ctx.strokeStyle = COLORS.outline;
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, wheel.radius * scale, 0, TWO_PI);
+      ctx.fill();
+      ctx.stroke();
+      ctx.strokeStyle = COLORS.radius;
+      ctx.beginPath();
+      ctx.moveTo(c.x, c.y);
+      ctx.lineTo(rim.x, rim.y);
+      ctx.stroke();
+      handle(ctx, rim, COLORS.radius, 'square');
+    }
+
+    if (this.points.length < GENOME_LIMITS.vertexCount.max) {
+      for (const p of this._edgeHandles().map(screen)) handle(ctx, p, COLORS.edge, 'plus');
+    }
+    points.forEach((p, i) => handle(ctx, p, i === this.selected ? COLORS.selected : COLORS.vertex, 'circle'));
+
+    // Chassis origin and centre of mass.
+    const origin = screen({ x: 0, y: 0 });
+    ctx.strokeStyle = COLORS.outline;
+    ctx.beginPath();
+    ctx.moveTo(origin.x - HANDLE_SIZE, origin.y);
+    ctx.lineTo(origin.x + HANDLE_SIZE, origin.y);
+    ctx.moveTo(origin.x, origin.y - HANDLE_SIZE);
+    ctx.lineTo(origin.x, origin.y + HANDLE_SIZE);
+    ctx.stroke();
+    const center = screen(this.massProperties().center);
+    ctx.fillStyle = COLORS.center;
+    ctx.strokeStyle = COLORS.center;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, HANDLE_SIZE + 2, 0, TWO_PI);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(center.x, center.y);
+    ctx.arc(center.x, center.y, HANDLE_SIZE + 2, 0, Math.PI / 2);
+    ctx.moveTo(center.x, center.y);
+    ctx.arc(center.x, center.y, HANDLE_SIZE + 2, Math.PI, Math.PI * 1.5);
+    ctx.fill();
+  }
+
+  // ---------- private helpers ----------
+
+  _changed() {
+    if (this.onChange) this.onChange(this);
+  }
+
+  // Radius handle of a wheel: on its rim, down and to the right.
+  _radiusHandle(wheel) {
+    const p = this.points[wheel.vertex];
+    return {
+      x: p.x + Math.cos(RADIUS_HANDLE_ANGLE) * wheel.radius,
+      y: p.y + Math.sin(RADIUS_HANDLE_ANGLE) * wheel.radius,
+    };
+  }
+
+  // Middle of every edge, indexed by the edge's first vertex.
+  _edgeHandles() {
+    return this.points.map((a, i) => {
+      const b = this.points[(i + 1) % this.points.length];
+      return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    });
+  }
+}
+
+// ---------- private helpers ----------
+
+function clamp(value, range) {
+  return Math.min(range.max, Math.max(range.min, value));
+}
+
+function cross(u, v) {
+  return u.x * v.y - u.y * v.x;
+}
+
+// Area and centroid of a simple polygon (either winding); the mean of
+// its points when it has collapsed.
+function polygonProperties(points) {
+  let twiceArea = 0;
+  let x = 0;
+  let y = 0;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const cross = a.x * b.y - b.x * a.y;
+    twiceArea += cross;
+    x += (a.x + b.x) * cross;
+    y += (a.y + b.y) * cross;
+  });
+  if (Math.abs(twiceArea) < 1e-9) {
+    const n = points.length;
+    return {
+      area: 0,
+      centroid: {
+        x: points.reduce((sum, p) => sum + p.x, 0) / n,
+        y: points.reduce((sum, p) => sum + p.y, 0) / n,
+      },
+    };
+  }
+  return {
+    area: Math.abs(twiceArea) / 2,
+    centroid: { x: x / (3 * twiceArea), y: y / (3 * twiceArea) },
+  };
+}
+
+// Draw a handle centred on a canvas point.
+function handle(ctx, p, color, shape) {
+  const r = HANDLE_SIZE;
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  if (shape === 'circle') {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, r, 0, TWO_PI);
+    ctx.fill();
+  } else if (shape === 'square') {
+    ctx.fillRect(p.x - r * 0.8, p.y - r * 0.8, r * 1.6, r * 1.6);
+  } else {
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(p.x - r, p.y);
+    ctx.lineTo(p.x + r, p.y);
+    ctx.moveTo(p.x, p.y - r);
+    ctx.lineTo(p.x, p.y + r);
+    ctx.stroke();
+    ctx.lineWidth = 1.5;
+  }
+}
@@ -0,0 +1,107 @@
+// driver.js
+// Manual driving. A `ManualDriver` takes over the wheel motors of one car
+// (see car.js) and steers it from a simple input state: throttle, reverse
+// or brake by changing the motor speed and torque of the wheel joints at
+// runtime, and tilt by applying angular impulses to the chassis, which is
+// mostly useful to level the car in the air. Used to test-drive a genome
+// by hand and see why it fails.
+
+/* Tunable defaults */
+export const DEFAULT_DRIVE_OPTIONS = {
+  maxSpeed: 15,          // rad/s wheel speed at full throttle
+  reverseSpeed: 6,       // rad/s wheel speed in reverse
+  brakeTorque: 2,        // brake torque as a multiple of the genome's motor torque
+  coastTorque: 0.05,     // rolling resistance with no key held, same units
+  tiltAcceleration: 6,   // rad/s^2 the tilt keys give the whole car
+  stopSpeed: 0.5,        // rad/s below which "reverse" stops braking and reverses
+};
+
+/**
+ * Input state read by `ManualDriver#update`. Each flag is true while the
+ * corresponding key is held.
+ * @typedef {Object} DriveInput
+ * @property {boolean} forward - Throttle (brakes first while rolling backwards).
+ * @property {boolean} back - Brake while rolling forwards, then reverse.
+ * @property {boolean} tiltLeft - Rotate the car counter-clockwise (nose up).
+ * @property {boolean} tiltRight - Rotate the car clockwise (nose down).
+ */
+
+export class ManualDriver {
+  /**
+   * Take control of a car's wheel motors.
+   *
+   * @param {Object} vehicle - Vehicle as returned by `buildCar`.
+   * @param {Object} [opts] Overrides for `DEFAULT_DRIVE_OPTIONS`.
+   */
+  constructor(vehicle, opts = {}) {
+    this.vehicle = vehicle;
+    this.options = { ...DEFAULT_DRIVE_OPTIONS, ...opts };
+    this.torque = vehicle.motorTorque;
+    // Rotational inertia of the whole car around the chassis centre, so
+    // tilting feels the same for light and heavy designs.
+    const chassis = vehicle.chassis;
+    const center = chassis.getWorldCenter();
+    this.inertia = vehicle.wheels.reduce((sum, wheel) => {
+      const c = wheel.getWorldCenter();
+      const d2 = (c.x - center.x) ** 2 + (c.y - center.y) ** 2;
+      return sum + wheel.getInertia() + wheel.getMass() * d2;
+    }, chassis.getInertia());
+    // What the throttle is doing, for display: 'drive', 'reverse', 'brake' or 'coast'.
+    this.state = 'coast';
+  }
+
+  /**
+   * Apply the input for one physics step. Call before stepping the world.
+   * @param {DriveInput} input
+   * @param {number} dt - Length of the coming step in seconds.
+   */
+  update(input, dt) {
+    const o = this.options;
+    // Joint speed is negative while the wheels drive the car forwards (+x).
+    const rolling = this._wheelSpeed();
+    if (input.forward && !input.back) {
+      this.state = rolling > o.stopSpeed ? 'brake' : 'drive';
+    } else if (input.back && !input.forward) {
+      this.state = rolling < -o.stopSpeed ? 'brake' : 'reverse';
+    } else if (input.forward && input.back) {
+      this.state = 'brake';
+    } else {
+      this.state = 'coast';
+    }
+
+    switch (this.state) {
+      case 'drive':
+        this._setMotors(-o.maxSpeed, this.torque);
+        break;
+      case 'reverse':
+        this._setMotors(o.reverseSpeed, this.torque);
+        break;
+      case 'brake':
+        this._setMotors(0, this.torque * o.brakeTorque);
+        break;
+      default:
+        this._setMotors(0, this.torque * o.coastTorque);
+        break;
+    }
+
+    const tilt = (input.tiltLeft ? 1 : 0) - (input.tiltRight ? 1 : 0);
+    if (tilt !== 0) {
+      this.vehicle.chassis.applyAngularImpulse(tilt * o.tiltAcceleration * this.inertia * dt, true);
+    }
+  }
+
+  // ---------- private helpers ----------
+
+  _wheelSpeed() {
+    const joints = this.vehicle.joints;
+    if (joints.length === 0) return 0;
+    return joints.reduce((sum, j) => sum + j.getJointSpeed(), 0) / joints.length;
+  }
+
+  _setMotors(speed, torque) {
+    for (const joint of this.vehicle.joints) {
+      joint.setMotorSpeed(speed);
+      joint.setMaxMotorTorque(torque);
+    }
+  }
+}
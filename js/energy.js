@@ -0,0 +1,53 @@
+// energy.js
+// Energy model for one car. After every physics step an `EnergyMeter`
+// adds up the mechanical power of the car's wheel motors, |torque x
+// angular speed| per drive joint, times the step length. Braking counts
+// as well: a motor holding a wheel against the ground still burns fuel.
+// With a fuel budget the meter reports when the car has run dry; the
+// fitness evaluator (fitness.js) then ends its run.
+
+/* Tunable defaults */
+export const DEFAULT_ENERGY_OPTIONS = {
+  fuel: Infinity,           // joules the car may use; Infinity = unlimited
+};
+
+export class EnergyMeter {
+  /**
+   * @param {Object} vehicle - Vehicle as returned by `buildCar`.
+   * @param {Object} [opts] Overrides for `DEFAULT_ENERGY_OPTIONS`.
+   */
+  constructor(vehicle, opts = {}) {
+    this.vehicle = vehicle;
+    this.options = { ...DEFAULT_ENERGY_OPTIONS, ...opts };
+    // Joules used so far.
+    this.energy = 0;
+  }
+
+  /** @returns {boolean} true once the fuel budget is used up. */
+  get outOfFuel() {
+    return this.energy >= this.options.fuel;
+  }
+
+  /** @returns {number} joules left (Infinity without a budget). */
+  get fuelLeft() {
+    return Math.max(0, this.options.fuel - this.energy);
+  }
+
+  /**
+   * Add the energy the motors used during the step the world was just
+   * advanced by. Torn-off wheels no longer count (their joints are gone).
+   *
+   * @param {number} dt Seconds the world was just advanced by.
+   * @returns {number} joules used during the step.
+   */
+  step(dt) {
+    const invDt = 1 / dt;
+    let power = 0;
+    for (const joint of this.vehicle.joints) {
+      power += Math.abs(joint.getMotorTorque(invDt) * joint.getJointSpeed());
+    }
+    const used = power * dt;
+    this.energy += used;
+    return used;
+  }
+}
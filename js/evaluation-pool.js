@@ -0,0 +1,151 @@
+// evaluation-pool.js
+// Parallel fitness evaluation. An `EvaluationPool` splits a population's
+// genomes into contiguous slices, sends one slice to each worker and
+// stitches the reports back together in population order. Every worker
+// builds its own worlds through world.js and runs the same headless
+// evaluation as the main thread (see headless.js), so for the same track
+// and options the results are identical to single-threaded evaluation.
+//
+// The pool does not care where its workers run: it is given a factory
+// returning a small worker handle. `createBrowserWorker` makes Web
+// Workers; bin/simulate.mjs makes Node worker_threads workers. A worker
+// that crashes or exits fails the jobs it was running and is replaced by
+// a new one, so the next evaluation runs on a full pool again.
+
+/**
+ * @typedef {Object} WorkerHandle
+ * @property {(message: Object) => void} postMessage - Send a job.
+ * @property {(handler: (message: Object) => void) => void} onMessage - Receive results.
+ * @property {(handler: (error: Error) => void) => void} onError - Worker crashed.
+ * @property {(handler: (code: number) => void) => void} [onExit] - Worker
+ *   stopped (Node workers; Web Workers only report errors).
+ * @property {() => void} terminate - Stop the worker.
+ */
+
+export class EvaluationPool {
+  /**
+   * Start `size` workers.
+   *
+   * @param {Object} opts
+   * @param {() => WorkerHandle} opts.createWorker - Worker factory.
+   * @param {number} [opts.size=2] - Number of workers.
+   */
+  constructor(opts) {
+    const size = opts.size ?? 2;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('EvaluationPool size must be a positive integer');
+    }
+    this._createWorker = opts.createWorker;
+    this._nextId = 1;
+    this._pending = new Map(); // job id -> { resolve, reject, worker }
+    this._terminated = false;
+    this.workers = Array.from({ length: size }, () => this._spawn());
+  }
+
+  /** @returns {number} number of workers. */
+  get size() {
+    return this.workers.length;
+  }
+
+  /**
+   * Evaluate genomes in parallel.
+   *
+   * @param {Object[]} genomes Car genomes.
+   * @param {Object} [options] Simulation options, as for
+   *   `simulatePopulation` in headless.js. Must be structured-cloneable;
+   *   pass the track itself as `options.terrain` so every worker drives
+   *   exactly the same ground.
+   * @returns {Promise<Object[]>} one fitness report per genome, in input order.
+   */
+  async evaluate(genomes, options = {}) {
+    const slices = split(genomes, this.workers.length);
+    const results = await Promise.all(slices.map((slice, i) => (
+      slice.length === 0 ? [] : this._run(this.workers[i], slice, options)
+    )));
+    return results.flat();
+  }
+
+  /** Stop all workers. Pending evaluations are rejected. */
+  terminate() {
+    this._terminated = true;
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this._fail(new Error('EvaluationPool terminated'));
+  }
+
+  // ---------- private helpers ----------
+
+  _spawn() {
+    const worker = this._createWorker();
+    worker.onMessage((message) => this._settle(message));
+    worker.onError((err) => this._replace(worker, err));
+    worker.onExit?.((code) => this._replace(worker, new Error(`Evaluation worker exited with code ${code}`)));
+    return worker;
+  }
+
+  // A worker crashed or exited: fail its jobs and start a new worker in
+  // its place. Later events of a replaced worker are ignored.
+  _replace(worker, err) {
+    const index = this.workers.indexOf(worker);
+    if (this._terminated || index < 0) return;
+    this.workers[index] = this._spawn();
+    worker.terminate();
+    this._fail(err, worker);
+  }
+
+  _run(worker, genomes, options) {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject, worker });
+      worker.postMessage({ id, genomes, options });
+    });
+  }
+
+  _settle(message) {
+    const job = this._pending.get(message.id);
+    if (!job) return;
+    this._pending.delete(message.id);
+    if (message.error) {
+      job.reject(new Error(`Evaluation worker failed: ${message.error}`));
+    } else {
+      job.resolve(message.reports);
+    }
+  }
+
+  // Reject the pending jobs of one worker, or of all of them.
+  _fail(err, worker = null) {
+    for (const [id, job] of this._pending) {
+      if (worker && job.worker !== worker) continue;
+      this._pending.delete(id);
+      job.reject(err);
+    }
+  }
+}
+
+/**
+ * Create a Web Worker running evaluation-worker.js.
+ * @returns {WorkerHandle}
+ */
+export function createBrowserWorker() {
+  const worker = new Worker(new URL('./evaluation-worker.js', import.meta.url), { type: 'module' });
+  return {
+    postMessage: (message) => worker.postMessage(message),
+    onMessage: (handler) => worker.addEventListener('message', (e) => handler(e.data)),
+    onError: (handler) => worker.addEventListener('error', (e) => handler(new Error(e.message))),
+    terminate: () => worker.terminate(),
+  };
+}
+
+// Split `items` into `parts` contiguous slices whose sizes differ by at
+// most one.
+function split(items, parts) {
+  const slices = [];
+  let start = 0;
+  for (let i = 0; i < parts; i++) {
+    const size = Math.floor(items.length / parts) + (i < items.length % parts ? 1 : 0);
+    slices.push(items.slice(start, start + size));
+    start += size;
+  }
+  return slices;
+}
@@ -0,0 +1,9 @@
+// evaluation-worker.js
+// Web Worker entry for EvaluationPool (see evaluation-pool.js). Receives
+// evaluation jobs, runs them headless and posts the reports back.
+
+import { runEvaluationJob } from './headless.js';
+
+self.addEventListener('message', (e) => {
+  self.postMessage(runEvaluationJob(e.data));
+});
@@ -0,0 +1,431 @@
+// evolution.js
+// Genetic algorithm over car genomes. An `Evolution` owns a population of
+// genomes and breeds the next generation from fitness scores supplied by
+// the caller: the best cars are copied unchanged (elitism), the rest are
+// children of parents picked by a selection strategy (tournament by
+// default, see selection.js) and produced by crossover and mutation. All
+// randomness comes from a seeded rng, so a run can be replayed exactly
+// from its seed and options. With `brains` every car
+// also carries a neural driving controller (see controller.js) that is
+// bred and mutated along with its body. The `objective` option records how
+// the caller scores cars: by distance, or by distance, energy and mass at
+// once (see `selectionScores` in pareto.js). Every genome has an id in the
+// run's lineage (lineage.js), which records its parents, how it was bred
+// and its fitness, plus statistics of every generation.
+
+import {
+  GENOME_LIMITS, randomGenome, randomBrain, repairGenome, cloneGenome, createDefaultSuspension,
+} from './genome.js';
+import { createRng, gaussian, randomInt } from './random.js';
+import {
+  DEFAULT_SELECTION_OPTIONS, SELECTION_STRATEGIES, checkSelectionOptions,
+} from './selection.js';
+import { checkObjective } from './pareto.js';
+import { Lineage, generationStats } from './lineage.js';
+
+/* Tunable defaults */
+export const DEFAULT_EVOLUTION_OPTIONS = {
+  seed: 1,
+  populationSize: 20,
+  eliteCount: 2,            // best genomes copied unchanged each generation
+  crossover: 'uniform',     // 'uniform' | 'single-point'
+  crossoverRate: 0.9,       // chance a child is bred from two parents
+  mutationRate: 0.05,       // per-gene chance of mutating
+  mutationStrength: 0.2,    // fraction of a gene's range used as std. dev.
+  ...DEFAULT_SELECTION_OPTIONS,
+  brains: false,            // co-evolve a neural driving controller with every body
+  objective: 'distance',    // how cars are scored: 'distance' | 'pareto' (see pareto.js)
+};
+
+const CROSSOVER_METHODS = ['uniform', 'single-point'];
+
+export class Evolution {
+  /**
+   * Create a new run. The initial population is `opts.population` (if
+   * given), topped up with random genomes to `populationSize`.
+   *
+   * @param {Object} [opts] Overrides for `DEFAULT_EVOLUTION_OPTIONS`.
+   * @param {number|string} [opts.seed=1] - Seed for every random decision.
+   * @param {Object[]} [opts.population] - Initial genomes (repaired).
+   * @param {number} [opts.populationSize=20] - Genomes per generation.
+   *   Defaults to the length of `opts.population` when that is given.
+   * @param {number} [opts.eliteCount=2] - Best genomes kept unchanged.
+   * @param {string} [opts.crossover='uniform'] - 'uniform' or 'single-point'.
+   * @param {number} [opts.crossoverRate=0.9] - Chance of breeding two parents.
+   * @param {number} [opts.mutationRate=0.05] - Per-gene mutation chance.
+   * @param {number} [opts.mutationStrength=0.2] - Mutation size (0..1 of range).
+   * @param {string} [opts.selection='tournament'] - Parent selection:
+   *   'tournament', 'roulette', 'rank' or 'truncation' (see selection.js).
+   * @param {number} [opts.tournamentSize=3] - Entrants per selection tournament.
+   * @param {number} [opts.rankPressure=1.5] - Rank selection pressure (1..2).
+   * @param {number} [opts.truncation=0.5] - Fraction of the ranking
+   *   truncation selection breeds from.
+   * @param {boolean} [opts.brains=false] - Give every car a brain (seeds
+   *   without one get a random one).
+   * @param {string} [opts.objective='distance'] - How the caller scores
+   *   cars for `evolve`: 'distance' or 'pareto' (see `selectionScores`).
+   * @param {Lineage} [opts.lineage] - Lineage to record births in, shared
+   *   with other runs (islands.js); its owner records the generation
+   *   statistics. By default the run keeps its own.
+   * @param {number[]} [opts.ids] - Lineage ids of `opts.population` when
+   *   resuming a run; seeds get new ids otherwise.
+   */
+  constructor(opts = {}) {
+    const { population: seeds = [], lineage, ids, ...rest } = opts;
+    this.options = { ...DEFAULT_EVOLUTION_OPTIONS, ...rest };
+    const o = this.options;
+    if (seeds.length > 0 && rest.populationSize === undefined) {
+      o.populationSize = seeds.length;
+    }
+    if (!Number.isInteger(o.populationSize) || o.populationSize < 2) {
+      throw new Error('populationSize must be an integer >= 2');
+    }
+    if (!Number.isInteger(o.eliteCount) || o.eliteCount < 0 || o.eliteCount > o.populationSize) {
+      throw new Error('eliteCount must be an integer in [0, populationSize]');
+    }
+    if (!CROSSOVER_METHODS.includes(o.crossover)) {
+      const expected = CROSSOVER_METHODS.join(', ');
+      throw new Error(`Unknown crossover "${o.crossover}", expected one of ${expected}`);
+    }
+    checkSelectionOptions(o);
+    checkObjective(o.objective);
+
+    this.rng = createRng(o.seed);
+    this.generation = 0;
+    this.lineage = lineage ?? new Lineage();
+    // The owner of the lineage records statistics and prunes it.
+    this._recordsStats = !lineage;
+    this.population = seeds.slice(0, o.populationSize).map(repairGenome);
+    // Lineage id of every genome of `population`, in the same order.
+    this.ids = ids && ids.length === this.population.length
+      ? [...ids]
+      : this.population.map(() => this.lineage.add({ generation: 0, op: 'seed' }));
+    if (o.brains) {
+      for (const genome of this.population) genome.brain ??= randomBrain(this.rng);
+    }
+    while (this.population.length < o.populationSize) {
+      this.population.push(randomGenome(this.rng, { brain: o.brains }));
+      this.ids.push(this.lineage.add({ generation: 0, op: 'random' }));
+    }
+  }
+
+  /**
+   * Breed the next generation and make it the current population.
+   *
+   * @param {number[]} fitnesses Score for each genome of the current
+   *   population, in population order. Higher is better.
+   * @param {number[]} [measured=fitnesses] Fitness to record in the
+   *   lineage and statistics, when the scores are not the fitnesses
+   *   themselves (see `selectionScores` in pareto.js).
+   * @returns {Object[]} the new population.
+   */
+  evolve(fitnesses, measured = fitnesses) {
+    const o = this.options;
+    const n = this.population.length;
+    if (!Array.isArray(fitnesses) || fitnesses.length !== n) {
+      throw new Error(`Expected ${n} fitness values, got ${fitnesses && fitnesses.length}`);
+    }
+    if (!Array.isArray(measured) || measured.length !== n) {
+      throw new Error(`Expected ${n} measured fitness values, got ${measured && measured.length}`);
+    }
+    this.ids.forEach((id, i) => this.lineage.setFitness(id, measured[i]));
+    if (this._recordsStats) {
+      this.lineage.addGeneration(generationStats(this.generation, this.population, measured));
+      this.lineage.prune(this.ids);
+    }
+    // Rank once; ties keep population order so runs stay reproducible.
+    const ranked = this.population
+      .map((genome, i) => ({ genome, id: this.ids[i], fitness: sanitize(fitnesses[i]) }))
+      .sort((a, b) => b.fitness - a.fitness);
+    const idOf = new Map(ranked.map((r) => [r.genome, r.id]));
+
+    const next = ranked.slice(0, o.eliteCount).map((r) => cloneGenome(r.genome));
+    const nextIds = ranked.slice(0, o.eliteCount).map((r) => r.id);
+    while (next.length < o.populationSize) {
+      const a = this._select(ranked);
+      let child;
+      let birth;
+      if (this.rng() < o.crossoverRate) {
+        const b = this._select(ranked);
+        child = crossover(a, b, this.rng, o.crossover);
+        birth = { op: 'crossover', parents: [idOf.get(a), idOf.get(b)] };
+      } else {
+        child = cloneGenome(a);
+        birth = { op: 'clone', parents: [idOf.get(a)] };
+      }
+      const mutations = [];
+      next.push(mutate(child, this.rng, o.mutationRate, o.mutationStrength, mutations));
+      nextIds.push(this.lineage.add({ generation: this.generation + 1, ...birth, mutations }));
+    }
+
+    this.population = next;
+    this.ids = nextIds;
+    this.generation += 1;
+    return this.population;
+  }
+
+  /**
+   * Add hand-made genomes (e.g. from the car designer) to the current
+   * population, each followed by `mutants` mutated copies of it. They
+   * take the places of the last children, like migrants do (see
+   * islands.js): the population has not been scored yet, and the elites
+   * at its front are kept. The caller evaluates the current population
+   * again afterwards.
+   *
+   * @param {Object[]} genomes Genomes to add (repaired).
+   * @param {number} [mutants=0] - Mutated copies to add of each.
+   * @returns {number} genomes added: fewer than asked when they do not fit
+   *   beside the elites.
+   */
+  inject(genomes, mutants = 0) {
+    const o = this.options;
+    // Only what fits beside the elites is bred and recorded.
+    const room = Math.max(0, this.population.length - o.eliteCount);
+    const added = [];
+    for (const genome of genomes.map(repairGenome)) {
+      if (added.length >= room) break;
+      if (o.brains) genome.brain ??= randomBrain(this.rng);
+      const id = this.lineage.add({ generation: this.generation, op: 'design' });
+      added.push({ genome, id });
+      for (let i = 0; i < mutants && added.length < room; i++) {
+        const mutations = [];
+        const mutant = mutate(genome, this.rng, o.mutationRate, o.mutationStrength, mutations);
+        const birth = { generation: this.generation, op: 'clone', parents: [id], mutations };
+        added.push({ genome: mutant, id: this.lineage.add(birth) });
+      }
+    }
+    const at = this.population.length - added.length;
+    this.population.splice(at, added.length, ...added.map((a) => a.genome));
+    this.ids.splice(at, added.length, ...added.map((a) => a.id));
+    return added.length;
+  }
+
+  /**
+   * Capture the complete state of the run (options, generation,
+   * population, rng position and lineage ids) as plain JSON-friendly
+   * data. A run with its own lineage adds it, trimmed to the current
+   * population's recent ancestors and statistics (see `Lineage#toJSON`).
+   * @returns {{ options: Object, generation: number, population: Object[],
+   *   rngState: number, ids: number[], lineage?: Object }}
+   */
+  snapshot() {
+    return {
+      options: { ...this.options },
+      generation: this.generation,
+      population: this.population.map(cloneGenome),
+      rngState: this.rng.getState(),
+      ids: [...this.ids],
+      ...(this._recordsStats ? { lineage: this.lineage.toJSON(this.ids) } : {}),
+    };
+  }
+
+  /**
+   * Resume a run from `snapshot()` data. The restored run breeds exactly
+   * the same generations the original would have. Snapshots from before
+   * lineages were recorded start a new lineage.
+   * @param {{ options: Object, generation: number, population: Object[],
+   *   rngState: number, ids?: number[], lineage?: Object }} data
+   * @param {Lineage} [lineage] Shared lineage to continue (islands.js);
+   *   by default the snapshot's own.
+   * @returns {Evolution}
+   */
+  static restore(data, lineage) {
+    const own = lineage ? null : (data.lineage ? Lineage.fromJSON(data.lineage) : new Lineage());
+    const evolution = new Evolution({
+      ...data.options,
+      population: data.population,
+      lineage: lineage ?? own,
+      ids: data.ids,
+    });
+    evolution._recordsStats = !lineage;
+    evolution.generation = data.generation;
+    evolution.rng.setState(data.rngState);
+    return evolution;
+  }
+
+  // ---------- private helpers ----------
+
+  _select(ranked) {
+    return SELECTION_STRATEGIES[this.options.selection](ranked, this.rng, this.options);
+  }
+}
+
+/**
+ * Combine two parent genomes into a child.
+ *
+ * Genes are laid out as loci: one per chassis vertex slot, the chassis
+ * density, one per wheel slot and the motor torque. `uniform` picks the
+ * parent for every locus independently; `single-point` takes loci before a
+ * random cut from `a` and the rest from `b`. A slot missing in the chosen
+ * parent stays empty, which is how vertex and wheel counts are inherited.
+ * Brains are crossed the same way with one locus per weight; when only
+ * one parent has a brain the child inherits it as a whole.
+ *
+ * @param {Object} a First parent genome.
+ * @param {Object} b Second parent genome.
+ * @param {() => number} rng Uniform random source.
+ * @param {string} [method='uniform'] 'uniform' or 'single-point'.
+ * @returns {Object} a new, valid child genome.
+ */
+export function crossover(a, b, rng, method = 'uniform') {
+  const L = GENOME_LIMITS;
+  const lociCount = L.vertexCount.max + 1 + L.wheelCount.max + 1;
+  const cut = randomInt(rng, 1, lociCount - 1);
+  let locus = 0;
+  const pick = () => {
+    const fromA = method === 'single-point' ? locus < cut : rng() < 0.5;
+    locus += 1;
+    return fromA ? a : b;
+  };
+
+  // Vertex slots keep their index (holes included) so wheel references
+  // stay meaningful; repairGenome drops the holes and remaps wheels.
+  const vertices = [];
+  for (let i = 0; i < L.vertexCount.max; i++) {
+    vertices.push(pick().chassis.vertices[i] ?? null);
+  }
+  if (vertices.filter(Boolean).length < L.vertexCount.min) {
+    // Too few vertices survived; fill the holes from either parent.
+    for (let i = 0; i < vertices.length; i++) {
+      vertices[i] = vertices[i] ?? a.chassis.vertices[i] ?? b.chassis.vertices[i] ?? null;
+    }
+  }
+  const density = pick().chassis.density;
+  const wheels = [];
+  for (let i = 0; i < L.wheelCount.max; i++) {
+    const wheel = pick().wheels[i];
+    if (wheel) wheels.push(wheel);
+  }
+  const motorTorque = pick().motorTorque;
+  const brain = crossBrains(a.brain, b.brain, rng, method);
+
+  return repairGenome(cloneGenome({
+    chassis: { vertices, density },
+    wheels,
+    motorTorque,
+    ...(brain ? { brain } : {}),
+  }));
+}
+
+/**
+ * Mutate a genome. Every numeric gene mutates with probability `rate` by
+ * a gaussian step of `strength` times the gene's range. With the same
+ * probability a chassis vertex or wheel is added or removed, a wheel is
+ * moved to another vertex, and a wheel gains or loses its suspension.
+ * Brain weights mutate like the other numeric genes.
+ *
+ * @param {Object} genome Genome to mutate. It is not modified.
+ * @param {() => number} rng Uniform random source.
+ * @param {number} rate Per-gene mutation chance (0..1).
+ * @param {number} strength Mutation size as a fraction of gene range.
+ * @param {string[]} [log] Receives the name of every gene that mutated,
+ *   e.g. 'wheel[1].radius', 'add-vertex' or 'brain.weights(3)'.
+ * @returns {Object} a new, valid genome.
+ */
+export function mutate(genome, rng, rate, strength, log = null) {
+  const L = GENOME_LIMITS;
+  const g = cloneGenome(genome);
+  const changed = [];
+  const nudge = (value, range, name) => {
+    if (rng() >= rate) return value;
+    changed.push(name);
+    return value + gaussian(rng) * strength * (range.max - range.min);
+  };
+
+  g.chassis.vertices.forEach((v, i) => {
+    v.angle = nudge(v.angle, { min: 0, max: Math.PI / 2 }, `vertex[${i}].angle`);
+    v.radius = nudge(v.radius, L.vertexRadius, `vertex[${i}].radius`);
+  });
+  g.chassis.density = nudge(g.chassis.density, L.density, 'density');
+  g.wheels.forEach((w, i) => {
+    w.radius = nudge(w.radius, L.wheelRadius, `wheel[${i}].radius`);
+    w.density = nudge(w.density, L.density, `wheel[${i}].density`);
+    if (rng() < rate) {
+      w.vertex = Math.floor(rng() * g.chassis.vertices.length);
+      changed.push(`wheel[${i}].vertex`);
+    }
+    const s = w.suspension;
+    if (s) {
+      const gene = `wheel[${i}].suspension`;
+      s.axis = nudge(s.axis, L.suspensionAxis, `${gene}.axis`);
+      s.frequency = nudge(s.frequency, L.suspensionFrequency, `${gene}.frequency`);
+      s.dampingRatio = nudge(s.dampingRatio, L.suspensionDamping, `${gene}.dampingRatio`);
+      s.extension = nudge(s.extension, L.suspensionTravel, `${gene}.extension`);
+      s.compression = nudge(s.compression, L.suspensionTravel, `${gene}.compression`);
+    }
+    if (rng() < rate) {
+      if (s) delete w.suspension;
+      else w.suspension = createDefaultSuspension();
+      changed.push(`${s ? 'remove' : 'add'}-suspension[${i}]`);
+    }
+  });
+  g.motorTorque = nudge(g.motorTorque, L.motorTorque, 'motorTorque');
+  if (g.brain) {
+    const before = changed.length;
+    g.brain.weights = g.brain.weights.map((w) => nudge(w, L.brainWeight, 'brain'));
+    const count = changed.length - before;
+    // One entry for all brain weights, so logs stay short.
+    if (count > 0) changed.splice(before, count, `brain.weights(${count})`);
+  }
+
+  // Structural mutations. New vertices go between two neighbours so the
+  // existing wheel references keep pointing at the same corners.
+  const vertices = g.chassis.vertices;
+  if (rng() < rate && vertices.length < L.vertexCount.max) {
+    const i = Math.floor(rng() * vertices.length);
+    const next = vertices[(i + 1) % vertices.length];
+    // The last vertex's neighbour is the first one, a full turn on.
+    const wrap = i === vertices.length - 1 ? Math.PI * 2 : 0;
+    const span = next.angle + wrap - vertices[i].angle;
+    vertices.splice(i + 1, 0, {
+      angle: vertices[i].angle + span / 2,
+      radius: (vertices[i].radius + next.radius) / 2,
+    });
+    for (const w of g.wheels) {
+      if (w.vertex > i) w.vertex += 1;
+    }
+    changed.push('add-vertex');
+  }
+  if (rng() < rate && vertices.length > L.vertexCount.min) {
+    const i = Math.floor(rng() * vertices.length);
+    vertices.splice(i, 1);
+    g.wheels = g.wheels
+      .filter((w) => w.vertex !== i)
+      .map((w) => ({ ...w, vertex: w.vertex > i ? w.vertex - 1 : w.vertex }));
+    changed.push('remove-vertex');
+  }
+  if (rng() < rate && g.wheels.length < L.wheelCount.max) {
+    g.wheels.push({
+      vertex: Math.floor(rng() * vertices.length),
+      radius: (L.wheelRadius.min + L.wheelRadius.max) / 2,
+      density: 1,
+    });
+    changed.push('add-wheel');
+  }
+  if (rng() < rate && g.wheels.length > L.wheelCount.min) {
+    g.wheels.splice(Math.floor(rng() * g.wheels.length), 1);
+    changed.push('remove-wheel');
+  }
+
+  if (log) log.push(...changed);
+  return repairGenome(g);
+}
+
+// Brain of a crossover child, or undefined when neither parent has one.
+// Draws from `rng` only for two brains, so brainless runs are unchanged.
+function crossBrains(a, b, rng, method) {
+  if (!a || !b) return a ?? b;
+  const count = a.weights.length;
+  const cut = randomInt(rng, 1, count - 1);
+  const weights = a.weights.map((w, i) => {
+    const fromA = method === 'single-point' ? i < cut : rng() < 0.5;
+    return fromA ? w : b.weights[i];
+  });
+  return { weights };
+}
+
+// Treat missing or broken scores as the worst possible result. A finite
+// value keeps the comparator well defined for ties.
+function sanitize(fitness) {
+  return Number.isFinite(fitness) ? fitness : -Number.MAX_VALUE;
+}
@@ -0,0 +1,184 @@
+// fitness.js
+// Per-car fitness evaluation. A `FitnessEvaluator` watches one car while
+// the world is stepped, tracks how far and how fast it got, and decides
+// when its run is over:
+//  - stalled:  no forward progress for `stallTime` seconds
+//  - flipped:  the chassis touches the terrain while upside down
+//  - fell-off: the car left the end of the track or dropped below it
+//              (into a gap, or off the back of a streamed track)
+//  - wrecked:  the chassis took too much damage (see damage.js)
+//  - out-of-fuel: the motors used up the fuel budget (see energy.js)
+//  - timeout:  the time budget ran out
+// The resulting report is what the evolution loop scores genomes by:
+// the distance alone, or distance, energy used and mass together (see
+// pareto.js).
+
+import { DamageModel } from './damage.js';
+import { EnergyMeter } from './energy.js';
+
+/* Tunable defaults */
+export const DEFAULT_EVALUATION_OPTIONS = {
+  timeLimit: 60,        // seconds of simulated time per car
+  stallTime: 5,         // seconds without progress before giving up
+  minProgress: 0.25,    // meters the car must gain to count as progress
+  fallMargin: 5,        // meters below the lowest terrain point = fell off
+  damage: true,         // model damage; true, false or DEFAULT_DAMAGE_OPTIONS overrides
+  fuel: null,           // joules the motors may use; null = unlimited
+};
+
+/** Reasons a run can end. */
+export const TERMINATION = {
+  STALLED: 'stalled',
+  FLIPPED: 'flipped',
+  FELL_OFF: 'fell-off',
+  WRECKED: 'wrecked',
+  OUT_OF_FUEL: 'out-of-fuel',
+  TIMEOUT: 'timeout',
+};
+
+export class FitnessEvaluator {
+  /**
+   * Start evaluating a car. Registers contact listeners on `world` (and
+   * a `DamageModel` unless `opts.damage` is false); call `dispose()` when
+   * the evaluator is no longer needed.
+   *
+   * @param {Object} world - Planck World the car lives in.
+   * @param {{ chassis: Object }} vehicle - Car parts as returned by `buildCar`.
+   * @param {{ endX: number, minY: number }} terrain - Track extents as
+   *   returned by `createWorld` (a `TerrainStream` keeps them up to date).
+   *   Ground bodies are recognised by their `{ role: 'ground' }` user data.
+   * @param {Object} [opts] Overrides for `DEFAULT_EVALUATION_OPTIONS`.
+   */
+  constructor(world, vehicle, terrain, opts = {}) {
+    this.world = world;
+    this.vehicle = vehicle;
+    this.terrain = terrain;
+    this.options = { ...DEFAULT_EVALUATION_OPTIONS, ...opts };
+
+    const start = vehicle.chassis.getPosition();
+    this.startX = start.x;
+    this.maxX = start.x;
+    this.time = 0;
+    this.reason = null;
+    // Damage taken so far: wheels torn off and every damage event with
+    // the time it happened (see DamageEvent in damage.js).
+    this.wheelsLost = 0;
+    this.damageEvents = [];
+    this.damage = this.options.damage
+      ? new DamageModel(world, vehicle, this.options.damage === true ? {} : this.options.damage)
+      : null;
+    this.energy = new EnergyMeter(vehicle, { fuel: this.options.fuel ?? Infinity });
+    // Mass of the whole car as built, in kilograms.
+    this.mass = [vehicle.chassis, ...vehicle.wheels].reduce((sum, b) => sum + b.getMass(), 0);
+
+    this._progressX = start.x;
+    this._lastProgressTime = 0;
+    // Chassis/terrain contacts currently touching. A count rather than a
+    // flag, since a polygon can touch several chain segments at once.
+    this._groundContacts = 0;
+
+    this._onBeginContact = (contact) => {
+      if (this._isChassisOnGround(contact)) this._groundContacts += 1;
+    };
+    this._onEndContact = (contact) => {
+      if (this._isChassisOnGround(contact)) {
+        this._groundContacts = Math.max(0, this._groundContacts - 1);
+      }
+    };
+    world.on('begin-contact', this._onBeginContact);
+    world.on('end-contact', this._onEndContact);
+  }
+
+  /** @returns {boolean} true once the run has ended. */
+  get done() {
+    return this.reason !== null;
+  }
+
+  /**
+   * Update the measurements after the world has been stepped by `dt`.
+   * Does nothing once the run has ended.
+   *
+   * @param {number} dt Seconds the world was just advanced by.
+   * @returns {boolean} true if the run has ended.
+   */
+  step(dt) {
+    if (this.done) return true;
+    const o = this.options;
+    const chassis = this.vehicle.chassis;
+    const p = chassis.getPosition();
+    this.time += dt;
+    this.maxX = Math.max(this.maxX, p.x);
+    this.energy.step(dt);
+    if (this.damage) {
+      for (const event of this.damage.step(dt)) {
+        if (event.type === 'wheel-detached') this.wheelsLost += 1;
+        this.damageEvents.push({ time: this.time, ...event });
+      }
+    }
+
+    if (this.maxX >= this._progressX + o.minProgress) {
+      this._progressX = this.maxX;
+      this._lastProgressTime = this.time;
+    }
+
+    if (p.x > this.terrain.endX || p.y < this.terrain.minY - o.fallMargin) {
+      this.reason = TERMINATION.FELL_OFF;
+    } else if (this.damage && this.damage.wrecked) {
+      this.reason = TERMINATION.WRECKED;
+    } else if (this.energy.outOfFuel) {
+      this.reason = TERMINATION.OUT_OF_FUEL;
+    } else if (this._groundContacts > 0 && Math.cos(chassis.getAngle()) < 0) {
+      this.reason = TERMINATION.FLIPPED;
+    } else if (this.time - this._lastProgressTime >= o.stallTime) {
+      this.reason = TERMINATION.STALLED;
+    } else if (this.time >= o.timeLimit) {
+      this.reason = TERMINATION.TIMEOUT;
+    }
+    return this.done;
+  }
+
+  /**
+   * Summarize the run so far.
+   *
+   * @returns {{ fitness: number, distance: number, maxX: number,
+   *   averageSpeed: number, time: number, damage: number, wheelsLost: number,
+   *   energy: number, mass: number, done: boolean, reason: ?string }}
+   *   `fitness` is the maximum forward distance in meters; `averageSpeed`
+   *   is that distance divided by the elapsed time (m/s); `damage` is the
+   *   chassis damage from 0 to 1; `energy` the joules the motors used and
+   *   `mass` the car's mass in kilograms.
+   */
+  report() {
+    const distance = Math.max(0, this.maxX - this.startX);
+    return {
+      fitness: distance,
+      distance,
+      maxX: this.maxX,
+      averageSpeed: this.time > 0 ? distance / this.time : 0,
+      time: this.time,
+      damage: this.vehicle.damage,
+      wheelsLost: this.wheelsLost,
+      energy: this.energy.energy,
+      mass: this.mass,
+      done: this.done,
+      reason: this.reason,
+    };
+  }
+
+  /** Remove the contact listeners from the world. */
+  dispose() {
+    this.world.off('begin-contact', this._onBeginContact);
+    this.world.off('end-contact', this._onEndContact);
+    if (this.damage) this.damage.dispose();
+  }
+
+  // ---------- private helpers ----------
+
+  _isChassisOnGround(contact) {
+    const a = contact.getFixtureA().getBody();
+    const b = contact.getFixtureB().getBody();
+    const chassis = this.vehicle.chassis;
+    const isGround = (body) => body.getUserData()?.role === 'ground';
+    return (a === chassis && isGround(b)) || (isGround(a) && b === chassis);
+  }
+}
@@ -0,0 +1,537 @@
+// genome.js
+// Serializable description of a car. A genome is a plain JSON-friendly
+// object, so it can be stored, mutated and bred without touching Planck.
+// The chassis is described as a star-shaped polygon: every vertex is an
+// angle around the chassis origin plus a distance (radius) from it.
+// Wheels are attached to chassis vertices by index, either rigidly or
+// through an optional spring-damper suspension.
+//
+//   {
+//     chassis: { vertices: [{ angle, radius }, ...], density },
+//     wheels: [{ vertex, radius, density, suspension? }, ...],
+//     motorTorque,
+//     brain?: { weights: [...] },
+//   }
+//
+//   suspension: { axis, frequency, dampingRatio, extension, compression }
+//
+// `axis` is the direction the wheel slides along, as an angle in chassis
+// space (PI/2 = straight up). `frequency` (Hz) and `dampingRatio` tune the
+// spring; `extension` and `compression` are how far (meters) the wheel may
+// travel down and up from where it was mounted.
+//
+// The optional `brain` holds the weights of a small neural network that
+// drives the wheel motors (see controller.js); cars without one run their
+// motors at a fixed speed. Its size is fixed by `BRAIN_LAYOUT`, so brains
+// of different cars can be crossed weight by weight.
+//
+// Random or bred genomes are not guaranteed to describe a car that Planck
+// can simulate (e.g. a concave or collapsed chassis), so this module also
+// validates genomes and repairs invalid ones into the nearest valid car.
+
+import { randomRange, randomInt } from './random.js';
+
+const TWO_PI = Math.PI * 2;
+
+/* Gene ranges. Planck polygons hold at most 8 vertices. */
+export const GENOME_LIMITS = {
+  vertexCount: { min: 3, max: 8 },
+  vertexRadius: { min: 0.2, max: 2.0 },
+  wheelCount: { min: 1, max: 4 },
+  wheelRadius: { min: 0.15, max: 1.0 },
+  density: { min: 0.2, max: 5.0 },
+  motorTorque: { min: 5.0, max: 80.0 },
+  suspensionAxis: { min: Math.PI / 4, max: (Math.PI * 3) / 4 },
+  suspensionFrequency: { min: 1.0, max: 12.0 },
+  suspensionDamping: { min: 0.05, max: 1.0 },
+  suspensionTravel: { min: 0.0, max: 0.5 },
+  brainWeight: { min: -3.0, max: 3.0 },
+};
+
+/**
+ * Neuron counts of the brain network: inputs (sensors, see controller.js),
+ * one tanh hidden layer and two tanh outputs (motor speed and torque) per
+ * wheel slot. Every layer also has a bias input.
+ */
+export const BRAIN_LAYOUT = Object.freeze({
+  inputs: 12,
+  hidden: 8,
+  outputs: 2 * GENOME_LIMITS.wheelCount.max,
+});
+
+/** Number of weights in a brain gene. */
+export const BRAIN_WEIGHT_COUNT =
+  BRAIN_LAYOUT.hidden * (BRAIN_LAYOUT.inputs + 1) + BRAIN_LAYOUT.outputs * (BRAIN_LAYOUT.hidden + 1);
+
+// Chance that a wheel of a random genome gets a suspension.
+const SUSPENSION_CHANCE = 0.5;
+
+// Smallest allowed angle between neighbouring vertices (radians). Keeps
+// vertices far enough apart that Planck does not weld them together.
+const MIN_VERTEX_GAP = 0.15;
+// Largest allowed angle between neighbouring vertices. A gap of PI or
+// more would leave the chassis origin outside the polygon.
+const MAX_VERTEX_GAP = Math.PI * 0.9;
+// Smallest allowed chassis area (square meters).
+const MIN_CHASSIS_AREA = 0.1;
+// Minimum turn (cross product) at each corner for it to count as convex.
+const CONVEX_EPSILON = 1e-4;
+// Upper bound for convexity repair passes before falling back to a
+// regular polygon.
+const MAX_REPAIR_PASSES = 32;
+
+/**
+ * Create the reference genome: a 2 x 0.5 m box chassis with two 0.4 m
+ * wheels on its bottom corners. This is the car the simulation used
+ * before genomes existed and is a handy starting point for tests.
+ *
+ * @returns {Object} a new, valid genome.
+ */
+export function createDefaultGenome() {
+  const cornerAngle = Math.atan2(0.25, 1);
+  const cornerRadius = Math.hypot(1, 0.25);
+  return {
+    chassis: {
+      vertices: [
+        { angle: cornerAngle, radius: cornerRadius },
+        { angle: Math.PI - cornerAngle, radius: cornerRadius },
+        { angle: Math.PI + cornerAngle, radius: cornerRadius },
+        { angle: TWO_PI - cornerAngle, radius: cornerRadius },
+      ],
+      density: 1,
+    },
+    wheels: [
+      { vertex: 2, radius: 0.4, density: 1 },
+      { vertex: 3, radius: 0.4, density: 1 },
+    ],
+    motorTorque: 20,
+  };
+}
+
+/**
+ * Create a middle-of-the-road suspension gene: vertical, 4 Hz, 0.7
+ * damping and 0.15 m of travel each way.
+ *
+ * @returns {Object} a new, valid suspension gene.
+ */
+export function createDefaultSuspension() {
+  return { axis: Math.PI / 2, frequency: 4, dampingRatio: 0.7, extension: 0.15, compression: 0.15 };
+}
+
+/**
+ * Create a random suspension gene.
+ *
+ * @param {() => number} [rng=Math.random] Uniform random source in [0, 1).
+ * @returns {Object} a new, valid suspension gene.
+ */
+export function randomSuspension(rng = Math.random) {
+  const L = GENOME_LIMITS;
+  return {
+    axis: randomRange(rng, L.suspensionAxis.min, L.suspensionAxis.max),
+    frequency: randomRange(rng, L.suspensionFrequency.min, L.suspensionFrequency.max),
+    dampingRatio: randomRange(rng, L.suspensionDamping.min, L.suspensionDamping.max),
+    extension: randomRange(rng, L.suspensionTravel.min, L.suspensionTravel.max),
+    compression: randomRange(rng, L.suspensionTravel.min, L.suspensionTravel.max),
+  };
+}
+
+/**
+ * Create a random brain gene.
+ *
+ * @param {() => number} [rng=Math.random] Uniform random source in [0, 1).
+ * @returns {{ weights: number[] }} a new, valid brain gene.
+ */
+export function randomBrain(rng = Math.random) {
+  const L = GENOME_LIMITS;
+  const weights = [];
+  for (let i = 0; i < BRAIN_WEIGHT_COUNT; i++) {
+    weights.push(randomRange(rng, L.brainWeight.min, L.brainWeight.max));
+  }
+  return { weights };
+}
+
+/**
+ * Create a random genome. The result is repaired before it is returned,
+ * so it is always valid.
+ *
+ * @param {() => number} [rng=Math.random] Uniform random source in [0, 1).
+ * @param {Object} [opts]
+ * @param {boolean} [opts.brain=false] - Give the car a random brain.
+ * @returns {Object} a new, valid genome.
+ */
+export function randomGenome(rng = Math.random, opts = {}) {
+  const L = GENOME_LIMITS;
+  const vertexCount = randomInt(rng, L.vertexCount.min, L.vertexCount.max);
+  const angles = [];
+  for (let i = 0; i < vertexCount; i++) {
+    angles.push(rng() * TWO_PI);
+  }
+  angles.sort((a, b) => a - b);
+  const vertices = angles.map((angle) => ({
+    angle,
+    radius: randomRange(rng, L.vertexRadius.min, L.vertexRadius.max),
+  }));
+
+  // Pick distinct vertices for the wheels.
+  const wheelCount = randomInt(rng, L.wheelCount.min, Math.min(L.wheelCount.max, vertexCount));
+  const free = vertices.map((_, i) => i);
+  const wheels = [];
+  for (let i = 0; i < wheelCount; i++) {
+    const [vertex] = free.splice(Math.floor(rng() * free.length), 1);
+    const wheel = {
+      vertex,
+      radius: randomRange(rng, L.wheelRadius.min, L.wheelRadius.max),
+      density: randomRange(rng, L.density.min, L.density.max),
+    };
+    if (rng() < SUSPENSION_CHANCE) wheel.suspension = randomSuspension(rng);
+    wheels.push(wheel);
+  }
+
+  return repairGenome({
+    chassis: {
+      vertices,
+      density: randomRange(rng, L.density.min, L.density.max),
+    },
+    wheels,
+    motorTorque: randomRange(rng, L.motorTorque.min, L.motorTorque.max),
+    ...(opts.brain ? { brain: randomBrain(rng) } : {}),
+  });
+}
+
+/**
+ * Deep copy a genome.
+ * @param {Object} genome
+ * @returns {Object}
+ */
+export function cloneGenome(genome) {
+  return JSON.parse(JSON.stringify(genome));
+}
+
+/**
+ * Chassis vertices in chassis-local coordinates (meters), in the order
+ * they appear in the genome.
+ *
+ * @param {Object} genome A valid genome.
+ * @returns {{ x: number, y: number }[]}
+ */
+export function chassisPoints(genome) {
+  return genome.chassis.vertices.map(toPoint);
+}
+
+/**
+ * Check a genome without modifying it.
+ *
+ * @param {*} genome Value to check.
+ * @returns {string[]} human readable problems; empty when the genome is valid.
+ */
+export function validateGenome(genome) {
+  const L = GENOME_LIMITS;
+  const problems = [];
+  if (!isObject(genome)) {
+    return ['genome must be an object'];
+  }
+  const chassis = genome.chassis;
+  if (!isObject(chassis) || !Array.isArray(chassis.vertices)) {
+    problems.push('chassis.vertices must be an array');
+  } else {
+    const vertices = chassis.vertices;
+    if (vertices.length < L.vertexCount.min || vertices.length > L.vertexCount.max) {
+      problems.push(`chassis must have ${L.vertexCount.min}-${L.vertexCount.max} vertices, got ${vertices.length}`);
+    }
+    vertices.forEach((v, i) => {
+      if (!isObject(v) || !Number.isFinite(v.angle) || v.angle < 0 || v.angle >= TWO_PI) {
+        problems.push(`chassis.vertices[${i}].angle must be in [0, 2PI)`);
+      }
+      if (!isObject(v) || !inRange(v.radius, L.vertexRadius)) {
+        problems.push(`chassis.vertices[${i}].radius out of range`);
+      }
+    });
+    if (problems.length === 0) {
+      const gaps = vertexGaps(vertices);
+      if (gaps.some((g) => g < MIN_VERTEX_GAP || g > MAX_VERTEX_GAP)) {
+        problems.push('chassis vertices must be sorted by angle and evenly enough spread');
+      } else {
+        const points = vertices.map(toPoint);
+        if (!isConvex(points)) {
+          problems.push('chassis polygon must be convex');
+        }
+        if (polygonArea(points) < MIN_CHASSIS_AREA) {
+          problems.push('chassis polygon is degenerate (area too small)');
+        }
+      }
+    }
+    if (!inRange(chassis.density, L.density)) {
+      problems.push('chassis.density out of range');
+    }
+  }
+
+  if (!Array.isArray(genome.wheels)) {
+    problems.push('wheels must be an array');
+  } else {
+    const wheels = genome.wheels;
+    if (wheels.length < L.wheelCount.min || wheels.length > L.wheelCount.max) {
+      problems.push(`car must have ${L.wheelCount.min}-${L.wheelCount.max} wheels, got ${wheels.length}`);
+    }
+    const vertexCount = chassis && Array.isArray(chassis.vertices) ? chassis.vertices.length : 0;
+    const used = new Set();
+    wheels.forEach((w, i) => {
+      if (!isObject(w) || !Number.isInteger(w.vertex) || w.vertex < 0 || w.vertex >= vertexCount) {
+        problems.push(`wheels[${i}].vertex must reference a chassis vertex`);
+      } else if (used.has(w.vertex)) {
+        problems.push(`wheels[${i}] shares vertex ${w.vertex} with another wheel`);
+      } else {
+        used.add(w.vertex);
+      }
+      if (!isObject(w) || !inRange(w.radius, L.wheelRadius)) {
+        problems.push(`wheels[${i}].radius out of range`);
+      }
+      if (!isObject(w) || !inRange(w.density, L.density)) {
+        problems.push(`wheels[${i}].density out of range`);
+      }
+      if (isObject(w) && w.suspension !== undefined) {
+        problems.push(...validateSuspension(w.suspension, `wheels[${i}].suspension`));
+      }
+    });
+  }
+
+  if (!inRange(genome.motorTorque, L.motorTorque)) {
+    problems.push('motorTorque out of range');
+  }
+  if (genome.brain !== undefined) {
+    problems.push(...validateBrain(genome.brain));
+  }
+  return problems;
+}
+
+/**
+ * Turn any genome-like value into a valid genome. Valid genomes are
+ * returned as an equal copy. Invalid genes are clamped, missing genes are
+ * filled in, vertices are sorted and spread out, and concave chassis
+ * vertices are pushed outwards until the polygon is convex.
+ *
+ * The input is never modified.
+ *
+ * @param {*} genome Possibly invalid genome.
+ * @returns {Object} a new, valid genome.
+ */
+export function repairGenome(genome) {
+  const L = GENOME_LIMITS;
+  const fallback = createDefaultGenome();
+  const source = isObject(genome) ? genome : {};
+  const chassis = isObject(source.chassis) ? source.chassis : {};
+
+  // --- Chassis vertices ---
+  // Keep the original index with each vertex so wheels can be remapped
+  // after sorting.
+  let vertices = (Array.isArray(chassis.vertices) ? chassis.vertices : [])
+    .map((v, index) => ({ v, index }))
+    .filter(({ v }) => isObject(v) && Number.isFinite(v.angle) && Number.isFinite(v.radius))
+    .slice(0, L.vertexCount.max)
+    .map(({ v, index }) => ({
+      angle: wrapAngle(v.angle),
+      radius: clamp(v.radius, L.vertexRadius),
+      index,
+    }));
+  if (vertices.length < L.vertexCount.min) {
+    vertices = fallback.chassis.vertices.map((v) => ({ ...v, index: -1 }));
+  }
+  vertices.sort((a, b) => a.angle - b.angle);
+
+  const gaps = vertexGaps(vertices);
+  if (gaps.some((g) => g < MIN_VERTEX_GAP || g > MAX_VERTEX_GAP)) {
+    // Respace evenly, keeping the order and the first vertex's angle.
+    const start = vertices[0].angle;
+    vertices.forEach((v, i) => {
+      v.angle = wrapAngle(start + (i * TWO_PI) / vertices.length);
+    });
+    vertices.sort((a, b) => a.angle - b.angle);
+  }
+  makeConvex(vertices);
+
+  const area = polygonArea(vertices.map(toPoint));
+  if (area < MIN_CHASSIS_AREA) {
+    const grow = Math.sqrt(MIN_CHASSIS_AREA / Math.max(area, 1e-6));
+    vertices.forEach((v) => {
+      v.radius = clamp(v.radius * grow, L.vertexRadius);
+    });
+    makeConvex(vertices);
+  }
+
+  // --- Wheels ---
+  const remap = new Map();
+  vertices.forEach((v, i) => {
+    if (v.index >= 0) remap.set(v.index, i);
+  });
+  const used = new Set();
+  const wheels = [];
+  for (const w of Array.isArray(source.wheels) ? source.wheels : []) {
+    if (!isObject(w) || !Number.isFinite(w.vertex)) continue;
+    const vertex = remap.get(Math.round(w.vertex));
+    if (vertex === undefined || used.has(vertex)) continue;
+    used.add(vertex);
+    const wheel = {
+      vertex,
+      radius: clampOr(w.radius, L.wheelRadius, 0.4),
+      density: clampOr(w.density, L.density, 1),
+    };
+    if (isObject(w.suspension)) wheel.suspension = repairSuspension(w.suspension);
+    wheels.push(wheel);
+    if (wheels.length === L.wheelCount.max) break;
+  }
+  if (wheels.length === 0) {
+    // A car without wheels cannot drive; put one on the lowest vertex.
+    let lowest = 0;
+    vertices.forEach((v, i) => {
+      if (toPoint(v).y < toPoint(vertices[lowest]).y) lowest = i;
+    });
+    wheels.push({ vertex: lowest, radius: 0.4, density: 1 });
+  }
+
+  return {
+    chassis: {
+      vertices: vertices.map(({ angle, radius }) => ({ angle, radius })),
+      density: clampOr(chassis.density, L.density, fallback.chassis.density),
+    },
+    wheels,
+    motorTorque: clampOr(source.motorTorque, L.motorTorque, fallback.motorTorque),
+    ...(isObject(source.brain) ? { brain: repairBrain(source.brain) } : {}),
+  };
+}
+
+// ---------- private helpers ----------
+
+function validateSuspension(s, path) {
+  const L = GENOME_LIMITS;
+  if (!isObject(s)) return [`${path} must be an object`];
+  const problems = [];
+  const check = (key, range) => {
+    if (!inRange(s[key], range)) problems.push(`${path}.${key} out of range`);
+  };
+  check('axis', L.suspensionAxis);
+  check('frequency', L.suspensionFrequency);
+  check('dampingRatio', L.suspensionDamping);
+  check('extension', L.suspensionTravel);
+  check('compression', L.suspensionTravel);
+  return problems;
+}
+
+function repairSuspension(s) {
+  const L = GENOME_LIMITS;
+  const fallback = createDefaultSuspension();
+  return {
+    axis: clampOr(s.axis, L.suspensionAxis, fallback.axis),
+    frequency: clampOr(s.frequency, L.suspensionFrequency, fallback.frequency),
+    dampingRatio: clampOr(s.dampingRatio, L.suspensionDamping, fallback.dampingRatio),
+    extension: clampOr(s.extension, L.suspensionTravel, fallback.extension),
+    compression: clampOr(s.compression, L.suspensionTravel, fallback.compression),
+  };
+}
+
+function validateBrain(brain) {
+  if (!isObject(brain) || !Array.isArray(brain.weights)) return ['brain.weights must be an array'];
+  if (brain.weights.length !== BRAIN_WEIGHT_COUNT) {
+    return [`brain must have ${BRAIN_WEIGHT_COUNT} weights, got ${brain.weights.length}`];
+  }
+  const bad = brain.weights.findIndex((w) => !inRange(w, GENOME_LIMITS.brainWeight));
+  return bad < 0 ? [] : [`brain.weights[${bad}] out of range`];
+}
+
+// Missing weights become 0 (no connection); extra ones are dropped.
+function repairBrain(brain) {
+  const weights = Array.isArray(brain.weights) ? brain.weights : [];
+  return {
+    weights: Array.from({ length: BRAIN_WEIGHT_COUNT }, (_, i) => clampOr(weights[i], GENOME_LIMITS.brainWeight, 0)),
+  };
+}
+
+// Push concave vertices outwards until every corner turns left. Works in
+// place on sorted { angle, radius } vertices.
+function makeConvex(vertices) {
+  const L = GENOME_LIMITS;
+  const n = vertices.length;
+  for (let pass = 0; pass < MAX_REPAIR_PASSES; pass++) {
+    let changed = false;
+    for (let i = 0; i < n; i++) {
+      const prev = toPoint(vertices[(i + n - 1) % n]);
+      const next = toPoint(vertices[(i + 1) % n]);
+      const cur = toPoint(vertices[i]);
+      if (cross(sub(cur, prev), sub(next, cur)) > CONVEX_EPSILON) continue;
+      // Distance from origin to the prev-next line along this vertex's ray.
+      const dir = { x: Math.cos(vertices[i].angle), y: Math.sin(vertices[i].angle) };
+      const edge = sub(next, prev);
+      const denom = cross(dir, edge);
+      if (Math.abs(denom) < 1e-9) continue;
+      const reach = cross(prev, edge) / denom;
+      vertices[i].radius = clamp(reach * 1.05 + 0.01, L.vertexRadius);
+      changed = true;
+    }
+    if (!changed) return;
+  }
+  if (!isConvex(vertices.map(toPoint))) {
+    // Could not fix within the radius limits: points on a circle are
+    // always convex.
+    const mean = vertices.reduce((s, v) => s + v.radius, 0) / n;
+    vertices.forEach((v) => {
+      v.radius = mean;
+    });
+  }
+}
+
+function vertexGaps(vertices) {
+  return vertices.map((v, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    return i === vertices.length - 1 ? next.angle + TWO_PI - v.angle : next.angle - v.angle;
+  });
+}
+
+function isConvex(points) {
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    const a = points[(i + n - 1) % n];
+    const b = points[i];
+    const c = points[(i + 1) % n];
+    if (cross(sub(b, a), sub(c, b)) <= CONVEX_EPSILON) return false;
+  }
+  return true;
+}
+
+function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    sum += cross(points[i], points[(i + 1) % points.length]);
+  }
+  return sum / 2;
+}
+
+function toPoint(v) {
+  return { x: Math.cos(v.angle) * v.radius, y: Math.sin(v.angle) * v.radius };
+}
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y };
+}
+
+function cross(a, b) {
+  return a.x * b.y - a.y * b.x;
+}
+
+function wrapAngle(a) {
+  const r = a % TWO_PI;
+  return r < 0 ? r + TWO_PI : r;
+}
+
+function clamp(value, range) {
+  return Math.min(range.max, Math.max(range.min, value));
+}
+
+function clampOr(value, range, fallback) {
+  return Number.isFinite(value) ? clamp(value, range) : fallback;
+}
+
+function inRange(value, range) {
+  return Number.isFinite(value) && value >= range.min && value <= range.max;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
@@ -0,0 +1,198 @@
+// ground.js
+// Turns tracks (see terrain.js) into static Planck ground bodies. A fixed
+// track becomes one body up front. A streamed track becomes a
+// `TerrainStream`, which keeps one body per chunk alive around the
+// running cars: after every step it generates the chunks coming up ahead
+// of the lead car and destroys chunks (and left-over wrecks) far behind
+// the rearmost car still running, so an endless run keeps a bounded
+// number of bodies and a bounded step cost, and every car of a shared
+// generation world drives on the same ground it would drive on alone.
+//
+// Every ground body's user data is `{ role: 'ground' }` and every ground
+// fixture's `{ material }`; the fitness evaluator and the renderer rely on
+// both.
+
+import { pl, Vec2 } from './planck.js';
+import { MATERIALS, generateChunk, chunkIndexAt } from './terrain.js';
+
+/**
+ * Create the ground of a track.
+ *
+ * @param {pl.World} world World to create the ground in.
+ * @param {Object} track Track from `generateTerrain`.
+ * @param {Object} [opts]
+ * @param {number} [opts.groundFriction] - Friction of plain 'ground';
+ *   defaults to `MATERIALS.ground.friction`. Other materials keep theirs.
+ * @returns {Object} for a fixed track the track data plus its ground
+ *   `body`; for a streamed track a `TerrainStream`.
+ */
+export function createGround(world, track, opts = {}) {
+  applySurfaceDamping(world);
+  const materials = materialTable(opts);
+  if (track.streaming) return new TerrainStream(world, track, materials);
+  return { ...track, body: createGroundBody(world, track, materials) };
+}
+
+export class TerrainStream {
+  /**
+   * Start streaming a track: generates the chunks from the run-back
+   * behind the start line to `aheadDistance` past it.
+   *
+   * @param {pl.World} world World to create the ground in.
+   * @param {Object} track Streamed track from `generateTerrain`.
+   * @param {Object} [materials=MATERIALS] Material name -> surface
+   *   properties used for the ground.
+   */
+  constructor(world, track, materials = MATERIALS) {
+    this.world = world;
+    this.materials = materials;
+    this.seed = track.seed;
+    this.options = track.options;
+    this.streaming = true;
+    this.segmentWidth = track.segmentWidth;
+    this.endX = Infinity;
+    // Lowest ground generated so far; cars below it fell off.
+    this.minY = Infinity;
+    // Chunk index -> { chunk, body } for the chunks currently in the world.
+    this.chunks = new Map();
+    this._first = chunkIndexAt(this.options, track.startX);
+    this._next = this._first;
+    this.update({ lead: 0, rear: 0 });
+  }
+
+  /** @returns {number} x where the generated ground currently begins. */
+  get startX() {
+    const first = this.chunks.get(this._first);
+    return first ? first.chunk.startX : Infinity;
+  }
+
+  /**
+   * Generate and destroy chunks around the running cars. Called by
+   * `stepWorld` after every step.
+   *
+   * Ground is generated up to `aheadDistance` past the lead car and kept
+   * down to `behindDistance` behind the rearmost car. Bodies of
+   * eliminated cars and torn-off wheels behind the kept ground are
+   * destroyed with it; a car that reverses further than that falls and
+   * drops out of the run.
+   *
+   * @param {{ lead: number, rear: number }} [span] x of the lead and the
+   *   rearmost car. Defaults to the furthest and the rearmost chassis of
+   *   the cars that have not been eliminated; without one nothing changes.
+   */
+  update(span = this._runningSpan()) {
+    if (span === null) return;
+    const o = this.options;
+    const last = chunkIndexAt(o, span.lead + o.aheadDistance);
+    for (; this._next <= last; this._next++) {
+      const chunk = generateChunk(o, this._next);
+      this.chunks.set(this._next, { chunk, body: createGroundBody(this.world, chunk, this.materials) });
+      this.minY = Math.min(this.minY, chunk.minY);
+    }
+
+    const rear = span.rear - o.behindDistance;
+    for (; this._first < this._next - 1; this._first++) {
+      const entry = this.chunks.get(this._first);
+      if (entry.chunk.endX >= rear) break;
+      this.world.destroyBody(entry.body);
+      this.chunks.delete(this._first);
+    }
+    for (let b = this.world.getBodyList(), next; b; b = next) {
+      next = b.getNext();
+      const data = b.getUserData();
+      if (!data || !data.vehicle || b.getPosition().x >= rear) continue;
+      if (data.vehicle.eliminated || data.detached) this.world.destroyBody(b);
+    }
+  }
+
+  // ---------- private helpers ----------
+
+  _runningSpan() {
+    let span = null;
+    for (let b = this.world.getBodyList(); b; b = b.getNext()) {
+      const data = b.getUserData();
+      if (!data || data.role !== 'chassis' || data.vehicle.eliminated) continue;
+      const x = b.getPosition().x;
+      if (span === null) span = { lead: x, rear: x };
+      span.lead = Math.max(span.lead, x);
+      span.rear = Math.min(span.rear, x);
+    }
+    return span;
+  }
+}
+
+/**
+ * Build one static ground body: an open chain per ground segment and a
+ * polygon per obstacle, each with the friction and restitution of its
+ * material.
+ * @param {pl.World} world World to create the body in.
+ * @param {{ segments: Object[], obstacles: Object[] }} part Track or chunk.
+ * @param {Object} materials Material name -> surface properties.
+ * @returns {pl.Body} the ground body.
+ */
+function createGroundBody(world, part, materials) {
+  const ground = world.createBody({ userData: { role: 'ground' } });
+  const fixture = (material) => ({
+    friction: materials[material].friction,
+    restitution: materials[material].restitution,
+    userData: { material },
+  });
+  for (const segment of part.segments) {
+    const points = segment.points.map((p) => Vec2(p.x, p.y));
+    ground.createFixture(pl.Chain(points, false), fixture(segment.material));
+  }
+  for (const obstacle of part.obstacles) {
+    const vertices = obstacle.vertices.map((p) => Vec2(p.x, p.y));
+    ground.createFixture(pl.Polygon(vertices), fixture(obstacle.material));
+  }
+  return ground;
+}
+
+/**
+ * `MATERIALS` with the `createGround` overrides applied.
+ * @param {{ groundFriction?: number }} opts
+ * @returns {Object} material name -> surface properties.
+ */
+function materialTable(opts) {
+  if (opts.groundFriction === undefined) return MATERIALS;
+  return { ...MATERIALS, ground: { ...MATERIALS.ground, friction: opts.groundFriction } };
+}
+
+/**
+ * Give bodies the linear damping of the ground material they touch (mud)
+ * for as long as they touch it, then restore their own damping.
+ * @param {pl.World} world World the ground lives in.
+ */
+function applySurfaceDamping(world) {
+  // Body -> { count, damping } for bodies touching damped ground, where
+  // `damping` is the body's own value to restore.
+  const touching = new Map();
+  const dampedBody = (contact) => {
+    const a = contact.getFixtureA();
+    const b = contact.getFixtureB();
+    const surface = a.getUserData()?.material ? a : b.getUserData()?.material ? b : null;
+    if (!surface) return null;
+    const material = MATERIALS[surface.getUserData().material];
+    if (!material || !(material.damping > 0)) return null;
+    return { body: (surface === a ? b : a).getBody(), damping: material.damping };
+  };
+
+  world.on('begin-contact', (contact) => {
+    const hit = dampedBody(contact);
+    if (!hit) return;
+    let entry = touching.get(hit.body);
+    if (!entry) {
+      entry = { count: 0, damping: hit.body.getLinearDamping() };
+      touching.set(hit.body, entry);
+    }
+    entry.count++;
+    hit.body.setLinearDamping(Math.max(entry.damping, hit.damping));
+  });
+  world.on('end-contact', (contact) => {
+    const hit = dampedBody(contact);
+    const entry = hit && touching.get(hit.body);
+    if (!entry || --entry.count > 0) return;
+    hit.body.setLinearDamping(entry.damping);
+    touching.delete(hit.body);
+  });
+}
@@ -0,0 +1,71 @@
+// headless.js
+// Browser-free simulation helpers. These run the same fixed-timestep
+// physics as app.js, but as fast as the CPU allows and without rendering,
+// so genomes can be scored in Node (see bin/simulate.mjs) or anywhere
+// else without a canvas or requestAnimationFrame.
+
+import { createWorld, stepWorld } from './world.js';
+import { FitnessEvaluator } from './fitness.js';
+import { generateTerrain } from './terrain.js';
+import { DEFAULT_CONFIG } from './config.js';
+
+/* Tunable defaults */
+export const DEFAULT_TIME_STEP = DEFAULT_CONFIG.timeStep; // same 60 Hz physics as app.js
+
+/**
+ * Simulate one genome until its run ends.
+ *
+ * @param {Object} genome Car genome. Invalid genomes are repaired first.
+ * @param {Object} [opts]
+ * @param {number} [opts.timeStep=1/60] - Fixed physics step (seconds).
+ * @param {Object} [opts.terrain] - Track from `generateTerrain`. Defaults
+ *   to the default track.
+ * @param {Object} [opts.physics] - Physics settings (see `createWorld`).
+ * @param {Object} [opts.evaluation] - Overrides for the fitness evaluator
+ *   (see `DEFAULT_EVALUATION_OPTIONS` in fitness.js).
+ * @returns {Object} the fitness report (see `FitnessEvaluator#report`).
+ */
+export function simulateGenome(genome, opts = {}) {
+  const dt = opts.timeStep ?? DEFAULT_TIME_STEP;
+  const { world, vehicle, terrain } = createWorld(genome, {
+    terrain: opts.terrain,
+    physics: opts.physics,
+  });
+  const evaluator = new FitnessEvaluator(world, vehicle, terrain, opts.evaluation);
+  do {
+    stepWorld(world, dt);
+  } while (!evaluator.step(dt));
+  evaluator.dispose();
+  return evaluator.report();
+}
+
+/**
+ * Simulate every genome of a population one after another. All cars
+ * drive the same track.
+ *
+ * @param {Object[]} genomes Car genomes.
+ * @param {Object} [opts] Same options as `simulateGenome`.
+ * @returns {Object[]} one fitness report per genome, in input order.
+ */
+export function simulatePopulation(genomes, opts = {}) {
+  const terrain = opts.terrain ?? generateTerrain();
+  return genomes.map((genome) => simulateGenome(genome, { ...opts, terrain }));
+}
+
+/**
+ * Run one evaluation job as posted to an evaluation worker (see
+ * evaluation-pool.js). Errors are returned rather than thrown, so the
+ * worker can always answer.
+ *
+ * @param {{ id: number, genomes: Object[], options: Object }} job
+ *   `options` are the same as for `simulatePopulation`.
+ * @returns {{ id: number, reports?: Object[], error?: string }} the
+ *   reports in genome order, or an error message.
+ */
+export function runEvaluationJob(job) {
+  try {
+    return { id: job.id, reports: simulatePopulation(job.genomes, job.options) };
+  } catch (err) {
+    return { id: job.id, error: err && err.message ? err.message : String(err) };
+  }
+}
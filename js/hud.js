@@ -0,0 +1,328 @@
+// hud.js
+// Heads-up display drawn on top of the world by `Renderer`: a stats box
+// (generation, distance, speed, time, energy, cars still running), a
+// paused/replay indicator, a chart of best, mean and worst fitness per
+// generation and, on request, a scatter plot of the last generation's
+// distance against energy with its Pareto front (see pareto.js).
+// Everything is laid out in CSS pixels in screen space, so text and chart
+// keep their size regardless of camera zoom and stay crisp on HiDPI
+// displays. The app feeds it numbers; the HUD never reads the world.
+
+import { formatSpeed } from './clock.js';
+
+/* Tunable defaults */
+const DEFAULT_FONT_SIZE = 13;          // CSS pixels
+const DEFAULT_CHART_WIDTH = 220;       // CSS pixels
+const DEFAULT_CHART_HEIGHT = 110;      // CSS pixels
+const MARGIN = 10;                     // CSS pixels from the canvas edge
+const PADDING = 8;                     // CSS pixels inside boxes
+
+const COLORS = {
+  background: 'rgba(0, 0, 0, 0.55)',
+  text: '#fff',
+  muted: '#aaa',
+  best: '#7f7',
+  mean: '#fd6',
+  worst: '#f77',
+  paused: '#fd6',
+  front: '#7cf',
+  dominated: 'rgba(170, 170, 170, 0.7)',
+};
+
+export class Hud {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.fontSize=13] - Text size in CSS pixels.
+   * @param {number} [opts.chartWidth=220] - Chart width in CSS pixels.
+   * @param {number} [opts.chartHeight=110] - Chart height in CSS pixels.
+   * @param {boolean} [opts.visible=true] - Whether the HUD starts shown.
+   * @param {boolean} [opts.showPareto=false] - Whether the Pareto plot
+   *   starts shown.
+   */
+  constructor(opts = {}) {
+    this.fontSize = opts.fontSize ?? DEFAULT_FONT_SIZE;
+    this.chartWidth = opts.chartWidth ?? DEFAULT_CHART_WIDTH;
+    this.chartHeight = opts.chartHeight ?? DEFAULT_CHART_HEIGHT;
+    this.visible = opts.visible ?? true;
+    this.showPareto = opts.showPareto ?? false;
+    // Latest values from the app (see setStats).
+    this.stats = {};
+    // One { generation, best, mean, worst } entry per finished generation.
+    this.history = [];
+    // Last generation for the Pareto plot (see setPareto), or null.
+    this.pareto = null;
+  }
+
+  /** Show the HUD if hidden, hide it if shown. */
+  toggle() {
+    this.visible = !this.visible;
+  }
+
+  /** Show the Pareto plot if hidden, hide it if shown. */
+  togglePareto() {
+    this.showPareto = !this.showPareto;
+  }
+
+  /**
+   * Update the live values. Fields left out are not drawn.
+   * @param {Object} stats
+   * @param {number} [stats.generation] - Generation being shown.
+   * @param {string} [stats.island] - Island being shown in an island-model
+   *   run, e.g. '2/4'.
+   * @param {number} [stats.distance] - Distance of the followed car (meters).
+   * @param {number} [stats.speed] - Speed of the followed car (m/s).
+   * @param {number} [stats.time] - Simulated seconds into the generation.
+   * @param {number} [stats.energy] - Joules the followed car's motors used.
+   * @param {number} [stats.fuel] - Share of the followed car's fuel budget
+   *   left, 0 to 1; left out without a budget.
+   * @param {number} [stats.alive] - Cars still running.
+   * @param {number} [stats.total] - Cars in the generation.
+   * @param {boolean} [stats.paused] - Show the paused indicator.
+   * @param {number} [stats.simSpeed] - Simulation speed multiplier
+   *   (Infinity = as fast as possible); shown unless 1.
+   * @param {?string} [stats.mode] - Extra indicator, e.g. 'REPLAY'.
+   * @param {string[]} [stats.debug] - Debug layers the renderer shows.
+   * @param {string} [stats.camera] - Camera mode; shown unless 'follow'.
+   */
+  setStats(stats) {
+    this.stats = stats;
+  }
+
+  /**
+   * Add a finished generation to the fitness chart.
+   * @param {number} generation - Generation number.
+   * @param {number[]} fitnesses - Fitness of every car in it.
+   */
+  addGeneration(generation, fitnesses) {
+    const values = fitnesses.filter(Number.isFinite);
+    if (values.length === 0) return;
+    this.history.push({
+      generation,
+      best: Math.max(...values),
+      mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+      worst: Math.min(...values),
+    });
+  }
+
+  /**
+   * Show a finished generation in the Pareto plot.
+   * @param {number} generation - Generation number.
+   * @param {{ distance: number, energy: number, mass: number, rank: number, group?: number }[]} points
+   *   One per car: its report's objectives and Pareto front (0 = best,
+   *   see `paretoRanking`). Cars ranked apart (the islands of an island
+   *   run) carry a `group` each, and every group's front gets its own line.
+   */
+  setPareto(generation, points) {
+    const valid = points.filter((p) => [p.distance, p.energy, p.mass].every(Number.isFinite));
+    this.pareto = valid.length > 0 ? { generation, points: valid } : null;
+  }
+
+  /** Forget the fitness history (e.g. when a new run starts). */
+  clearHistory() {
+    this.history = [];
+    this.pareto = null;
+  }
+
+  /**
+   * Draw the HUD. Called by `Renderer` after the world has been drawn.
+   * @param {CanvasRenderingContext2D} ctx - Context of the canvas.
+   * @param {number} dpr - Device pixels per CSS pixel of the canvas.
+   */
+  draw(ctx, dpr) {
+    if (!this.visible) return;
+    const width = ctx.canvas.width / dpr;
+    ctx.save();
+    // Work in CSS pixels; the canvas itself is sized in device pixels.
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.textBaseline = 'top';
+    this._drawStats(ctx);
+    this._drawIndicator(ctx, width);
+    this._drawChart(ctx, width);
+    if (this.showPareto) this._drawPareto(ctx, width);
+    ctx.restore();
+  }
+
+  // ---------- private helpers ----------
+
+  _font(scale = 1, bold = false) {
+    return `${bold ? 'bold ' : ''}${Math.round(this.fontSize * scale)}px sans-serif`;
+  }
+
+  _drawStats(ctx) {
+    const s = this.stats;
+    const lines = [];
+    if (s.generation !== undefined) lines.push(`Generation ${s.generation}`);
+    if (s.island !== undefined) lines.push(`Island ${s.island}`);
+    if (s.distance !== undefined) lines.push(`Distance ${s.distance.toFixed(1)} m`);
+    if (s.speed !== undefined) lines.push(`Speed ${s.speed.toFixed(1)} m/s`);
+    if (s.time !== undefined) lines.push(`Time ${s.time.toFixed(1)} s`);
+    if (s.energy !== undefined) {
+      const fuel = s.fuel !== undefined ? ` (fuel ${Math.round(s.fuel * 100)}%)` : '';
+      lines.push(`Energy ${(s.energy / 1000).toFixed(2)} kJ${fuel}`);
+    }
+    if (s.simSpeed !== undefined && s.simSpeed !== 1) lines.push(`Sim speed ${formatSpeed(s.simSpeed)}`);
+    if (s.alive !== undefined) {
+      lines.push(`Cars ${s.alive}${s.total !== undefined ? ` / ${s.total}` : ''}`);
+    }
+    if (s.debug && s.debug.length > 0) lines.push(`Debug ${s.debug.join(', ')}`);
+    if (s.camera && s.camera !== 'follow') lines.push(`Camera ${s.camera} (F to follow)`);
+    if (lines.length === 0) return;
+
+    ctx.font = this._font();
+    const lineHeight = this.fontSize * 1.35;
+    const w = Math.max(...lines.map((l) => ctx.measureText(l).width)) + PADDING * 2;
+    const h = lines.length * lineHeight + PADDING * 2 - (lineHeight - this.fontSize);
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(MARGIN, MARGIN, w, h);
+    ctx.fillStyle = COLORS.text;
+    ctx.textAlign = 'left';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, MARGIN + PADDING, MARGIN + PADDING + i * lineHeight);
+    });
+  }
+
+  _drawIndicator(ctx, width) {
+    const label = this.stats.paused ? 'PAUSED' : this.stats.mode;
+    if (!label) return;
+    ctx.font = this._font(1.4, true);
+    ctx.textAlign = 'center';
+    const w = ctx.measureText(label).width + PADDING * 2;
+    const h = this.fontSize * 1.4 + PADDING * 2;
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(width / 2 - w / 2, MARGIN, w, h);
+    ctx.fillStyle = COLORS.paused;
+    ctx.fillText(label, width / 2, MARGIN + PADDING);
+  }
+
+  _drawChart(ctx, width) {
+    const w = this.chartWidth;
+    const h = this.chartHeight;
+    const x0 = width - MARGIN - w;
+    const y0 = MARGIN;
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(x0, y0, w, h);
+
+    ctx.font = this._font(0.85);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = COLORS.muted;
+    const history = this.history;
+    if (history.length === 0) {
+      ctx.fillText('Fitness chart: waiting for', x0 + PADDING, y0 + PADDING);
+      ctx.fillText('the first generation', x0 + PADDING, y0 + PADDING + this.fontSize);
+      return;
+    }
+
+    // Plot area inside the box, leaving room for the labels.
+    const labelH = this.fontSize;
+    const plot = {
+      left: x0 + PADDING,
+      right: x0 + w - PADDING,
+      top: y0 + PADDING + labelH,
+      bottom: y0 + h - PADDING - labelH,
+    };
+    let lo = Math.min(...history.map((g) => g.worst));
+    let hi = Math.max(...history.map((g) => g.best));
+    if (hi - lo < 1e-6) {
+      lo -= 1;
+      hi += 1;
+    }
+    const first = history[0].generation;
+    const last = history[history.length - 1].generation;
+    const span = Math.max(1, last - first);
+    const toX = (g) => plot.left + ((g - first) / span) * (plot.right - plot.left);
+    const toY = (v) => plot.bottom - ((v - lo) / (hi - lo)) * (plot.bottom - plot.top);
+
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = 'round';
+    for (const key of ['worst', 'mean', 'best']) {
+      ctx.strokeStyle = COLORS[key];
+      ctx.beginPath();
+      history.forEach((g, i) => {
+        const x = toX(g.generation);
+        const y = toY(g[key]);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      // A single generation is drawn as a short dash so it is visible.
+      if (history.length === 1) ctx.lineTo(plot.right, toY(history[0][key]));
+      ctx.stroke();
+    }
+
+    // Value range on the left, generation range at the bottom, legend on top.
+    ctx.fillStyle = COLORS.muted;
+    ctx.fillText(hi.toFixed(1), plot.left, y0 + PADDING);
+    ctx.fillText(lo.toFixed(1), plot.left, plot.bottom + 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`gen ${first}–${last}`, plot.right, plot.bottom + 2);
+    let x = plot.right;
+    for (const key of ['worst', 'mean', 'best']) {
+      ctx.fillStyle = COLORS[key];
+      ctx.fillText(key, x, y0 + PADDING);
+      x -= ctx.measureText(key).width + PADDING;
+    }
+  }
+
+  // Distance (up) against energy (right) of every car of the last
+  // generation, below the fitness chart. Front 0 is highlighted and
+  // joined in energy order; dot size grows with the car's mass.
+  _drawPareto(ctx, width) {
+    const w = this.chartWidth;
+    const h = this.chartHeight;
+    const x0 = width - MARGIN - w;
+    const y0 = MARGIN * 2 + this.chartHeight;
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(x0, y0, w, h);
+
+    ctx.font = this._font(0.85);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = COLORS.muted;
+    if (!this.pareto) {
+      ctx.fillText('Pareto plot: waiting for', x0 + PADDING, y0 + PADDING);
+      ctx.fillText('the first generation', x0 + PADDING, y0 + PADDING + this.fontSize);
+      return;
+    }
+
+    const labelH = this.fontSize;
+    const plot = {
+      left: x0 + PADDING,
+      right: x0 + w - PADDING,
+      top: y0 + PADDING + labelH,
+      bottom: y0 + h - PADDING - labelH,
+    };
+    const { generation, points } = this.pareto;
+    const maxEnergy = Math.max(1e-6, ...points.map((p) => p.energy));
+    const maxDistance = Math.max(1e-6, ...points.map((p) => p.distance));
+    const maxMass = Math.max(1e-6, ...points.map((p) => p.mass));
+    const toX = (p) => plot.left + (p.energy / maxEnergy) * (plot.right - plot.left);
+    const toY = (p) => plot.bottom - (p.distance / maxDistance) * (plot.bottom - plot.top);
+
+    const front = points.filter((p) => p.rank === 0).sort((a, b) => a.energy - b.energy);
+    ctx.strokeStyle = COLORS.front;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const group of new Set(front.map((p) => p.group ?? 0))) {
+      front.filter((p) => (p.group ?? 0) === group).forEach((p, i) => {
+        if (i === 0) ctx.moveTo(toX(p), toY(p));
+        else ctx.lineTo(toX(p), toY(p));
+      });
+    }
+    ctx.stroke();
+    // Dominated cars first so the front stays on top.
+    for (const p of [...points.filter((q) => q.rank !== 0), ...front]) {
+      ctx.fillStyle = p.rank === 0 ? COLORS.front : COLORS.dominated;
+      ctx.beginPath();
+      ctx.arc(toX(p), toY(p), 1.5 + 2.5 * Math.sqrt(p.mass / maxMass), 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Axis ranges, generation and legend.
+    ctx.fillStyle = COLORS.muted;
+    ctx.fillText(`${maxDistance.toFixed(1)} m`, plot.left, y0 + PADDING);
+    ctx.fillText('0', plot.left, plot.bottom + 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${(maxEnergy / 1000).toFixed(1)} kJ`, plot.right, plot.bottom + 2);
+    ctx.fillStyle = COLORS.front;
+    ctx.fillText(`front (${front.length}) · gen ${generation}`, plot.right, y0 + PADDING);
+  }
+}
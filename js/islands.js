@@ -0,0 +1,217 @@
+// islands.js
+// Island-model evolution. An `IslandEvolution` runs several independent
+// sub-populations (islands), each an `Evolution` with its own seed, and
+// every `migrationInterval` generations copies each island's best genomes
+// to the next island in a ring, where they replace the newest children.
+// Islands drive different tracks (see `islandTerrainSeed` in terrain.js),
+// so they drift towards different designs and migration mixes them.
+//
+// It has the same interface as `Evolution` (population, ids, lineage,
+// generation, options, evolve, inject, snapshot, restore), with `population`,
+// `ids` and the fitnesses passed to `evolve` covering all islands in
+// island order. Callers that evaluate islands separately use
+// `islands[i].population`. All islands record into one lineage
+// (lineage.js); a migrant is a new genome whose parent is the original.
+
+import { Evolution, DEFAULT_EVOLUTION_OPTIONS } from './evolution.js';
+import { cloneGenome } from './genome.js';
+import { Lineage, generationStats } from './lineage.js';
+import { hashSeed } from './random.js';
+
+/* Tunable defaults */
+export const DEFAULT_ISLAND_OPTIONS = {
+  islands: 4,               // sub-populations, each of `populationSize` genomes
+  migrationInterval: 5,     // generations between migrations
+  migrationCount: 2,        // best genomes each island sends to the next
+};
+
+export class IslandEvolution {
+  /**
+   * Create a new island run. Seed genomes are dealt to the islands in
+   * turn; every island is then topped up with random genomes.
+   *
+   * @param {Object} [opts] Overrides for `DEFAULT_EVOLUTION_OPTIONS` (used
+   *   by every island) and `DEFAULT_ISLAND_OPTIONS`.
+   * @param {number|string} [opts.seed=1] - Seed; each island derives its own.
+   * @param {Object[]} [opts.population] - Initial genomes.
+   * @param {number} [opts.populationSize=20] - Genomes per island.
+   * @param {number} [opts.islands=4] - Number of islands (at least 2).
+   * @param {number} [opts.migrationInterval=5] - Generations between migrations.
+   * @param {number} [opts.migrationCount=2] - Genomes each island sends
+   *   per migration; at most `populationSize - eliteCount`.
+   */
+  constructor(opts = {}) {
+    const { population: seeds = [], ...rest } = opts;
+    this.options = islandOptions(rest);
+    const o = this.options;
+
+    const { islands, migrationInterval, migrationCount, ...evolution } = o;
+    this.lineage = new Lineage();
+    this.islands = Array.from({ length: islands }, (_, i) => new Evolution({
+      ...evolution,
+      seed: hashSeed(o.seed, 'island', i),
+      population: seeds.filter((_, k) => k % islands === i),
+      populationSize: o.populationSize,
+      lineage: this.lineage,
+    }));
+  }
+
+  /** @returns {number} generations bred so far (the same on every island). */
+  get generation() {
+    return this.islands[0].generation;
+  }
+
+  /** @returns {Object[]} genomes of every island, in island order. */
+  get population() {
+    return this.islands.flatMap((island) => island.population);
+  }
+
+  /** @returns {number[]} lineage ids of `population`, in the same order. */
+  get ids() {
+    return this.islands.flatMap((island) => island.ids);
+  }
+
+  /**
+   * Breed the next generation on every island, then migrate if it is due.
+   *
+   * @param {number[]} fitnesses Score for each genome of `population`
+   *   (all islands, in island order). Higher is better.
+   * @param {number[]} [measured=fitnesses] Fitness to record in the
+   *   lineage and statistics (see `Evolution#evolve`).
+   * @returns {Object[]} the new population of every island.
+   */
+  evolve(fitnesses, measured = fitnesses) {
+    const o = this.options;
+    const total = this.islands.reduce((sum, island) => sum + island.population.length, 0);
+    if (!Array.isArray(fitnesses) || fitnesses.length !== total) {
+      throw new Error(`Expected ${total} fitness values, got ${fitnesses && fitnesses.length}`);
+    }
+    if (!Array.isArray(measured) || measured.length !== total) {
+      throw new Error(`Expected ${total} measured fitness values, got ${measured && measured.length}`);
+    }
+    const split = (values) => {
+      let offset = 0;
+      return this.islands.map((island) => {
+        const slice = values.slice(offset, offset + island.population.length);
+        offset += island.population.length;
+        return slice;
+      });
+    };
+    const scores = split(fitnesses);
+    const measures = split(measured);
+    this.lineage.addGeneration(generationStats(this.generation, this.population, measured));
+    this.lineage.prune(this.ids);
+
+    const migrate = (this.generation + 1) % o.migrationInterval === 0 && o.migrationCount > 0;
+    const emigrants = migrate
+      ? this.islands.map((island, i) => bestGenomes(island, scores[i], o.migrationCount))
+      : null;
+    this.islands.forEach((island, i) => island.evolve(scores[i], measures[i]));
+    if (migrate) {
+      // Ring: island i receives from island i - 1. Elites are at the front
+      // of a new population, so the arrivals replace the last children.
+      this.islands.forEach((island, i) => {
+        const arrivals = emigrants[(i + this.islands.length - 1) % this.islands.length];
+        const at = island.population.length - arrivals.length;
+        island.population.splice(at, arrivals.length, ...arrivals.map((a) => a.genome));
+        island.ids.splice(at, arrivals.length, ...arrivals.map((a) => (
+          this.lineage.add({ generation: this.generation, op: 'migrant', parents: [a.id] })
+        )));
+      });
+    }
+    return this.population;
+  }
+
+  /**
+   * Add hand-made genomes and their mutants to every island (see
+   * `Evolution#inject`), so they drive every island's track.
+   * @param {Object[]} genomes
+   * @param {number} [mutants=0] - Mutated copies to add of each.
+   * @returns {number} genomes added to each island.
+   */
+  inject(genomes, mutants = 0) {
+    return Math.min(...this.islands.map((island) => island.inject(genomes, mutants)));
+  }
+
+  /**
+   * Capture the complete state of the run as plain JSON-friendly data:
+   * the options, every island's `Evolution#snapshot()` and the shared
+   * lineage, trimmed to the current population's recent ancestors and
+   * statistics (see `Lineage#toJSON`).
+   * @returns {{ options: Object, generation: number, islands: Object[], lineage: Object }}
+   */
+  snapshot() {
+    return {
+      options: { ...this.options },
+      generation: this.generation,
+      islands: this.islands.map((island) => island.snapshot()),
+      lineage: this.lineage.toJSON(this.ids),
+    };
+  }
+
+  /**
+   * Resume a run from `snapshot()` data.
+   * @param {{ options: Object, islands: Object[], lineage?: Object }} data
+   * @returns {IslandEvolution}
+   */
+  static restore(data) {
+    // Not through the constructor, which would seed islands only to
+    // replace them.
+    const run = Object.create(IslandEvolution.prototype);
+    run.options = islandOptions(data.options);
+    run.lineage = data.lineage ? Lineage.fromJSON(data.lineage) : new Lineage();
+    run.islands = data.islands.map((island) => Evolution.restore(island, run.lineage));
+    return run;
+  }
+}
+
+/**
+ * Start a run: an `IslandEvolution` when `opts.islands` is above 1, else a
+ * plain `Evolution`.
+ * @param {Object} [opts] Evolution and island options.
+ * @returns {Evolution|IslandEvolution}
+ */
+export function createEvolution(opts = {}) {
+  const { islands = 1, migrationInterval, migrationCount, ...rest } = opts;
+  if (islands > 1) return new IslandEvolution(opts);
+  return new Evolution(rest);
+}
+
+/**
+ * Resume a run of either kind from its snapshot.
+ * @param {Object} data `snapshot()` data of an `Evolution` or `IslandEvolution`.
+ * @returns {Evolution|IslandEvolution}
+ */
+export function restoreEvolution(data) {
+  return data.islands ? IslandEvolution.restore(data) : Evolution.restore(data);
+}
+
+// ---------- private helpers ----------
+
+// Complete island run options: defaults filled in and the island options
+// checked (each island's `Evolution` checks the rest).
+function islandOptions(opts) {
+  const o = { ...DEFAULT_EVOLUTION_OPTIONS, ...DEFAULT_ISLAND_OPTIONS, ...opts };
+  if (!Number.isInteger(o.islands) || o.islands < 2) {
+    throw new Error('islands must be an integer >= 2');
+  }
+  if (!Number.isInteger(o.migrationInterval) || o.migrationInterval < 1) {
+    throw new Error('migrationInterval must be an integer >= 1');
+  }
+  // Arrivals replace children only, never the elites.
+  const children = o.populationSize - Math.max(1, o.eliteCount);
+  if (!Number.isInteger(o.migrationCount) || o.migrationCount < 0 || !(o.migrationCount <= children)) {
+    throw new Error(`migrationCount must be an integer in [0, ${children}]: migrants only replace children`);
+  }
+  return o;
+}
+
+// Copies of an island's `count` best genomes with their lineage ids;
+// ties keep population order.
+function bestGenomes(island, fitnesses, count) {
+  return island.population
+    .map((genome, i) => ({ genome, id: island.ids[i], fitness: Number.isFinite(fitnesses[i]) ? fitnesses[i] : -Infinity }))
+    .sort((a, b) => b.fitness - a.fitness)
+    .slice(0, count)
+    .map((r) => ({ genome: cloneGenome(r.genome), id: r.id }));
+}
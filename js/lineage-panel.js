@@ -0,0 +1,97 @@
+// lineage-panel.js
+// Page controls for the run's history (see lineage.js): exporting the
+// per-generation statistics and the lineage as CSV or JSON, and the
+// family tree of the best car so far, drawn as nested lists with the
+// car at the top and its ancestors below.
+
+import { statsToCSV } from './lineage.js';
+import { downloadText } from './save-panel.js';
+
+/* Tunable defaults */
+const TREE_DEPTH = 6;     // generations of ancestors shown
+
+/**
+ * Wire the lineage panel elements in index.html to the given handlers.
+ *
+ * Expected elements (looked up by id): `exportStatsCsv`,
+ * `exportLineageCsv`, `exportHistoryJson`, `familyTree` and
+ * `lineageStatus`. If the panel is missing from the page nothing is set
+ * up and `sync` does nothing.
+ *
+ * @param {Object} handlers
+ * @param {() => Lineage} handlers.getLineage - Lineage of the current run.
+ * @param {() => ?{ id: number, generation: number }} handlers.getChampion -
+ *   Lineage id and generation of the best car so far, or null.
+ * @returns {{ sync: Function }} call `sync()` after a generation has been
+ *   bred or the run replaced, to redraw the family tree.
+ */
+export function setupLineagePanel(handlers) {
+  const el = (id) => document.getElementById(id);
+  const status = el('lineageStatus');
+  const tree = el('familyTree');
+  if (!status || !tree) return { sync() {} };
+
+  const show = (message, isError = false) => {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+
+  el('exportStatsCsv').addEventListener('click', () => {
+    const { generations } = handlers.getLineage();
+    downloadText(statsToCSV(generations), 'statistics', 'csv', 'text/csv');
+    show(`Exported statistics of ${generations.length} generations.`);
+  });
+  el('exportLineageCsv').addEventListener('click', () => {
+    const lineage = handlers.getLineage();
+    downloadText(lineage.toCSV(), 'lineage', 'csv', 'text/csv');
+    show(`Exported ${lineage.records.size} lineage records.`);
+  });
+  el('exportHistoryJson').addEventListener('click', () => {
+    const lineage = handlers.getLineage();
+    downloadText(JSON.stringify(lineage.toJSON(), null, 2), 'history', 'json', 'application/json');
+    show(`Exported statistics and ${lineage.records.size} lineage records.`);
+  });
+
+  const sync = () => {
+    const champion = handlers.getChampion();
+    const root = champion ? handlers.getLineage().ancestry(champion.id, TREE_DEPTH) : null;
+    tree.replaceChildren();
+    if (!root) {
+      tree.textContent = 'Family tree of the best car: waiting for the first generation.';
+      return;
+    }
+    const heading = document.createElement('div');
+    heading.textContent = `Family tree of the best car (generation ${champion.generation}):`;
+    const list = document.createElement('ul');
+    list.className = 'tree';
+    list.append(treeNode(root));
+    tree.append(heading, list);
+  };
+  sync();
+  return { sync };
+}
+
+// ---------- private helpers ----------
+
+// List item for an ancestry node (see `Lineage#ancestry`), with its
+// parents nested below it.
+function treeNode(node) {
+  const item = document.createElement('li');
+  const label = document.createElement('span');
+  const fitness = node.fitness === null ? 'not scored' : `${node.fitness.toFixed(1)} m`;
+  const mutations = node.mutations.length ? `, ${node.mutations.length} mutations` : '';
+  label.textContent = `#${node.id} · gen ${node.generation} · ${node.op}${mutations} · ${fitness}`;
+  if (node.mutations.length) label.title = node.mutations.join('\n');
+  item.append(label);
+  if (node.repeated) {
+    item.append(' (ancestor shown above)');
+  } else if (node.truncated) {
+    item.append(' …');
+  }
+  if (node.parents.length) {
+    const list = document.createElement('ul');
+    list.append(...node.parents.map(treeNode));
+    item.append(list);
+  }
+  return item;
+}
@@ -0,0 +1,339 @@
+// lineage.js
+// Run history for the genetic algorithm. A `Lineage` gives every genome
+// bred in a run an id and records where it came from: its parents, the
+// operation that produced it (see BIRTH_OPS), the genes mutation changed
+// and, once its generation has been scored, its fitness. It also keeps
+// one statistics entry per generation (best, mean and median fitness,
+// genetic diversity, wheel-count distribution, see `generationStats`).
+//
+// `Evolution` (evolution.js) fills it in as it breeds; island runs
+// (islands.js) share one lineage between their islands. Both export
+// everything as JSON or CSV, and `ancestry` builds the family tree of a
+// genome for the page (lineage-panel.js). So that long runs neither
+// fill memory nor outgrow the checkpoint storage, the lineage forgets
+// records that are more than `depth` generations of ancestry behind the
+// population every generation (see `prune`), and run saves keep only the
+// latest `savedGenerations` statistics.
+
+import { GENOME_LIMITS } from './genome.js';
+
+/* Tunable defaults */
+export const DEFAULT_LINEAGE_OPTIONS = {
+  depth: 10,                // generations of ancestry kept behind the population
+  savedGenerations: 200,    // generation statistics kept in run saves
+};
+
+/**
+ * How a genome came to be:
+ *  - seed:      given to the run (a loaded car or population)
+ *  - random:    drawn at random to fill the first generation
+ *  - crossover: bred from two parents, then mutated
+ *  - clone:     copied from one parent, then mutated
+ *  - migrant:   copy of another island's genome (parent) that migrated
+ *  - design:    drawn by hand in the car designer and added to a running
+ *               run (see `Evolution#inject`); its mutants are clones of it
+ * Elites are copied unchanged and keep their id.
+ */
+export const BIRTH_OPS = ['seed', 'random', 'crossover', 'clone', 'migrant', 'design'];
+
+/** Columns of `statsToCSV`, in order. */
+export const STATS_COLUMNS = [
+  'generation', 'size', 'best', 'mean', 'median', 'worst', 'diversity',
+  ...wheelCountKeys().map((count) => `wheels${count}`),
+];
+
+/** Columns of `Lineage#toCSV`, in order. */
+export const LINEAGE_COLUMNS = ['id', 'generation', 'op', 'parents', 'mutations', 'fitness'];
+
+/**
+ * @typedef {Object} LineageRecord
+ * @property {number} id - Unique within the run, counting from 1.
+ * @property {number} generation - Generation the genome was born into.
+ * @property {string} op - One of BIRTH_OPS.
+ * @property {number[]} parents - Ids of the parents (none, one or two).
+ * @property {string[]} mutations - Genes mutation changed, e.g.
+ *   'wheel[1].radius', 'add-vertex' or 'brain.weights(3)'.
+ * @property {?number} fitness - Fitness of its latest scored generation
+ *   (elites are scored again every generation), null until then.
+ */
+
+export class Lineage {
+  /**
+   * @param {Object} [opts] Overrides for `DEFAULT_LINEAGE_OPTIONS`.
+   * @param {number} [opts.depth=10] - Generations of ancestry `prune`
+   *   keeps; Infinity keeps every record, e.g. for a full export.
+   * @param {number} [opts.savedGenerations=200] - Generation statistics
+   *   kept by `toJSON` for saves.
+   */
+  constructor(opts = {}) {
+    this.options = { ...DEFAULT_LINEAGE_OPTIONS, ...opts };
+    // id -> LineageRecord
+    this.records = new Map();
+    // One `generationStats` entry per scored generation, oldest first.
+    this.generations = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Record the birth of a genome.
+   * @param {Object} birth
+   * @param {number} birth.generation - Generation it is born into.
+   * @param {string} birth.op - One of BIRTH_OPS.
+   * @param {number[]} [birth.parents=[]] - Parent ids.
+   * @param {string[]} [birth.mutations=[]] - Genes mutation changed.
+   * @returns {number} the new genome's id.
+   */
+  add({ generation, op, parents = [], mutations = [] }) {
+    const id = this.nextId++;
+    this.records.set(id, { id, generation, op, parents: [...parents], mutations: [...mutations], fitness: null });
+    return id;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {LineageRecord|undefined}
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * Store the fitness a genome scored. Broken values are stored as null.
+   * @param {number} id
+   * @param {number} fitness
+   */
+  setFitness(id, fitness) {
+    const record = this.records.get(id);
+    if (record) record.fitness = Number.isFinite(fitness) ? fitness : null;
+  }
+
+  /**
+   * Add a scored generation's statistics (see `generationStats`).
+   * @param {Object} stats
+   */
+  addGeneration(stats) {
+    this.generations.push(stats);
+  }
+
+  /**
+   * Family tree of a genome: its record with `parents` replaced by their
+   * trees, up to `depth` generations back. An ancestor reached a second
+   * time (through both parents) is not expanded again: its node has
+   * `repeated: true` and no parents. Parents that were not kept (see
+   * `prune`) are left out; a node missing some of its parents, or cut
+   * off by `depth`, has `truncated: true`.
+   *
+   * @param {number} id
+   * @param {number} [depth=6] - Generations of ancestors to include.
+   * @returns {?Object} the tree, or null for an unknown id.
+   */
+  ancestry(id, depth = 6) {
+    const seen = new Set();
+    const build = (nodeId, level) => {
+      const record = this.records.get(nodeId);
+      if (!record) return null;
+      if (seen.has(nodeId)) return { ...record, parents: [], repeated: true };
+      seen.add(nodeId);
+      const parents = level < depth
+        ? record.parents.map((parent) => build(parent, level + 1)).filter(Boolean)
+        : [];
+      return { ...record, parents, truncated: parents.length < record.parents.length };
+    };
+    return build(id, 0);
+  }
+
+  /**
+   * Ids of the given genomes and their recorded ancestors.
+   * @param {number[]} ids
+   * @param {number} [depth=Infinity] - Generations of ancestry to follow.
+   * @returns {Set<number>}
+   */
+  ancestorIds(ids, depth = Infinity) {
+    const found = new Set();
+    // Breadth first, so an ancestor is reached by its shortest path.
+    let level = ids;
+    for (let d = 0; d <= depth && level.length > 0; d++) {
+      const next = [];
+      for (const id of level) {
+        if (found.has(id) || !this.records.has(id)) continue;
+        found.add(id);
+        next.push(...this.records.get(id).parents);
+      }
+      level = next;
+    }
+    return found;
+  }
+
+  /**
+   * Forget every record but those of the given genomes (the population)
+   * and their ancestors up to `depth` generations back. The run that owns
+   * the lineage calls this every generation. Does nothing when `depth` is
+   * Infinity.
+   * @param {number[]} ids
+   */
+  prune(ids) {
+    if (this.options.depth === Infinity) return;
+    const keep = this.ancestorIds(ids, this.options.depth);
+    for (const id of this.records.keys()) {
+      if (!keep.has(id)) this.records.delete(id);
+    }
+  }
+
+  /**
+   * Plain JSON-friendly data for saves and exports.
+   * @param {number[]} [keep] For saves: only keep the records of these
+   *   genomes and their ancestors up to `depth` generations back, and the
+   *   latest `savedGenerations` statistics. Everything when left out.
+   * @returns {{ nextId: number, records: LineageRecord[], generations: Object[] }}
+   */
+  toJSON(keep) {
+    const ids = keep ? this.ancestorIds(keep, this.options.depth) : null;
+    const records = [...this.records.values()]
+      .filter((record) => !ids || ids.has(record.id))
+      .map((record) => ({ ...record, parents: [...record.parents], mutations: [...record.mutations] }));
+    const generations = keep ? this.generations.slice(-this.options.savedGenerations) : this.generations;
+    return {
+      nextId: this.nextId,
+      records,
+      generations: generations.map((stats) => ({ ...stats, wheelCounts: { ...stats.wheelCounts } })),
+    };
+  }
+
+  /**
+   * Rebuild a lineage from `toJSON()` data.
+   * @param {{ nextId: number, records: LineageRecord[], generations: Object[] }} data
+   * @returns {Lineage}
+   */
+  static fromJSON(data) {
+    const lineage = new Lineage();
+    for (const record of data.records) {
+      lineage.records.set(record.id, {
+        ...record,
+        parents: [...record.parents],
+        mutations: [...record.mutations],
+      });
+    }
+    lineage.generations = data.generations.map((stats) => ({ ...stats, wheelCounts: { ...stats.wheelCounts } }));
+    lineage.nextId = data.nextId;
+    return lineage;
+  }
+
+  /**
+   * Every record as CSV (see LINEAGE_COLUMNS); parent ids and mutations
+   * are separated by spaces within their cells.
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = [...this.records.values()].map((r) => [
+      r.id, r.generation, r.op, r.parents.join(' '), r.mutations.join(' '), r.fitness,
+    ]);
+    return toCSV(LINEAGE_COLUMNS, rows);
+  }
+}
+
+/**
+ * Summarize a scored generation.
+ *
+ * @param {number} generation - Generation number.
+ * @param {Object[]} population - Its genomes.
+ * @param {number[]} fitnesses - Fitness per genome; broken values are
+ *   left out of the fitness figures.
+ * @returns {{ generation: number, size: number, best: ?number,
+ *   mean: ?number, median: ?number, worst: ?number, diversity: number,
+ *   wheelCounts: Object<string, number> }} fitness figures are null when
+ *   no fitness is valid; `wheelCounts` maps every possible wheel count to
+ *   the number of genomes with that many wheels.
+ */
+export function generationStats(generation, population, fitnesses) {
+  const values = fitnesses.filter(Number.isFinite).sort((a, b) => a - b);
+  const n = values.length;
+  const wheelCounts = Object.fromEntries(wheelCountKeys().map((count) => [count, 0]));
+  for (const genome of population) {
+    wheelCounts[genome.wheels.length] = (wheelCounts[genome.wheels.length] ?? 0) + 1;
+  }
+  return {
+    generation,
+    size: population.length,
+    best: n ? values[n - 1] : null,
+    mean: n ? values.reduce((sum, v) => sum + v, 0) / n : null,
+    median: n ? (values[Math.floor((n - 1) / 2)] + values[Math.floor(n / 2)]) / 2 : null,
+    worst: n ? values[0] : null,
+    diversity: diversity(population),
+    wheelCounts,
+  };
+}
+
+/**
+ * Genetic diversity of a population: the mean distance between every two
+ * genomes' body traits (vertex and wheel counts, mean sizes, densities,
+ * motor torque and suspension share), each scaled to 0..1 by its range in
+ * GENOME_LIMITS. 0 when all bodies are alike; brains are not compared.
+ *
+ * @param {Object[]} population
+ * @returns {number} from 0 (identical) to 1.
+ */
+export function diversity(population) {
+  const traits = population.map(bodyTraits);
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < traits.length; i++) {
+    for (let j = i + 1; j < traits.length; j++) {
+      let sum = 0;
+      for (let k = 0; k < traits[i].length; k++) sum += (traits[i][k] - traits[j][k]) ** 2;
+      total += Math.sqrt(sum / traits[i].length);
+      pairs += 1;
+    }
+  }
+  return pairs ? total / pairs : 0;
+}
+
+/**
+ * Generation statistics as CSV (see STATS_COLUMNS).
+ * @param {Object[]} generations `generationStats` entries.
+ * @returns {string}
+ */
+export function statsToCSV(generations) {
+  const counts = wheelCountKeys();
+  const rows = generations.map((s) => [
+    s.generation, s.size, s.best, s.mean, s.median, s.worst, s.diversity,
+    ...counts.map((count) => s.wheelCounts[count] ?? 0),
+  ]);
+  return toCSV(STATS_COLUMNS, rows);
+}
+
+// ---------- private helpers ----------
+
+function wheelCountKeys() {
+  const { min, max } = GENOME_LIMITS.wheelCount;
+  return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+}
+
+// Body traits of a genome, each scaled to 0..1.
+function bodyTraits(genome) {
+  const L = GENOME_LIMITS;
+  const scale = (value, range) => Math.min(1, Math.max(0, (value - range.min) / (range.max - range.min)));
+  const mean = (items, pick) => (items.length ? items.reduce((sum, item) => sum + pick(item), 0) / items.length : 0);
+  const { vertices, density } = genome.chassis;
+  const wheels = genome.wheels;
+  return [
+    scale(vertices.length, L.vertexCount),
+    scale(mean(vertices, (v) => v.radius), L.vertexRadius),
+    scale(density, L.density),
+    scale(wheels.length, L.wheelCount),
+    scale(mean(wheels, (w) => w.radius), L.wheelRadius),
+    scale(mean(wheels, (w) => w.density), L.density),
+    scale(genome.motorTorque, L.motorTorque),
+    mean(wheels, (w) => (w.suspension ? 1 : 0)),
+  ];
+}
+
+// CSV text with a header row; numbers are written as is, null as an
+// empty cell, text quoted when it needs to be.
+function toCSV(columns, rows) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows].map((row) => row.map(cell).join(',')).join('\n') + '\n';
+}
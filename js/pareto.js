@@ -0,0 +1,219 @@
+// pareto.js
+// Multi-objective ranking of fitness reports, NSGA-II style. Cars are
+// sorted into Pareto fronts over several objectives (by default: far,
+// frugal and light, see PARETO_OBJECTIVES): front 0 holds the cars no
+// other car beats on every objective at once, front 1 those only beaten
+// by front 0, and so on. Within a front the crowding distance prefers
+// cars in sparsely populated regions, which keeps the front spread out.
+//
+// `Evolution` breeds from a single score per genome, so `paretoScores`
+// folds front and crowding into one number that orders genomes exactly
+// like NSGA-II's crowded comparison; elitism and every selection
+// strategy (see selection.js) then work unchanged. Islands breed apart
+// and drive different tracks, so each island is ranked on its own (see
+// `rankGroups`).
+
+/* Tunable defaults */
+// An objective's optional `min` is the least value that counts: a car
+// that never left the start uses no energy, so without a minimum distance
+// it would sit on the front with the best possible score.
+export const PARETO_OBJECTIVES = [
+  { key: 'distance', maximize: true, min: 0.5 },   // meters driven
+  { key: 'energy', maximize: false },    // joules the motors used
+  { key: 'mass', maximize: false },      // kilograms of car
+];
+
+/** Ways of scoring reports for selection; the `objective` evolution option. */
+export const SELECTION_OBJECTIVES = ['distance', 'pareto'];
+
+/**
+ * Sort points into Pareto fronts (fast non-dominated sort). Points whose
+ * objectives are not all finite, or fall below an objective's `min`, form
+ * a last front of their own.
+ *
+ * @param {Object[]} points Objects with a number under each objective key,
+ *   e.g. fitness reports.
+ * @param {{ key: string, maximize: boolean, min?: number }[]} [objectives=PARETO_OBJECTIVES]
+ * @returns {number[][]} fronts of indices into `points`, best front first;
+ *   within a front indices are ascending.
+ */
+export function nonDominatedSort(points, objectives = PARETO_OBJECTIVES) {
+  const values = points.map((point) => objectiveValues(point, objectives));
+  const n = points.length;
+  const dominates = Array.from({ length: n }, () => []);
+  const dominatedBy = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    if (!values[i]) continue;
+    for (let j = i + 1; j < n; j++) {
+      if (!values[j]) continue;
+      const order = compare(values[i], values[j]);
+      if (order > 0) {
+        dominates[i].push(j);
+        dominatedBy[j] += 1;
+      } else if (order < 0) {
+        dominates[j].push(i);
+        dominatedBy[i] += 1;
+      }
+    }
+  }
+
+  const fronts = [];
+  let front = [];
+  for (let i = 0; i < n; i++) if (values[i] && dominatedBy[i] === 0) front.push(i);
+  while (front.length > 0) {
+    fronts.push(front);
+    const next = [];
+    for (const i of front) {
+      for (const j of dominates[i]) {
+        dominatedBy[j] -= 1;
+        if (dominatedBy[j] === 0) next.push(j);
+      }
+    }
+    front = next.sort((a, b) => a - b);
+  }
+  const broken = values.flatMap((v, i) => (v ? [] : [i]));
+  if (broken.length > 0) fronts.push(broken);
+  return fronts;
+}
+
+/**
+ * Crowding distance of every point of one front: the sum, over the
+ * objectives, of the gap between its two neighbours along that objective,
+ * relative to the front's range. The extremes of every objective get
+ * Infinity so they are always kept; points with broken objectives get 0.
+ *
+ * @param {Object[]} points All points (see `nonDominatedSort`).
+ * @param {number[]} front Indices into `points`.
+ * @param {{ key: string, maximize: boolean }[]} [objectives=PARETO_OBJECTIVES]
+ * @returns {number[]} distance per entry of `front`, in `front` order.
+ */
+export function crowdingDistances(points, front, objectives = PARETO_OBJECTIVES) {
+  const values = front.map((i) => objectiveValues(points[i], objectives));
+  const valid = front.map((_, k) => k).filter((k) => values[k]);
+  const distances = new Array(front.length).fill(0);
+  if (valid.length <= 2) {
+    for (const k of valid) distances[k] = Infinity;
+    return distances;
+  }
+  objectives.forEach((_, m) => {
+    // Ties keep front order, so equal points are treated alike every run.
+    const order = [...valid].sort((a, b) => values[a][m] - values[b][m] || a - b);
+    const low = values[order[0]][m];
+    const high = values[order[order.length - 1]][m];
+    distances[order[0]] = Infinity;
+    distances[order[order.length - 1]] = Infinity;
+    if (!(high > low)) return;
+    for (let k = 1; k < order.length - 1; k++) {
+      distances[order[k]] += (values[order[k + 1]][m] - values[order[k - 1]][m]) / (high - low);
+    }
+  });
+  return distances;
+}
+
+/**
+ * Front and crowding distance of every point.
+ *
+ * @param {Object[]} points All points (see `nonDominatedSort`).
+ * @param {{ key: string, maximize: boolean }[]} [objectives=PARETO_OBJECTIVES]
+ * @returns {{ rank: number, crowding: number }[]} per point, in `points`
+ *   order; `rank` 0 is the Pareto front.
+ */
+export function paretoRanking(points, objectives = PARETO_OBJECTIVES) {
+  const ranking = new Array(points.length);
+  nonDominatedSort(points, objectives).forEach((front, rank) => {
+    const crowding = crowdingDistances(points, front, objectives);
+    front.forEach((i, k) => {
+      ranking[i] = { rank, crowding: crowding[k] };
+    });
+  });
+  return ranking;
+}
+
+/**
+ * One score per point, higher is better, ordering points like NSGA-II's
+ * crowded comparison: a better front always wins, and within a front the
+ * larger crowding distance wins. Scores are `-rank` plus a crowding bonus
+ * below 0.5 (exactly 0.5 for the extremes).
+ *
+ * @param {Object[]} points All points (see `nonDominatedSort`).
+ * @param {{ key: string, maximize: boolean }[]} [objectives=PARETO_OBJECTIVES]
+ * @returns {number[]} score per point, in `points` order.
+ */
+export function paretoScores(points, objectives = PARETO_OBJECTIVES) {
+  return paretoRanking(points, objectives).map(({ rank, crowding }) => (
+    -rank + (crowding === Infinity ? 0.5 : (0.5 * crowding) / (crowding + 1))
+  ));
+}
+
+/**
+ * Rank consecutive groups of points separately, e.g. the islands of an
+ * island run, and join the results.
+ *
+ * @param {Object[]} points All points (see `nonDominatedSort`).
+ * @param {number[]} groups Size of each group, in order; they must add up
+ *   to `points.length`.
+ * @param {(points: Object[]) => Array} rank e.g. `paretoRanking` or
+ *   `paretoScores`.
+ * @returns {Array} `rank`'s results of every group, in `points` order.
+ */
+export function rankGroups(points, groups, rank) {
+  if (groups.reduce((sum, size) => sum + size, 0) !== points.length) {
+    throw new Error(`Groups of ${groups.join(' + ')} do not cover ${points.length} points`);
+  }
+  let start = 0;
+  return groups.flatMap((size) => {
+    const group = points.slice(start, start + size);
+    start += size;
+    return rank(group);
+  });
+}
+
+/**
+ * Scores to breed a generation from (see `Evolution#evolve`).
+ *
+ * @param {Object[]} reports Fitness report of every genome (see
+ *   `FitnessEvaluator#report`), in population order.
+ * @param {string} [objective='distance'] - 'distance' scores by fitness
+ *   alone; 'pareto' ranks by PARETO_OBJECTIVES with `paretoScores`.
+ * @param {number[]} [groups=[reports.length]] - Population size of each
+ *   island; 'pareto' ranks every island apart (see `rankGroups`).
+ * @returns {number[]} score per report.
+ */
+export function selectionScores(reports, objective = 'distance', groups = [reports.length]) {
+  checkObjective(objective);
+  if (objective !== 'pareto') return reports.map((r) => r.fitness);
+  return rankGroups(reports, groups, (group) => paretoScores(group));
+}
+
+/**
+ * @param {string} objective
+ * @throws {Error} unless `objective` is one of SELECTION_OBJECTIVES.
+ */
+export function checkObjective(objective) {
+  if (!SELECTION_OBJECTIVES.includes(objective)) {
+    throw new Error(`Unknown objective "${objective}", expected one of ${SELECTION_OBJECTIVES.join(', ')}`);
+  }
+}
+
+// ---------- private helpers ----------
+
+// Objective values of a point, negated where smaller is better so that
+// larger is always better; null when any value is missing, broken or
+// below its objective's `min`.
+function objectiveValues(point, objectives) {
+  if (objectives.some(({ key, min }) => point[key] < min)) return null;
+  const values = objectives.map(({ key, maximize }) => (maximize ? point[key] : -point[key]));
+  return values.every(Number.isFinite) ? values : null;
+}
+
+// 1 if `a` dominates `b`, -1 if `b` dominates `a`, else 0.
+function compare(a, b) {
+  let better = false;
+  let worse = false;
+  for (let m = 0; m < a.length; m++) {
+    if (a[m] > b[m]) better = true;
+    else if (a[m] < b[m]) worse = true;
+  }
+  if (better === worse) return 0;
+  return better ? 1 : -1;
+}
@@ -0,0 +1,14 @@
+// planck.js
+// Resolves the Planck.js namespace for the simulation modules. In the
+// browser it is the global `planck` object loaded from the vendor bundle
+// by a <script> tag. Where that global does not exist (Node, workers) the
+// same version is loaded from the `planck` npm package instead, which
+// keeps world.js and friends importable without a browser.
+
+export const pl = globalThis.planck ?? await loadPackage();
+export const Vec2 = pl.Vec2;
+
+async function loadPackage() {
+  const mod = await import('planck');
+  return mod.default ?? mod;
+}
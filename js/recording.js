@@ -0,0 +1,473 @@
+// recording.js
+// Run recording and replay. A `Recorder` samples the position and angle
+// of every body in a world after each physics step, together with the
+// shape of each body's fixtures, so the run can be drawn again later
+// without re-simulating it. A `Replay` plays a recording back: it looks
+// enough like a Planck World (getBodyList, getFixtureList, getShape, ...)
+// that `Renderer` can draw it exactly like the live world, and adds
+// play/pause, scrubbing, speed control and frame stepping.
+//
+// Recordings are plain data. `encodeRecording` turns one into a compact
+// JSON-friendly form (quantized, delta-encoded samples) for export;
+// `decodeRecording` reverses it.
+
+/* Tunable defaults */
+const POSITION_SCALE = 1000;   // samples are stored in millimeters...
+const ANGLE_SCALE = 10000;     // ...and 1/10000 radians when encoded
+export const REPLAY_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+export class Recorder {
+  /**
+   * Start recording a world. The current state becomes frame 0.
+   *
+   * @param {Object} world - Planck World to record.
+   * @param {Object} [opts]
+   * @param {number} [opts.timeStep=1/60] - Seconds between captured frames.
+   * @param {Object[]} [opts.vehicles] - Vehicles (from `buildCar`) in the
+   *   order the recording should number them, e.g. population order.
+   *   Vehicles not listed are numbered as they are found.
+   */
+  constructor(world, opts = {}) {
+    this.world = world;
+    this.timeStep = opts.timeStep ?? 1 / 60;
+    this.frameCount = 0;
+    this._tracks = new Map();    // body -> track
+    this._vehicles = new Map();  // vehicle record -> index
+    this._eliminations = [];
+    this._damage = [];
+    this._lastDamage = new Map();  // vehicle index -> last recorded damage
+    for (const vehicle of opts.vehicles ?? []) {
+      this._vehicles.set(vehicle, this._vehicles.size);
+    }
+    this.capture();
+  }
+
+  /**
+   * Capture the world's current state as the next frame. Call once after
+   * every physics step. Bodies created since the last frame start their
+   * track here; bodies that disappeared end theirs.
+   */
+  capture() {
+    const frame = this.frameCount;
+    const seen = new Set();
+    for (let b = this.world.getBodyList(); b; b = b.getNext()) {
+      seen.add(b);
+      let track = this._tracks.get(b);
+      if (!track) {
+        track = this._register(b, frame);
+      } else if (track.static) {
+        continue;
+      }
+      const p = b.getPosition();
+      track.x.push(p.x);
+      track.y.push(p.y);
+      track.a.push(b.getAngle());
+    }
+    for (const [body, track] of this._tracks) {
+      if (track.last === null && !seen.has(body)) track.last = frame;
+    }
+    for (const [vehicle, index] of this._vehicles) {
+      if (vehicle.eliminated && !this._eliminations.some((e) => e.vehicle === index)) {
+        this._eliminations.push({ frame, vehicle: index });
+      }
+      const damage = vehicle.damage ?? 0;
+      if (damage !== (this._lastDamage.get(index) ?? 0)) {
+        this._damage.push({ frame, vehicle: index, value: damage });
+        this._lastDamage.set(index, damage);
+      }
+      for (const wheel of vehicle.detachedWheels ?? []) {
+        const track = this._tracks.get(wheel);
+        if (track && track.detached === null) track.detached = frame;
+      }
+    }
+    this.frameCount += 1;
+  }
+
+  /**
+   * The recording so far, as plain data. The returned object does not
+   * change when more frames are captured.
+   * @returns {Object} recording (see `decodeRecording` for the shape).
+   */
+  toRecording() {
+    return {
+      timeStep: this.timeStep,
+      frameCount: this.frameCount,
+      bodies: Array.from(this._tracks.values(), (t) => ({
+        ...t,
+        x: t.x.slice(),
+        y: t.y.slice(),
+        a: t.a.slice(),
+      })),
+      eliminations: this._eliminations.slice(),
+      damage: this._damage.slice(),
+    };
+  }
+
+  // ---------- private helpers ----------
+
+  _register(body, frame) {
+    const data = body.getUserData();
+    let vehicle = -1;
+    if (data && data.vehicle) {
+      if (!this._vehicles.has(data.vehicle)) {
+        this._vehicles.set(data.vehicle, this._vehicles.size);
+      }
+      vehicle = this._vehicles.get(data.vehicle);
+    }
+    const fixtures = [];
+    for (let f = body.getFixtureList(); f; f = f.getNext()) {
+      const shape = describeShape(f.getShape());
+      if (!shape) continue;
+      const fixtureData = f.getUserData();
+      if (fixtureData && fixtureData.material) shape.material = fixtureData.material;
+      fixtures.push(shape);
+    }
+    const track = {
+      role: data && data.role ? data.role : null,
+      vehicle,
+      suspension: describeSuspension(body, data),
+      static: body.isStatic(),
+      first: frame,
+      last: null,
+      detached: null,
+      fixtures,
+      x: [],
+      y: [],
+      a: [],
+    };
+    if (track.static) {
+      const p = body.getPosition();
+      track.x.push(p.x);
+      track.y.push(p.y);
+      track.a.push(body.getAngle());
+    }
+    this._tracks.set(body, track);
+    return track;
+  }
+}
+
+export class Replay {
+  /**
+   * Prepare a recording for playback. Starts paused at frame 0.
+   * @param {Object} recording - From `Recorder#toRecording()` or `decodeRecording()`.
+   */
+  constructor(recording) {
+    this.recording = recording;
+    this.frameCount = recording.frameCount;
+    this.timeStep = recording.timeStep;
+    this.playing = false;
+    this.speed = 1;
+    this.frame = 0;
+    this._cursor = 0; // fractional frame position while playing
+
+    // Vehicles in the shape Renderer#followLeader expects.
+    this.vehicles = [];
+    this._bodies = recording.bodies.map((track) => {
+      const body = new ReplayBody(track, recording.timeStep);
+      if (track.vehicle >= 0) {
+        const v = this.vehicles[track.vehicle] ??= {
+          chassis: null, wheels: [], suspensions: [], damage: 0, eliminated: false,
+        };
+        body.userData = { role: track.role, vehicle: v };
+        if (track.role === 'chassis') v.chassis = body;
+        else if (track.role === 'wheel') v.wheels.push(body);
+        if (track.suspension) {
+          const { anchor, axis, extension, compression } = track.suspension;
+          v.suspensions.push({
+            wheel: body,
+            anchor: { x: anchor[0], y: anchor[1] },
+            axis: { x: axis[0], y: axis[1] },
+            extension,
+            compression,
+          });
+        }
+      }
+      return body;
+    });
+    this.vehicles = this.vehicles.filter((v) => v && v.chassis);
+    this._head = null;
+    this._applyFrame();
+  }
+
+  /** @returns {number} seconds from frame 0 to the current frame. */
+  get time() {
+    return this.frame * this.timeStep;
+  }
+
+  /** @returns {number} total recorded seconds. */
+  get duration() {
+    return Math.max(0, this.frameCount - 1) * this.timeStep;
+  }
+
+  play() {
+    if (this.frame >= this.frameCount - 1) this.seek(0);
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  togglePlay() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Set the playback speed multiplier.
+   * @param {number} speed - e.g. 0.25 for slow motion, 2 for double speed.
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0.01, speed);
+  }
+
+  /**
+   * Jump to a frame (clamped to the recording).
+   * @param {number} frame
+   */
+  seek(frame) {
+    this.frame = Math.min(this.frameCount - 1, Math.max(0, Math.round(frame)));
+    this._cursor = this.frame;
+    this._applyFrame();
+  }
+
+  /**
+   * Pause and move by a number of frames (negative steps back).
+   * @param {number} count
+   */
+  stepFrames(count) {
+    this.pause();
+    this.seek(this.frame + count);
+  }
+
+  /**
+   * Advance playback by real elapsed time.
+   * @param {number} dt - Seconds since the last update.
+   */
+  update(dt) {
+    if (!this.playing) return;
+    this._cursor = Math.min(this.frameCount - 1, this._cursor + (dt * this.speed) / this.timeStep);
+    const frame = Math.floor(this._cursor);
+    if (frame !== this.frame) {
+      this.frame = frame;
+      this._applyFrame();
+    }
+    if (this.frame >= this.frameCount - 1) this.playing = false;
+  }
+
+  // ----- World-like interface used by Renderer -----
+
+  getBodyList() {
+    return this._head;
+  }
+
+  // ---------- private helpers ----------
+
+  _applyFrame() {
+    const f = this.frame;
+    let prev = null;
+    this._head = null;
+    for (const body of this._bodies) {
+      body.next = null;
+      if (!body.setFrame(f)) continue;
+      if (prev) prev.next = body;
+      else this._head = body;
+      prev = body;
+    }
+    const eliminated = new Set(
+      this.recording.eliminations.filter((e) => e.frame <= f).map((e) => e.vehicle),
+    );
+    // Damage events are in frame order, so the last one up to f wins.
+    const damage = new Map();
+    for (const e of this.recording.damage ?? []) {
+      if (e.frame > f) break;
+      damage.set(e.vehicle, e.value);
+    }
+    this.recording.bodies.forEach((track, i) => {
+      const data = this._bodies[i].userData;
+      if (!data || !data.vehicle) return;
+      data.vehicle.eliminated = eliminated.has(track.vehicle);
+      data.vehicle.damage = damage.get(track.vehicle) ?? 0;
+      data.detached = track.detached != null && track.detached <= f;
+    });
+  }
+}
+
+/**
+ * Compact a recording for export: samples are quantized and stored as
+ * integer deltas from the previous sample.
+ * @param {Object} recording
+ * @returns {Object} encoded recording (JSON-friendly).
+ */
+export function encodeRecording(recording) {
+  return {
+    timeStep: recording.timeStep,
+    frameCount: recording.frameCount,
+    eliminations: recording.eliminations,
+    damage: recording.damage,
+    bodies: recording.bodies.map((t) => ({
+      role: t.role,
+      vehicle: t.vehicle,
+      suspension: t.suspension,
+      static: t.static,
+      first: t.first,
+      last: t.last,
+      detached: t.detached,
+      fixtures: t.fixtures,
+      x: deltaEncode(t.x, POSITION_SCALE),
+      y: deltaEncode(t.y, POSITION_SCALE),
+      a: deltaEncode(t.a, ANGLE_SCALE),
+    })),
+  };
+}
+
+/**
+ * Reverse `encodeRecording`.
+ *
+ * A recording is `{ timeStep, frameCount, eliminations, damage, bodies }`;
+ * `damage` lists `{ frame, vehicle, value }` whenever a car's chassis
+ * damage changed. Every body has its `fixtures` (local shapes, ground
+ * ones with their `material`), its car's suspension mount if it is a
+ * sprung wheel (`suspension`, else null), the `first` frame it exists
+ * in, the frame it disappeared in (`last`, or null), the frame a wheel
+ * was torn off in (`detached`, or null), whether it is `static` (one
+ * sample only) and `x`, `y`, `a` samples, one per frame from `first`.
+ *
+ * @param {Object} encoded
+ * @returns {Object} recording.
+ */
+export function decodeRecording(encoded) {
+  return {
+    timeStep: encoded.timeStep,
+    frameCount: encoded.frameCount,
+    eliminations: encoded.eliminations,
+    damage: encoded.damage ?? [],
+    bodies: encoded.bodies.map((t) => ({
+      ...t,
+      x: deltaDecode(t.x, POSITION_SCALE),
+      y: deltaDecode(t.y, POSITION_SCALE),
+      a: deltaDecode(t.a, ANGLE_SCALE),
+    })),
+  };
+}
+
+// ---------- private helpers ----------
+
+// Body stand-in drawn by Renderer during replay.
+class ReplayBody {
+  constructor(track, timeStep) {
+    this.track = track;
+    this.timeStep = timeStep;
+    this.next = null;
+    this.userData = null;
+    this.position = { x: 0, y: 0 };
+    this.velocity = { x: 0, y: 0 };
+    this.angle = 0;
+    this._fixtures = track.fixtures.map((desc) => new ReplayFixture(desc));
+    this._fixtures.forEach((f, i) => {
+      f.next = this._fixtures[i + 1] ?? null;
+    });
+  }
+
+  // Move to frame `f`; false if the body does not exist in that frame.
+  setFrame(f) {
+    const t = this.track;
+    if (f < t.first || (t.last !== null && f >= t.last)) return false;
+    const i = t.static ? 0 : Math.min(f - t.first, t.x.length - 1);
+    this.position = { x: t.x[i], y: t.y[i] };
+    this.angle = t.a[i];
+    // Velocity is not recorded; estimate it from the previous sample.
+    const dt = this.timeStep;
+    this.velocity = i > 0
+      ? { x: (t.x[i] - t.x[i - 1]) / dt, y: (t.y[i] - t.y[i - 1]) / dt }
+      : { x: 0, y: 0 };
+    return true;
+  }
+
+  getNext() { return this.next; }
+  getFixtureList() { return this._fixtures[0] ?? null; }
+  getUserData() { return this.userData; }
+  getPosition() { return this.position; }
+  getLinearVelocity() { return this.velocity; }
+  getAngle() { return this.angle; }
+  isStatic() { return this.track.static; }
+
+  getWorldPoint(local) {
+    const c = Math.cos(this.angle);
+    const s = Math.sin(this.angle);
+    return {
+      x: this.position.x + c * local.x - s * local.y,
+      y: this.position.y + s * local.x + c * local.y,
+    };
+  }
+}
+
+// Fixture stand-in: exposes the same shape fields Renderer reads from
+// Planck shapes.
+class ReplayFixture {
+  constructor(desc) {
+    this.next = null;
+    this.userData = desc.material ? { material: desc.material } : null;
+    const toVec = ([x, y]) => ({ x, y });
+    this.shape = {
+      getType: () => desc.type,
+      m_radius: desc.radius,
+      m_p: desc.center ? toVec(desc.center) : undefined,
+      m_vertices: desc.vertices ? desc.vertices.map(toVec) : undefined,
+      m_vertex1: desc.vertices && desc.type === 'edge' ? toVec(desc.vertices[0]) : undefined,
+      m_vertex2: desc.vertices && desc.type === 'edge' ? toVec(desc.vertices[1]) : undefined,
+    };
+  }
+
+  getNext() { return this.next; }
+  getShape() { return this.shape; }
+  getUserData() { return this.userData; }
+}
+
+function describeShape(shape) {
+  const type = shape.getType && shape.getType();
+  const vec = (v) => [v.x, v.y];
+  switch (type) {
+    case 'circle':
+      return { type, radius: shape.m_radius, center: vec(shape.m_p) };
+    case 'polygon':
+    case 'chain':
+      return { type, vertices: shape.m_vertices.map(vec) };
+    case 'edge':
+      return { type, vertices: [vec(shape.m_vertex1), vec(shape.m_vertex2)] };
+    default:
+      return null;
+  }
+}
+
+// Suspension mount of a sprung wheel, so replays can draw the links.
+function describeSuspension(body, data) {
+  const mount = data && data.role === 'wheel' && data.vehicle && data.vehicle.suspensions
+    ? data.vehicle.suspensions.find((s) => s.wheel === body)
+    : null;
+  if (!mount) return null;
+  return {
+    anchor: [mount.anchor.x, mount.anchor.y],
+    axis: [mount.axis.x, mount.axis.y],
+    extension: mount.extension,
+    compression: mount.compression,
+  };
+}
+
+function deltaEncode(values, scale) {
+  let prev = 0;
+  return values.map((v) => {
+    const q = Math.round(v * scale);
+    const d = q - prev;
+    prev = q;
+    return d;
+  });
+}
+
+function deltaDecode(deltas, scale) {
+  let acc = 0;
+  return deltas.map((d) => {
+    acc += d;
+    return acc / scale;
+  });
+}
@@ -0,0 +1,100 @@
+// regression.js
+// Determinism checks. A reference scenario is a small, fully seeded
+// evaluation (cars, track, physics settings) described as plain data, so
+// it can be posted to a worker as well. Running it steps a generation
+// world exactly as the page and the headless evaluator do and records the
+// world's checksum (see `worldChecksum` in world.js) after every step.
+// Comparing those against stored golden checksums, or against a run in
+// another thread, pins down the first step where two runs went apart.
+// bin/regression.mjs is the command-line harness around this module.
+
+import { createGenerationWorld, stepWorld, worldChecksum } from './world.js';
+import { eliminateCar } from './car.js';
+import { FitnessEvaluator } from './fitness.js';
+import { createDefaultGenome, randomGenome } from './genome.js';
+import { createRng } from './random.js';
+import { generateTerrain } from './terrain.js';
+import { DEFAULT_TIME_STEP } from './headless.js';
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} name - Unique name, the key of its golden checksums.
+ * @property {number} [random] - Number of random genomes; without it the
+ *   default car drives alone.
+ * @property {string|number} [seed=1] - Seed of the random genomes.
+ * @property {boolean} [brains=false] - Give the random genomes brains.
+ * @property {Object} [terrain] - Options for `generateTerrain`.
+ * @property {Object} [physics] - Physics settings (see config.js),
+ *   including `timeStep`.
+ * @property {number} steps - Physics steps to run at most.
+ */
+
+/** @type {Scenario[]} Scenarios covered by the stored golden checksums. */
+export const REFERENCE_SCENARIOS = [
+  { name: 'default-car', terrain: { seed: 1 }, steps: 600 },
+  { name: 'random-population', random: 12, seed: 7, terrain: { seed: 2 }, steps: 600 },
+  { name: 'endless-track', random: 8, seed: 11, terrain: { seed: 5, streaming: true }, steps: 600 },
+  {
+    name: 'custom-physics',
+    random: 8,
+    seed: 3,
+    terrain: { seed: 3 },
+    physics: { gravity: 4, wheelFriction: 1.5, timeStep: 1 / 120 },
+    steps: 600,
+  },
+  { name: 'neural-controller', random: 8, seed: 5, brains: true, terrain: { seed: 4 }, steps: 600 },
+];
+
+/**
+ * Run a scenario and checksum the world after every step. The run stops
+ * early once every car has been eliminated.
+ *
+ * @param {Scenario} scenario
+ * @returns {string[]} checksum after step 1, 2, ...
+ */
+export function runScenario(scenario) {
+  const dt = scenario.physics?.timeStep ?? DEFAULT_TIME_STEP;
+  const { world, vehicles, terrain } = createGenerationWorld(scenarioGenomes(scenario), {
+    terrain: generateTerrain(scenario.terrain),
+    physics: scenario.physics,
+  });
+  const evaluators = vehicles.map((vehicle) => new FitnessEvaluator(world, vehicle, terrain));
+  const checksums = [];
+  while (checksums.length < scenario.steps && vehicles.some((v) => !v.eliminated)) {
+    stepWorld(world, dt);
+    evaluators.forEach((evaluator, i) => {
+      if (!vehicles[i].eliminated && evaluator.step(dt)) eliminateCar(vehicles[i]);
+    });
+    checksums.push(worldChecksum(world));
+  }
+  for (const evaluator of evaluators) evaluator.dispose();
+  return checksums;
+}
+
+/**
+ * Find the first step where two checksum series disagree, including one
+ * series ending before the other.
+ *
+ * @param {string[]} expected Checksums per step, e.g. golden values.
+ * @param {string[]} actual Checksums per step of the run under test.
+ * @returns {?{ step: number, expected: ?string, actual: ?string }} null
+ *   when both agree, else the 1-based step and both checksums there (null
+ *   for a series that had already ended).
+ */
+export function firstDivergence(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    if (expected[i] !== actual[i]) {
+      return { step: i + 1, expected: expected[i] ?? null, actual: actual[i] ?? null };
+    }
+  }
+  return null;
+}
+
+// ---------- private helpers ----------
+
+function scenarioGenomes(scenario) {
+  if (!scenario.random) return [createDefaultGenome()];
+  const rng = createRng(scenario.seed ?? 1);
+  return Array.from({ length: scenario.random }, () => randomGenome(rng, { brain: scenario.brains }));
+}
@@ -1,22 +1,87 @@
 // js/render.js
 // Canvas renderer for a Planck.js world.
-// - Smooth follow camera (damping + offset)
-// - Zoom with clamping
+// - Smooth follow camera (damping + offset), optionally following the
+//   leading car of a generation
+// - Camera modes: 'follow' (default), 'free' (panned by hand with
+//   `panBy`, e.g. by dragging) and 'overview' (fits the ground that
+//   exists, which with streamed terrain is the chunks still kept)
+// - Zoom with clamping, by steps or centred on a screen point (`zoomAt`)
 // - Grid background for debugging
-// - Draws polygons, circles, edges and chains
+// - Draws polygons, circles, edges and chains; ground fixtures are
+//   coloured by their material (user data `{ material }`, see ground.js)
+// - Draws suspension links (travel rail and spring) of sprung wheels
+// - Fades (or hides) cars that have been eliminated from the run
+// - Tints damaged chassis towards red and greys out torn-off wheels
+// - Optional overlay drawn over the world with the renderer's own
+//   world <-> canvas transforms (e.g. the car designer, designer.js)
+// - Optional HUD overlay (hud.js) drawn in screen space on top
+// - Optional minimap of the whole track with every car and the view
+// - Interpolates bodies between the previous and the current physics
+//   step (see savePreviousState), so motion stays smooth when the frame
+//   rate and the physics rate differ; debug layers show the live state
+// - Debug layers, each toggled on its own (see DEBUG_LAYERS): joints and
+//   anchors, contact points and normals, AABBs, centres of mass,
+//   velocity vectors, sleeping bodies and colliding fixture pairs
 // Notes:
 //   * This module does not import planck directly; it only reads bodies/fixtures.
 //   * Provide the world and the target body (car) from the outside.
+//   * The "world" can also be a `Replay` (recording.js), which exposes the
+//     same read-only body/fixture interface for recorded frames. Debug
+//     layers that need more than that (joints, contacts, AABBs, ...) are
+//     skipped for it.
+
+import { DEFAULT_CONFIG } from './config.js';
 
 /* Tunable defaults */
 const DEFAULT_PIXELS_PER_METER = 30;        // base screen scale at zoom=1
-const DEFAULT_MIN_ZOOM = 0.5;
-const DEFAULT_MAX_ZOOM = 2.0;
+const DEFAULT_MIN_ZOOM = DEFAULT_CONFIG.minZoom;
+const DEFAULT_MAX_ZOOM = DEFAULT_CONFIG.maxZoom;
+const DEFAULT_DAMPING = DEFAULT_CONFIG.cameraDamping;
+const OVERVIEW_MARGIN = 0.05;               // fraction of the view left around the track
+const MINIMAP_WIDTH = 240;                  // CSS pixels
+const MINIMAP_HEIGHT = 60;                  // CSS pixels
+const MINIMAP_MARGIN = 10;                  // CSS pixels from the canvas edge
+const MINIMAP_CAR_SIZE = 2;                 // CSS pixels, half-size of a car dot
+const ELIMINATED_ALPHA = 0.25;              // opacity of eliminated cars
+const LEADER_HYSTERESIS = 0.5;              // meters a car must lead by to take over
+const SPRING_COILS = 6;                     // zigzags drawn per suspension spring
+const SPRING_WIDTH = 0.08;                  // meters either side of the spring line
+const SPRING_MOUNT_OFFSET = 0.15;           // meters past full compression the spring is fixed
+const DEBUG_POINT_SIZE = 3;                 // CSS pixels, half-size of anchor/contact markers
+const DEBUG_NORMAL_LENGTH = 0.4;            // meters drawn per contact normal
+const DEBUG_VELOCITY_SCALE = 0.2;           // meters drawn per m/s (seconds of travel)
+const DEBUG_SPIN_RADIUS = 0.35;             // meters, radius of the angular velocity arc
+
+/** Debug layers `Renderer` can draw over the world, in key order (see controls.js). */
+export const DEBUG_LAYERS = ['joints', 'contacts', 'aabbs', 'centers', 'velocities', 'sleeping', 'pairs'];
 
 const COLORS = {
   grid: '#3a3a3a',
-  terrain: '#9cf',
+  minimap: 'rgba(0, 0, 0, 0.55)',
+  view: '#fd6',
+  terrain: '#9cf',                         // ground of unknown material
+  materials: {
+    ground: '#9cf',
+    ice: '#dff8ff',
+    mud: '#b8864b',
+    bouncy: '#f6c',
+  },
   body: '#fff',
+  suspension: '#fc6',
+  rail: '#777',
+  detached: '#888',
+  debug: {
+    joint: '#6cf',
+    anchor: '#fff',
+    contact: '#f44',
+    normal: '#ff0',
+    aabb: '#c6f',
+    center: '#7f7',
+    velocity: '#0ff',
+    spin: '#f90',
+    sleeping: '#669',
+    pair: '#f0f',
+  },
 };
 
 export class Renderer {
@@ -31,12 +96,18 @@ export class Renderer {
    * @param {Object} [opts]
    * @param {number} [opts.baseScale=30] - Pixels per meter at zoom=1.
    * @param {number} [opts.zoom=1] - Initial zoom.
-   * @param {number} [opts.minZoom=0.5] - Min zoom clamp.
-   * @param {number} [opts.maxZoom=2.0] - Max zoom clamp.
+   * @param {number} [opts.minZoom=0.1] - Min zoom clamp.
+   * @param {number} [opts.maxZoom=8.0] - Max zoom clamp.
    * @param {number} [opts.damping=0.12] - Camera follow damping (0..1).
    * @param {number} [opts.offsetX=4.0] - Look-ahead in meters.
    * @param {number} [opts.offsetY=0.8] - Vertical lift in meters.
    * @param {number} [opts.horizon=0.45] - Screen Y (0..1) used as world center.
+   * @param {boolean} [opts.hideEliminated=false] - Skip eliminated cars instead of fading them.
+   * @param {?Object} [opts.hud=null] - `Hud` to draw over the world each frame.
+   * @param {?Object} [opts.overlay=null] - Overlay to draw over the world
+   *   each frame (see setOverlay).
+   * @param {string[]} [opts.debug=[]] - Debug layers (see DEBUG_LAYERS) shown from the start.
+   * @param {boolean} [opts.minimap=true] - Draw the minimap.
    */
   constructor(canvas, world, target, opts = {}) {
     this.canvas = canvas;
@@ -53,21 +124,69 @@ export class Renderer {
     this.maxZoom = opts.maxZoom ?? DEFAULT_MAX_ZOOM;
 
     this.follow = {
-      damping: opts.damping ?? 0.12,
+      damping: opts.damping ?? DEFAULT_DAMPING,
       offsetX: opts.offsetX ?? 4.0,
       offsetY: opts.offsetY ?? 0.8,
       // horizon = screen Y (0..1 from top) where world camera.y maps to
       horizon: opts.horizon ?? 0.45,
     };
 
+    this.hideEliminated = opts.hideEliminated ?? false;
+    this.hud = opts.hud ?? null;
+    this.overlay = opts.overlay ?? null;
+    this.minimap = opts.minimap ?? true;
+    // 'follow', 'free' or 'overview' (see setCameraMode).
+    this.mode = 'follow';
+    // Zoom to go back to when leaving the overview.
+    this._zoomBeforeOverview = this.zoom;
+    // Debug layer name -> shown.
+    this.debug = Object.fromEntries(DEBUG_LAYERS.map((name) => [name, false]));
+    for (const name of opts.debug ?? []) this.setDebugLayer(name, true);
+    // Vehicles to pick the leader from (see followLeader); null = fixed target.
+    this.leaderCandidates = null;
+    // Body -> { x, y, angle } before the latest physics step, and how far
+    // to blend from it towards the current state (see render).
+    this._previous = new Map();
+    this._alpha = 1;
+    // Static body -> its bounds in world space (see _trackBounds). Ground
+    // never moves, so they are worked out once per body.
+    this._groundBounds = new WeakMap();
+
     const p = this._getTargetPos();
     this.camera = { x: p.x + this.follow.offsetX, y: p.y + this.follow.offsetY };
 
     this._resizeCanvas();
     window.addEventListener('resize', () => this._resizeCanvas(), { passive: true });
+  }
 
-    // One-time debug (uncomment to inspect available shape types)
-    // this._logShapeTypesOnce();
+  /**
+   * Show or hide a debug layer.
+   * @param {string} name - One of DEBUG_LAYERS.
+   * @param {boolean} on
+   */
+  setDebugLayer(name, on) {
+    if (!(name in this.debug)) throw new Error(`unknown debug layer "${name}"`);
+    this.debug[name] = !!on;
+  }
+
+  /**
+   * Show a debug layer if hidden, hide it if shown.
+   * @param {string} name - One of DEBUG_LAYERS.
+   * @returns {boolean} whether the layer is now shown.
+   */
+  toggleDebugLayer(name) {
+    this.setDebugLayer(name, !this.debug[name]);
+    return this.debug[name];
+  }
+
+  /** Hide every debug layer. */
+  clearDebugLayers() {
+    for (const name of DEBUG_LAYERS) this.debug[name] = false;
+  }
+
+  /** @returns {string[]} the debug layers currently shown, in DEBUG_LAYERS order. */
+  get debugLayers() {
+    return DEBUG_LAYERS.filter((name) => this.debug[name]);
   }
 
   /**
@@ -88,35 +207,220 @@ export class Renderer {
   }
 
   /**
-   * Reset camera to target position and default zoom (1.0).
-   * Keeps follow offsets.
+   * Change the zoom limits and follow damping, e.g. from the settings
+   * panel, and clamp the current zoom to the new limits.
+   * @param {Object} opts
+   * @param {number} [opts.minZoom] - Min zoom clamp.
+   * @param {number} [opts.maxZoom] - Max zoom clamp.
+   * @param {number} [opts.damping] - Camera follow damping (0..1).
+   */
+  setCameraLimits(opts) {
+    this.minZoom = opts.minZoom ?? this.minZoom;
+    this.maxZoom = opts.maxZoom ?? this.maxZoom;
+    this.follow.damping = opts.damping ?? this.follow.damping;
+    this.setZoom(this.zoom);
+  }
+
+  /**
+   * Multiply the zoom by `factor` (clamped). With a screen point, e.g.
+   * the mouse cursor for wheel zoom, the world point under it stays in
+   * place; like panning, that detaches the camera from the target (free
+   * mode). Without one the camera keeps its mode.
+   * @param {number} factor - Above 1 zooms in, below 1 zooms out.
+   * @param {{ x: number, y: number }} [at] - Screen point in CSS pixels
+   *   from the canvas' top-left corner.
+   */
+  zoomAt(factor, at) {
+    // Zooming out of the overview continues from its zoom.
+    if (this.mode === 'overview') this.mode = 'free';
+    if (!at) {
+      this.setZoom(this.zoom * factor);
+      return;
+    }
+    this.mode = 'free';
+    const screen = { x: at.x * this.dpr, y: at.y * this.dpr };
+    const anchor = this._toWorld(screen);
+    this.setZoom(this.zoom * factor);
+    // Move the camera so `anchor` maps back onto `screen`.
+    const moved = this._toScreen(anchor);
+    const s = this._scale();
+    this.camera.x += (moved.x - screen.x) / s;
+    this.camera.y -= (moved.y - screen.y) / s;
+  }
+
+  /**
+   * Move the view by a screen distance, like dragging the world with the
+   * mouse. Detaches the camera from the target (free mode) until
+   * `setCameraMode('follow')`.
+   * @param {number} dx - CSS pixels to the right.
+   * @param {number} dy - CSS pixels down.
+   */
+  panBy(dx, dy) {
+    this.mode = 'free';
+    const s = this._scale() / this.dpr;
+    this.camera.x -= dx / s;
+    this.camera.y += dy / s;
+  }
+
+  /**
+   * Switch the camera mode:
+   * - 'follow': glide after the target again, snapping straight to it
+   * - 'free': stay where the camera is
+   * - 'overview': fit the ground in the world in the view, ignoring the
+   *   zoom clamp; leaving it restores the zoom. With streamed terrain
+   *   (see ground.js) that is the chunks still kept, not every chunk
+   *   generated so far.
+   * @param {string} mode - 'follow', 'free' or 'overview'.
+   */
+  setCameraMode(mode) {
+    if (mode !== 'follow' && mode !== 'free' && mode !== 'overview') {
+      throw new Error(`unknown camera mode "${mode}"`);
+    }
+    if (mode === this.mode) return;
+    if (this.mode === 'overview') this.zoom = this._zoomBeforeOverview;
+    if (mode === 'overview') this._zoomBeforeOverview = this.zoom;
+    this.mode = mode;
+    if (mode === 'follow') this._snapToTarget();
+  }
+
+  /** Show the minimap if hidden, hide it if shown. */
+  toggleMinimap() {
+    this.minimap = !this.minimap;
+  }
+
+  /**
+   * Reset camera to target position and default zoom (1.0) and follow the
+   * target again. Keeps follow offsets.
    */
   resetCamera() {
-    const p = this._getTargetPos();
-    this.camera.x = p.x + this.follow.offsetX;
-    this.camera.y = p.y + this.follow.offsetY;
+    this.mode = 'follow';
+    this._snapToTarget();
     this.zoom = 1;
   }
 
   /**
-   * Change the body the camera follows (e.g., on reset).
+   * Change the body the camera follows. The camera glides to the new
+   * target with the usual follow damping; call `resetCamera()` afterwards
+   * to jump there (and reset the zoom) instead.
    * @param {Object} target - New Planck Body to follow.
    */
   setTarget(target) {
     this.target = target;
-    this.resetCamera();
+  }
+
+  /**
+   * Follow whichever car is furthest ahead. The leader is re-evaluated
+   * every frame among the cars that are not eliminated; the camera
+   * switches to a new leader (via `setTarget`) once it is clearly ahead.
+   * Pass null to go back to following a fixed target.
+   * @param {?Object[]} vehicles - Vehicles as returned by `buildCar`.
+   */
+  followLeader(vehicles) {
+    this.leaderCandidates = vehicles;
+    this._updateLeader();
+  }
+
+  /**
+   * Switch to another world and follow a body in it (e.g. when the next
+   * car of a generation is loaded). In follow mode the camera snaps to
+   * the new target; zoom and camera mode are kept.
+   * @param {Object} world - New Planck World instance.
+   * @param {Object} target - Planck Body in `world` to follow.
+   */
+  setWorld(world, target) {
+    this.world = world;
+    this.target = target;
+    this.leaderCandidates = null;
+    this._previous = new Map();
+    if (this.mode === 'follow') this._snapToTarget();
+  }
+
+  /**
+   * Draw something over the world every frame, below the minimap and the
+   * HUD, or stop drawing it (null). The overlay is an object with a
+   * `draw(ctx, renderer)` method; it works in CSS pixels (the context is
+   * reset to that scale) and places things with `worldToCanvas`.
+   * @param {?{ draw: (ctx: CanvasRenderingContext2D, renderer: Renderer) => void }} overlay
+   */
+  setOverlay(overlay) {
+    this.overlay = overlay;
+  }
+
+  /**
+   * Show a world point in the middle of the canvas, optionally at a new
+   * zoom. Detaches the camera from the target (free mode).
+   * @param {{ x: number, y: number }} point - World point (meters).
+   * @param {number} [zoom] - New zoom (clamped).
+   */
+  lookAt(point, zoom) {
+    this.mode = 'free';
+    if (zoom !== undefined) this.setZoom(zoom);
+    // The camera itself maps to the horizon line.
+    this.camera.x = point.x;
+    this.camera.y = point.y + (this.canvas.height / 2 - this._screenCenter().y) / this._scale();
+  }
+
+  /** @returns {number} CSS pixels per meter at the current zoom. */
+  get pixelsPerMeter() {
+    return this._scale() / this.dpr;
+  }
+
+  /**
+   * World point -> canvas point, with the transform bodies are drawn with.
+   * @param {{ x: number, y: number }} vec - World point (meters).
+   * @returns {{ x: number, y: number }} CSS pixels from the canvas' top-left corner.
+   */
+  worldToCanvas(vec) {
+    const p = this._toScreen(vec);
+    return { x: p.x / this.dpr, y: p.y / this.dpr };
+  }
+
+  /**
+   * Canvas point -> world point; inverse of `worldToCanvas`, e.g. for
+   * pointer positions.
+   * @param {{ x: number, y: number }} point - CSS pixels from the canvas' top-left corner.
+   * @returns {{ x: number, y: number }} world point (meters).
+   */
+  canvasToWorld(point) {
+    return this._toWorld({ x: point.x * this.dpr, y: point.y * this.dpr });
+  }
+
+  /**
+   * Remember where every moving body is, as the state to interpolate
+   * from. Call right before each physics step.
+   */
+  savePreviousState() {
+    const previous = new Map();
+    for (let b = this.world.getBodyList(); b; b = b.getNext()) {
+      if (b.isStatic()) continue;
+      const p = b.getPosition();
+      previous.set(b, { x: p.x, y: p.y, angle: b.getAngle() });
+    }
+    this._previous = previous;
   }
 
   /**
    * Render one frame:
-   * - Update camera position with damping towards target+offset
+   * - Pick the leading car (when following the leader)
+   * - Update camera position with damping towards target+offset (follow
+   *   mode) or fit it to the track (overview mode)
    * - Clear canvas
    * - Draw grid
-   * - Draw all fixtures (polygons, circles, edges, chains)
+   * - Draw all fixtures (polygons, circles, edges, chains) and suspension links
+   * - Draw the debug layers that are shown
+   * - Draw the overlay (if any)
+   * - Draw the minimap and the HUD (if any) in screen space
+   *
+   * @param {number} [alpha=1] - How far between the state saved by
+   *   `savePreviousState` (0) and the current state (1) to draw bodies,
+   *   e.g. the simulation clock's leftover time in steps.
    */
-  render() {
+  render(alpha = 1) {
     const ctx = this.ctx;
-    this._followTarget();
+    this._alpha = alpha;
+    this._updateLeader();
+    if (this.mode === 'follow') this._followTarget();
+    else if (this.mode === 'overview') this._fitTrack();
 
     // Clear frame
     ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -126,10 +430,29 @@ export class Renderer {
 
     // Bodies & fixtures
     for (let b = this.world.getBodyList(); b; b = b.getNext()) {
+      const eliminated = this._isEliminated(b);
+      if (eliminated && this.hideEliminated) continue;
+      ctx.globalAlpha = eliminated ? ELIMINATED_ALPHA : 1;
       for (let f = b.getFixtureList(); f; f = f.getNext()) {
         this._drawFixture(b, f);
       }
+      this._drawSuspensions(b);
+    }
+    ctx.globalAlpha = 1;
+
+    // Overlays show the live physics state.
+    this._alpha = 1;
+    this._drawDebug();
+
+    if (this.overlay) {
+      ctx.save();
+      ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+      this.overlay.draw(ctx, this);
+      ctx.restore();
     }
+    if (this.minimap) this._drawMinimap();
+    // HUD on top, unaffected by camera and zoom
+    if (this.hud) this.hud.draw(ctx, this.dpr);
   }
 
   // ---------- private helpers ----------
@@ -170,8 +493,130 @@ export class Renderer {
     };
   }
 
+  // Position and angle of a body as drawn: blended between its previous
+  // and current state.
+  _pose(body) {
+    const p = body.getPosition();
+    const prev = this._alpha < 1 ? this._previous.get(body) : undefined;
+    if (!prev) return { x: p.x, y: p.y, angle: body.getAngle() };
+    const t = this._alpha;
+    return {
+      x: prev.x + (p.x - prev.x) * t,
+      y: prev.y + (p.y - prev.y) * t,
+      angle: prev.angle + (body.getAngle() - prev.angle) * t,
+    };
+  }
+
+  _position(body) {
+    const pose = this._pose(body);
+    return { x: pose.x, y: pose.y };
+  }
+
+  // Body-local point -> world point, at the drawn pose.
+  _worldPoint(body, local) {
+    if (this._alpha >= 1 || !this._previous.has(body)) return body.getWorldPoint(local);
+    const pose = this._pose(body);
+    const c = Math.cos(pose.angle);
+    const s = Math.sin(pose.angle);
+    return {
+      x: pose.x + c * local.x - s * local.y,
+      y: pose.y + s * local.x + c * local.y,
+    };
+  }
+
+  _toWorld(point) {
+    // Screen (device pixels) -> World (meters); inverse of _toScreen
+    const s = this._scale();
+    const c = this._screenCenter();
+    return {
+      x: (point.x - c.x) / s + this.camera.x,
+      y: this.camera.y - (point.y - c.y) / s,
+    };
+  }
+
   _getTargetPos() {
-    return this.target ? this.target.getPosition() : { x: 0, y: 0 };
+    return this.target ? this._position(this.target) : { x: 0, y: 0 };
+  }
+
+  _isEliminated(body) {
+    const data = body.getUserData();
+    return !!(data && data.vehicle && data.vehicle.eliminated);
+  }
+
+  _updateLeader() {
+    if (!this.leaderCandidates) return;
+    let leader = null;
+    for (const v of this.leaderCandidates) {
+      if (v.eliminated) continue;
+      if (!leader || v.chassis.getPosition().x > leader.chassis.getPosition().x) leader = v;
+    }
+    if (!leader || leader.chassis === this.target) return;
+    // Keep following the current car while it is still in the run and
+    // roughly level with the leader, so the camera does not flicker
+    // between two cars driving side by side.
+    const current = this.leaderCandidates.find((v) => v.chassis === this.target);
+    if (current && !current.eliminated &&
+        leader.chassis.getPosition().x - current.chassis.getPosition().x < LEADER_HYSTERESIS) {
+      return;
+    }
+    this.setTarget(leader.chassis);
+  }
+
+  _snapToTarget() {
+    const p = this._getTargetPos();
+    this.camera.x = p.x + this.follow.offsetX;
+    this.camera.y = p.y + this.follow.offsetY;
+  }
+
+  // Bounds of the ground (static bodies) in world space, or null if there
+  // is none.
+  _trackBounds() {
+    let bounds = null;
+    for (let b = this.world.getBodyList(); b; b = b.getNext()) {
+      if (!b.isStatic()) continue;
+      if (!this._groundBounds.has(b)) this._groundBounds.set(b, this._bodyBounds(b));
+      const box = this._groundBounds.get(b);
+      if (!box) continue;
+      bounds = bounds ? {
+        left: Math.min(bounds.left, box.left),
+        right: Math.max(bounds.right, box.right),
+        bottom: Math.min(bounds.bottom, box.bottom),
+        top: Math.max(bounds.top, box.top),
+      } : { ...box };
+    }
+    return bounds;
+  }
+
+  // Bounds of a body's vertices in world space, or null if it has none.
+  _bodyBounds(body) {
+    let bounds = null;
+    for (let f = body.getFixtureList(); f; f = f.getNext()) {
+      for (const v of f.getShape().m_vertices ?? []) {
+        const p = body.getWorldPoint(v);
+        if (!bounds) bounds = { left: p.x, right: p.x, bottom: p.y, top: p.y };
+        bounds.left = Math.min(bounds.left, p.x);
+        bounds.right = Math.max(bounds.right, p.x);
+        bounds.bottom = Math.min(bounds.bottom, p.y);
+        bounds.top = Math.max(bounds.top, p.y);
+      }
+    }
+    return bounds;
+  }
+
+  _fitTrack() {
+    const bounds = this._trackBounds();
+    if (!bounds) return;
+    const W = this.canvas.width;
+    const H = this.canvas.height;
+    const keep = 1 - 2 * OVERVIEW_MARGIN;
+    const w = Math.max(1, bounds.right - bounds.left);
+    const h = Math.max(1, bounds.top - bounds.bottom);
+    this.zoom = Math.min((W * keep) / w, (H * keep) / h) / this.baseScale;
+    // Put the middle of the track in the middle of the screen (the
+    // camera itself maps to the horizon line).
+    const s = this._scale();
+    this.camera.x = (bounds.left + bounds.right) / 2;
+    this.camera.y = (bounds.bottom + bounds.top) / 2 + (H / 2 - this._screenCenter().y) / s;
   }
 
   _followTarget() {
@@ -232,10 +677,32 @@ export class Renderer {
     ctx.lineWidth = Math.max(1, (2 * this.dpr) / this.zoom);
   }
 
-  _drawCircle(body, shape) {
+  // Stroke colour of a body: white, shading to red as its car's chassis
+  // takes damage; grey for wheels that were torn off.
+  _bodyColor(body) {
+    const data = body.getUserData();
+    if (!data || !data.vehicle) return COLORS.body;
+    if (data.detached) return COLORS.detached;
+    const damage = Math.min(1, data.vehicle.damage ?? 0);
+    if (data.role !== 'chassis' || damage <= 0) return COLORS.body;
+    const gb = Math.round(255 * (1 - 0.8 * damage));
+    return `rgb(255, ${gb}, ${gb})`;
+  }
+
+  // Stroke colour of a fixture: its ground material if it has one,
+  // otherwise the colour of its body. Sleeping bodies stand out while
+  // that debug layer is shown.
+  _fixtureColor(body, fixture) {
+    if (this.debug.sleeping && this._isSleeping(body)) return COLORS.debug.sleeping;
+    const data = fixture.getUserData && fixture.getUserData();
+    if (data && data.material) return COLORS.materials[data.material] ?? COLORS.terrain;
+    return this._bodyColor(body);
+  }
+
+  _drawCircle(body, shape, color = COLORS.body) {
     const ctx = this.ctx;
-    this._setStroke(COLORS.body);
-    const pos = body.getWorldPoint(shape.m_p);
+    this._setStroke(color);
+    const pos = this._worldPoint(body, shape.m_p);
     const p = this._toScreen(pos);
     const r = shape.m_radius * this._scale();
     ctx.beginPath();
@@ -243,56 +710,104 @@ export class Renderer {
     ctx.stroke();
   }
 
-  _drawPolygon(body, shape) {
+  _drawPolygon(body, shape, color = COLORS.body) {
     const ctx = this.ctx;
-    this._setStroke(COLORS.body);
+    this._setStroke(color);
     const verts = shape.m_vertices;
     if (!verts || verts.length === 0) return;
     ctx.beginPath();
-    let p = this._toScreen(body.getWorldPoint(verts[0]));
+    let p = this._toScreen(this._worldPoint(body, verts[0]));
     ctx.moveTo(p.x, p.y);
     for (let i = 1; i < verts.length; i++) {
-      p = this._toScreen(body.getWorldPoint(verts[i]));
+      p = this._toScreen(this._worldPoint(body, verts[i]));
       ctx.lineTo(p.x, p.y);
     }
     ctx.closePath();
     ctx.stroke();
   }
 
-  _drawEdge(body, shape) {
+  _drawEdge(body, shape, color = COLORS.terrain) {
     const ctx = this.ctx;
-    this._setStroke(COLORS.terrain);
-    const a = this._toScreen(body.getWorldPoint(shape.m_vertex1));
-    const b = this._toScreen(body.getWorldPoint(shape.m_vertex2));
+    this._setStroke(color);
+    const a = this._toScreen(this._worldPoint(body, shape.m_vertex1));
+    const b = this._toScreen(this._worldPoint(body, shape.m_vertex2));
     ctx.beginPath();
     ctx.moveTo(a.x, a.y);
     ctx.lineTo(b.x, b.y);
     ctx.stroke();
   }
 
-  _drawChain(body, shape) {
+  _drawChain(body, shape, color = COLORS.terrain) {
     const ctx = this.ctx;
-    this._setStroke(COLORS.terrain);
+    this._setStroke(color);
     const verts = shape.m_vertices;
     if (!verts || verts.length < 2) return;
     ctx.beginPath();
-    let p = this._toScreen(body.getWorldPoint(verts[0]));
+    let p = this._toScreen(this._worldPoint(body, verts[0]));
     ctx.moveTo(p.x, p.y);
     for (let i = 1; i < verts.length; i++) {
-      p = this._toScreen(body.getWorldPoint(verts[i]));
+      p = this._toScreen(this._worldPoint(body, verts[i]));
       ctx.lineTo(p.x, p.y);
     }
     ctx.stroke();
   }
 
+  // Suspension links of a car, drawn with its chassis: the rail the wheel
+  // slides along (full extension to full compression) and a spring from a
+  // fixed point on the chassis to the wheel centre, which visibly bunches
+  // up as the wheel compresses.
+  _drawSuspensions(body) {
+    const data = body.getUserData();
+    if (!data || data.role !== 'chassis' || !data.vehicle || !data.vehicle.suspensions) return;
+    const ctx = this.ctx;
+    for (const s of data.vehicle.suspensions) {
+      const wheelData = s.wheel.getUserData();
+      if (wheelData && wheelData.detached) continue;
+      const along = (t) => this._worldPoint(body, { x: s.anchor.x + s.axis.x * t, y: s.anchor.y + s.axis.y * t });
+
+      ctx.save();
+      this._setStroke(COLORS.rail);
+      ctx.lineWidth /= 2;
+      const a = this._toScreen(along(-s.extension));
+      const b = this._toScreen(along(s.compression));
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+      ctx.restore();
+
+      const top = along(s.compression + SPRING_MOUNT_OFFSET);
+      const end = this._position(s.wheel);
+      const dx = end.x - top.x;
+      const dy = end.y - top.y;
+      const len = Math.hypot(dx, dy) || 1;
+      const nx = -dy / len;
+      const ny = dx / len;
+      this._setStroke(COLORS.suspension);
+      ctx.beginPath();
+      let p = this._toScreen(top);
+      ctx.moveTo(p.x, p.y);
+      const zigs = SPRING_COILS * 2;
+      for (let i = 1; i < zigs; i++) {
+        const t = i / zigs;
+        const side = i % 2 ? SPRING_WIDTH : -SPRING_WIDTH;
+        p = this._toScreen({ x: top.x + dx * t + nx * side, y: top.y + dy * t + ny * side });
+        ctx.lineTo(p.x, p.y);
+      }
+      p = this._toScreen(end);
+      ctx.lineTo(p.x, p.y);
+      ctx.stroke();
+    }
+  }
+
   _drawFixture(body, fixture) {
     const shape = fixture.getShape();
     const t = shape.getType && shape.getType();
     switch (t) {
-      case 'circle':  return this._drawCircle(body, shape);
-      case 'polygon': return this._drawPolygon(body, shape);
-      case 'edge':    return this._drawEdge(body, shape);
-      case 'chain':   return this._drawChain(body, shape);
+      case 'circle':  return this._drawCircle(body, shape, this._fixtureColor(body, fixture));
+      case 'polygon': return this._drawPolygon(body, shape, this._fixtureColor(body, fixture));
+      case 'edge':    return this._drawEdge(body, shape, this._fixtureColor(body, fixture));
+      case 'chain':   return this._drawChain(body, shape, this._fixtureColor(body, fixture));
       default:
         // Fallback: if vertices exist, try drawing as polyline
         if (Array.isArray(shape.m_vertices) && shape.m_vertices.length) {
@@ -301,16 +816,222 @@ export class Renderer {
     }
   }
 
-  _logShapeTypesOnce() {
-    if (this._shapesLogged) return;
-    this._shapesLogged = true;
-    const seen = new Set();
+  _isSleeping(body) {
+    return typeof body.isAwake === 'function' && !body.isStatic() && !body.isAwake();
+  }
+
+  // Whole track in a box at the bottom right: the ground, a dot per car
+  // (eliminated ones dimmed) and the part of the world in view.
+  _drawMinimap() {
+    const bounds = this._trackBounds();
+    if (!bounds) return;
+    const ctx = this.ctx;
+    const view = {
+      a: this._toWorld({ x: 0, y: 0 }),
+      b: this._toWorld({ x: this.canvas.width, y: this.canvas.height }),
+    };
+    ctx.save();
+    ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    const width = this.canvas.width / this.dpr;
+    const height = this.canvas.height / this.dpr;
+    const box = {
+      x: width - MINIMAP_MARGIN - MINIMAP_WIDTH,
+      y: height - MINIMAP_MARGIN - MINIMAP_HEIGHT,
+    };
+    ctx.fillStyle = COLORS.minimap;
+    ctx.fillRect(box.x, box.y, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+
+    const pad = 4;
+    const w = Math.max(1, bounds.right - bounds.left);
+    const h = Math.max(1, bounds.top - bounds.bottom);
+    const scale = Math.min((MINIMAP_WIDTH - 2 * pad) / w, (MINIMAP_HEIGHT - 2 * pad) / h);
+    const ox = box.x + (MINIMAP_WIDTH - w * scale) / 2;
+    const oy = box.y + (MINIMAP_HEIGHT + h * scale) / 2;
+    const toMap = (p) => ({ x: ox + (p.x - bounds.left) * scale, y: oy - (p.y - bounds.bottom) * scale });
+
+    ctx.beginPath();
+    ctx.rect(box.x, box.y, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+    ctx.clip();
+    ctx.lineWidth = 1;
+    for (let b = this.world.getBodyList(); b; b = b.getNext()) {
+      if (b.isStatic()) {
+        for (let f = b.getFixtureList(); f; f = f.getNext()) {
+          const verts = f.getShape().m_vertices;
+          if (!verts || verts.length < 2) continue;
+          ctx.strokeStyle = this._fixtureColor(b, f);
+          ctx.beginPath();
+          verts.forEach((v, i) => {
+            const p = toMap(b.getWorldPoint(v));
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+          });
+          if (f.getShape().getType() === 'polygon') ctx.closePath();
+          ctx.stroke();
+        }
+        continue;
+      }
+      const data = b.getUserData();
+      if (!data || data.role !== 'chassis') continue;
+      const eliminated = this._isEliminated(b);
+      if (eliminated && this.hideEliminated) continue;
+      const p = toMap(b.getPosition());
+      ctx.globalAlpha = eliminated ? ELIMINATED_ALPHA : 1;
+      ctx.fillStyle = this._bodyColor(b);
+      ctx.fillRect(p.x - MINIMAP_CAR_SIZE, p.y - MINIMAP_CAR_SIZE, MINIMAP_CAR_SIZE * 2, MINIMAP_CAR_SIZE * 2);
+    }
+    ctx.globalAlpha = 1;
+
+    const a = toMap(view.a);
+    const b = toMap(view.b);
+    ctx.strokeStyle = COLORS.view;
+    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    ctx.restore();
+  }
+
+  // ---------- debug layers ----------
+
+  _drawDebug() {
+    const world = this.world;
+    const live = typeof world.getJointList === 'function';
+    if (this.debug.aabbs && live) this._drawAabbs();
+    if (this.debug.joints && live) this._drawJoints();
+    if (this.debug.pairs && live) this._drawPairs();
+    if (this.debug.contacts && live) this._drawContacts();
+    if (this.debug.centers || this.debug.velocities) {
+      for (let b = world.getBodyList(); b; b = b.getNext()) {
+        if (b.isStatic() || (this.hideEliminated && this._isEliminated(b))) continue;
+        const center = b.getWorldCenter ? b.getWorldCenter() : b.getPosition();
+        if (this.debug.centers) this._drawCenter(center);
+        if (this.debug.velocities) this._drawVelocity(b, center);
+      }
+    }
+  }
+
+  // Square marker of `size` CSS pixels around a world point.
+  _drawMarker(point, color, size = DEBUG_POINT_SIZE) {
+    const p = this._toScreen(point);
+    const h = size * this.dpr;
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(p.x - h, p.y - h, h * 2, h * 2);
+  }
+
+  _drawLine(a, b, color) {
+    const ctx = this.ctx;
+    this._setStroke(color);
+    ctx.lineWidth /= 2;
+    const p = this._toScreen(a);
+    const q = this._toScreen(b);
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+    ctx.lineTo(q.x, q.y);
+    ctx.stroke();
+  }
+
+  // Like the Box2D debug draw: body A's centre to its anchor, anchor to
+  // anchor, anchor to body B's centre.
+  _drawJoints() {
+    for (let j = this.world.getJointList(); j; j = j.getNext()) {
+      const a = j.getAnchorA();
+      const b = j.getAnchorB();
+      this._drawLine(j.getBodyA().getPosition(), a, COLORS.debug.joint);
+      this._drawLine(a, b, COLORS.debug.joint);
+      this._drawLine(j.getBodyB().getPosition(), b, COLORS.debug.joint);
+      this._drawMarker(a, COLORS.debug.anchor);
+      this._drawMarker(b, COLORS.debug.anchor);
+    }
+  }
+
+  _drawContacts() {
+    for (let c = this.world.getContactList(); c; c = c.getNext()) {
+      if (!c.isTouching()) continue;
+      const manifold = c.getWorldManifold(null);
+      if (!manifold) continue;
+      for (let i = 0; i < manifold.pointCount; i++) {
+        const p = manifold.points[i];
+        const n = manifold.normal;
+        this._drawLine(p, { x: p.x + n.x * DEBUG_NORMAL_LENGTH, y: p.y + n.y * DEBUG_NORMAL_LENGTH },
+          COLORS.debug.normal);
+        this._drawMarker(p, COLORS.debug.contact);
+      }
+    }
+  }
+
+  // Broad-phase boxes of every active body: a fixture has one per child
+  // of its shape (e.g. per edge of a chain). Inactive bodies have none.
+  _drawAabbs() {
+    const ctx = this.ctx;
+    this._setStroke(COLORS.debug.aabb);
+    ctx.lineWidth /= 2;
+    ctx.beginPath();
     for (let b = this.world.getBodyList(); b; b = b.getNext()) {
+      if (!b.isActive()) continue;
       for (let f = b.getFixtureList(); f; f = f.getNext()) {
-        const s = f.getShape();
-        if (s && s.getType) seen.add(s.getType());
+        for (let i = 0; i < f.getShape().getChildCount(); i++) {
+          const box = f.getAABB(i);
+          const lo = this._toScreen(box.lowerBound);
+          const hi = this._toScreen(box.upperBound);
+          ctx.rect(lo.x, hi.y, hi.x - lo.x, lo.y - hi.y);
+        }
       }
     }
-    console.log('[renderer] shapes:', Array.from(seen));
+    ctx.stroke();
+  }
+
+  // Both fixtures of every touching contact, redrawn in the pair colour.
+  // Of a chain only the edge in contact is drawn.
+  _drawPairs() {
+    for (let c = this.world.getContactList(); c; c = c.getNext()) {
+      if (!c.isTouching()) continue;
+      this._drawPairFixture(c.getFixtureA(), c.getChildIndexA());
+      this._drawPairFixture(c.getFixtureB(), c.getChildIndexB());
+    }
+  }
+
+  _drawPairFixture(fixture, child) {
+    const body = fixture.getBody();
+    const shape = fixture.getShape();
+    const color = COLORS.debug.pair;
+    switch (shape.getType()) {
+      case 'circle':  return this._drawCircle(body, shape, color);
+      case 'polygon': return this._drawPolygon(body, shape, color);
+      case 'edge':    return this._drawEdge(body, shape, color);
+      case 'chain': {
+        const v = shape.m_vertices;
+        return this._drawLine(body.getWorldPoint(v[child]), body.getWorldPoint(v[child + 1]), color);
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  _drawCenter(center) {
+    const r = DEBUG_POINT_SIZE * 1.5 / (this._scale() / this.dpr);
+    this._drawLine({ x: center.x - r, y: center.y }, { x: center.x + r, y: center.y }, COLORS.debug.center);
+    this._drawLine({ x: center.x, y: center.y - r }, { x: center.x, y: center.y + r }, COLORS.debug.center);
+  }
+
+  // Linear velocity as a line of DEBUG_VELOCITY_SCALE seconds of travel;
+  // angular velocity as an arc of as many radians, counter-clockwise for
+  // positive spin.
+  _drawVelocity(body, center) {
+    const v = body.getLinearVelocity();
+    this._drawLine(center, {
+      x: center.x + v.x * DEBUG_VELOCITY_SCALE,
+      y: center.y + v.y * DEBUG_VELOCITY_SCALE,
+    }, COLORS.debug.velocity);
+
+    if (typeof body.getAngularVelocity !== 'function') return;
+    const w = body.getAngularVelocity() * DEBUG_VELOCITY_SCALE;
+    if (Math.abs(w) < 1e-3) return;
+    const ctx = this.ctx;
+    const c = this._toScreen(center);
+    const start = -body.getAngle();
+    const sweep = -Math.max(-2 * Math.PI, Math.min(2 * Math.PI, w));
+    this._setStroke(COLORS.debug.spin);
+    ctx.lineWidth /= 2;
+    ctx.beginPath();
+    // Screen y points down, so world angles are negated.
+    ctx.arc(c.x, c.y, DEBUG_SPIN_RADIUS * this._scale(), start, start + sweep, sweep < 0);
+    ctx.stroke();
   }
 }
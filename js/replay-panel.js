@@ -0,0 +1,114 @@
+// replay-panel.js
+// Page controls for replaying recorded generations (see recording.js):
+// start/exit replay, play/pause, frame stepping, playback speed, a
+// timeline slider for scrubbing and exporting the recording.
+
+import { REPLAY_SPEEDS } from './recording.js';
+import { downloadSave } from './save-panel.js';
+
+/**
+ * Wire the replay panel elements in index.html to the given handlers.
+ *
+ * Expected elements (looked up by id): `replayStart`, `replayExit`,
+ * `replayPlay`, `replayBack`, `replayForward`, `replaySpeed`,
+ * `replayTimeline`, `replayTime`, `replayExport` and `replayStatus`. If
+ * the panel is missing from the page nothing is set up and `sync` does
+ * nothing.
+ *
+ * @param {Object} handlers
+ * @param {() => ?string} handlers.start - Replay the last recorded
+ *   generation; returns an error message if there is nothing to replay.
+ * @param {() => void} handlers.exit - Leave replay and return to the live run.
+ * @param {() => ?Object} handlers.exportRecording - Recording save of the
+ *   replayed (or last recorded) generation, or null if there is none.
+ * @param {() => ?Object} handlers.getReplay - The active `Replay`, or null.
+ * @returns {{ sync: Function }} call `sync()` once per frame to keep the
+ *   timeline and buttons in step with playback.
+ */
+export function setupReplayPanel(handlers) {
+  const el = (id) => document.getElementById(id);
+  const status = el('replayStatus');
+  const timeline = el('replayTimeline');
+  if (!status || !timeline) return { sync() {} };
+
+  const show = (message, isError = false) => {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+
+  const speed = el('replaySpeed');
+  for (const s of REPLAY_SPEEDS) {
+    const option = document.createElement('option');
+    option.value = String(s);
+    option.textContent = `${s}x`;
+    option.selected = s === 1;
+    speed.appendChild(option);
+  }
+
+  // Run `fn` with the active replay, if any.
+  const withReplay = (fn) => () => {
+    const replay = handlers.getReplay();
+    if (replay) fn(replay);
+  };
+
+  el('replayStart').addEventListener('click', () => {
+    const error = handlers.start();
+    if (error) {
+      show(error, true);
+      return;
+    }
+    const replay = handlers.getReplay();
+    replay.setSpeed(Number(speed.value));
+    show('Replaying. Space plays/pauses, , and . step frames.');
+  });
+  el('replayExit').addEventListener('click', () => {
+    handlers.exit();
+    show('');
+  });
+  el('replayPlay').addEventListener('click', withReplay((r) => r.togglePlay()));
+  el('replayBack').addEventListener('click', withReplay((r) => r.stepFrames(-1)));
+  el('replayForward').addEventListener('click', withReplay((r) => r.stepFrames(1)));
+  speed.addEventListener('change', withReplay((r) => r.setSpeed(Number(speed.value))));
+
+  // Scrubbing pauses playback; it resumes if it was playing before.
+  let resumeAfterScrub = false;
+  timeline.addEventListener('pointerdown', withReplay((r) => {
+    resumeAfterScrub = r.playing;
+    r.pause();
+  }));
+  timeline.addEventListener('input', withReplay((r) => r.seek(Number(timeline.value))));
+  timeline.addEventListener('change', withReplay((r) => {
+    if (resumeAfterScrub) r.play();
+    resumeAfterScrub = false;
+  }));
+
+  el('replayExport').addEventListener('click', () => {
+    const save = handlers.exportRecording();
+    if (!save) {
+      show('Nothing recorded yet: let a generation finish first.', true);
+      return;
+    }
+    downloadSave(save, 'recording', 0);
+    show('Exported recording.');
+  });
+
+  const playButton = el('replayPlay');
+  const time = el('replayTime');
+  const controls = ['replayExit', 'replayPlay', 'replayBack', 'replayForward', 'replayTimeline']
+    .map(el);
+
+  return {
+    sync() {
+      const replay = handlers.getReplay();
+      for (const c of controls) c.disabled = !replay;
+      if (!replay) {
+        time.textContent = '';
+        return;
+      }
+      timeline.max = String(replay.frameCount - 1);
+      timeline.value = String(replay.frame);
+      playButton.textContent = replay.playing ? 'Pause' : 'Play';
+      time.textContent = `${replay.time.toFixed(2)} / ${replay.duration.toFixed(2)} s`;
+    },
+  };
+}
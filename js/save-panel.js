@@ -0,0 +1,109 @@
+// save-panel.js
+// Page controls for exporting and importing saves (see storage.js).
+// Exports are offered as file downloads or as text in the paste box;
+// imports come from an uploaded file or from text pasted into that box.
+// The caller supplies callbacks that produce and consume save objects, so
+// this module only deals with the DOM; the other *-panel.js modules are
+// wired the same way.
+
+import { parseSave } from './storage.js';
+
+/**
+ * Wire the save panel elements in index.html to the given handlers.
+ *
+ * Expected elements (looked up by id): `exportGenome`, `exportPopulation`,
+ * `exportRun`, `copyRun`, `importFile`, `importText`, `importPaste` and
+ * `saveStatus`. If the panel is missing from the page nothing is set up.
+ *
+ * @param {Object} handlers
+ * @param {() => Object} handlers.exportGenome - Save of the best car.
+ * @param {() => Object} handlers.exportPopulation - Save of the current population.
+ * @param {() => Object} handlers.exportRun - Save of the whole run.
+ * @param {(save: Object) => void} handlers.importSave - Load a validated save.
+ */
+export function setupSavePanel(handlers) {
+  const el = (id) => document.getElementById(id);
+  const status = el('saveStatus');
+  const importText = el('importText');
+  if (!status || !importText) return;
+
+  const show = (message, isError = false) => {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+
+  const load = (text, source) => {
+    try {
+      const save = parseSave(text);
+      handlers.importSave(save);
+      show(`Loaded ${save.kind} from ${source}.`);
+    } catch (err) {
+      show(`Could not load ${source}: ${err.message}`, true);
+    }
+  };
+
+  const bindDownload = (id, produce, name) => {
+    el(id).addEventListener('click', () => {
+      const save = produce();
+      downloadSave(save, name);
+      show(`Exported ${save.kind}.`);
+    });
+  };
+  bindDownload('exportGenome', handlers.exportGenome, 'car');
+  bindDownload('exportPopulation', handlers.exportPopulation, 'population');
+  bindDownload('exportRun', handlers.exportRun, 'run');
+
+  el('copyRun').addEventListener('click', () => {
+    importText.value = JSON.stringify(handlers.exportRun());
+    importText.select();
+    show('Run copied into the text box. Share the text to share the run.');
+  });
+
+  el('importFile').addEventListener('change', async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    load(await file.text(), file.name);
+    e.target.value = ''; // allow loading the same file again
+  });
+
+  el('importPaste').addEventListener('click', () => {
+    load(importText.value, 'pasted text');
+  });
+}
+
+/**
+ * Offer a save as a JSON file download named after `name` and the time.
+ * @param {Object} save Save object.
+ * @param {string} name File name part, e.g. 'run'.
+ * @param {number} [indent=2] JSON indentation; 0 for the most compact file.
+ */
+export function downloadSave(save, name, indent = 2) {
+  const text = JSON.stringify(save, null, indent || undefined);
+  download(`car-box-2d-${name}-${timestamp()}.json`, text);
+}
+
+/**
+ * Offer text as a file download named after `name` and the time.
+ * @param {string} text File contents.
+ * @param {string} name File name part, e.g. 'statistics'.
+ * @param {string} extension File extension without the dot, e.g. 'csv'.
+ * @param {string} [type='text/plain'] MIME type.
+ */
+export function downloadText(text, name, extension, type = 'text/plain') {
+  download(`car-box-2d-${name}-${timestamp()}.${extension}`, text, type);
+}
+
+// ---------- private helpers ----------
+
+function download(filename, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
@@ -0,0 +1,102 @@
+// selection.js
+// Parent selection strategies for the genetic algorithm (see
+// evolution.js). Every strategy picks one genome from a population ranked
+// best first, using only the run's seeded rng, so runs stay reproducible.
+// Elitism is separate: `Evolution` copies the best genomes before any
+// selection happens.
+//
+// A strategy is a function `(ranked, rng, options) => genome`, where
+// `ranked` is `[{ genome, fitness }, ...]` sorted by fitness, best first,
+// and `options` are the run's evolution options. Add one to
+// `SELECTION_STRATEGIES` to make it available by name.
+
+/* Tunable defaults */
+export const DEFAULT_SELECTION_OPTIONS = {
+  selection: 'tournament',  // a key of SELECTION_STRATEGIES
+  tournamentSize: 3,        // entrants per tournament
+  rankPressure: 1.5,        // rank: best genome's expected picks, 1 (none) .. 2 (linear max)
+  truncation: 0.5,          // truncation: fraction of the ranking that may breed
+};
+
+export const SELECTION_STRATEGIES = {
+  /**
+   * Best of `tournamentSize` genomes drawn at random (with replacement).
+   */
+  tournament(ranked, rng, o) {
+    // `ranked` is sorted best first, so the lowest index drawn wins.
+    let best = ranked.length;
+    for (let i = 0; i < o.tournamentSize; i++) {
+      best = Math.min(best, Math.floor(rng() * ranked.length));
+    }
+    return ranked[best].genome;
+  },
+
+  /**
+   * Fitness-proportionate: chance grows with fitness above the worst
+   * genome's, so negative scores work too. Broken scores (see
+   * `evolve`) get no chance; when all scores are equal every genome is
+   * equally likely.
+   */
+  roulette(ranked, rng) {
+    const valid = ranked.filter((r) => r.fitness > -Number.MAX_VALUE);
+    const worst = valid.length ? valid[valid.length - 1].fitness : 0;
+    const weights = ranked.map((r) => (r.fitness > -Number.MAX_VALUE ? r.fitness - worst : 0));
+    return spin(ranked, weights, rng);
+  },
+
+  /**
+   * Linear ranking: chance depends only on rank, from `rankPressure`
+   * times the average for the best genome down to `2 - rankPressure`
+   * times it for the worst.
+   */
+  rank(ranked, rng, o) {
+    const n = ranked.length;
+    const s = o.rankPressure;
+    const weights = ranked.map((_, i) => (n === 1 ? 1 : s - ((2 * s - 2) * i) / (n - 1)));
+    return spin(ranked, weights, rng);
+  },
+
+  /**
+   * Uniform choice among the best `truncation` fraction of the ranking.
+   */
+  truncation(ranked, rng, o) {
+    const count = Math.max(1, Math.round(ranked.length * o.truncation));
+    return ranked[Math.floor(rng() * count)].genome;
+  },
+};
+
+/**
+ * Check the selection options of an evolution run.
+ * @param {Object} o Evolution options.
+ * @throws {Error} when a selection option is invalid.
+ */
+export function checkSelectionOptions(o) {
+  const names = Object.keys(SELECTION_STRATEGIES);
+  if (!names.includes(o.selection)) {
+    throw new Error(`Unknown selection "${o.selection}", expected one of ${names.join(', ')}`);
+  }
+  if (!Number.isInteger(o.tournamentSize) || o.tournamentSize < 1) {
+    throw new Error('tournamentSize must be an integer >= 1');
+  }
+  if (!(o.rankPressure >= 1 && o.rankPressure <= 2)) {
+    throw new Error('rankPressure must be in [1, 2]');
+  }
+  if (!(o.truncation > 0 && o.truncation <= 1)) {
+    throw new Error('truncation must be in (0, 1]');
+  }
+}
+
+// ---------- private helpers ----------
+
+// Pick a genome with chance proportional to its weight; all-zero weights
+// pick uniformly.
+function spin(ranked, weights, rng) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (!(total > 0)) return ranked[Math.floor(rng() * ranked.length)].genome;
+  let r = rng() * total;
+  for (let i = 0; i < ranked.length; i++) {
+    r -= weights[i];
+    if (r < 0) return ranked[i].genome;
+  }
+  return ranked[ranked.length - 1].genome;
+}
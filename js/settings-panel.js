@@ -0,0 +1,92 @@
+// settings-panel.js
+// Page controls for the simulation settings (see config.js): one number
+// input per setting, applying them, going back to the defaults and
+// copying a link that reproduces the setup.
+
+import { CONFIG_FIELDS, DEFAULT_CONFIG, normalizeConfig } from './config.js';
+
+/**
+ * Wire the settings panel elements in index.html to the given handlers.
+ *
+ * Expected elements (looked up by id): `settingsFields` (filled with one
+ * labelled input per setting), `settingsApply`, `settingsDefaults`,
+ * `settingsLink` and `settingsStatus`. If the panel is missing from the
+ * page nothing is set up and `sync` does nothing.
+ *
+ * @param {Object} handlers
+ * @param {() => Object} handlers.getConfig - The configuration in use.
+ * @param {(config: Object) => boolean} handlers.apply - Use a validated
+ *   configuration; returns whether the world had to be rebuilt for it.
+ * @returns {{ sync: Function }} call `sync()` to show the configuration in
+ *   use again (e.g. after it was changed elsewhere).
+ */
+export function setupSettingsPanel(handlers) {
+  const el = (id) => document.getElementById(id);
+  const status = el('settingsStatus');
+  const fields = el('settingsFields');
+  if (!status || !fields) return { sync() {} };
+
+  const show = (message, isError = false) => {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+
+  // Setting key -> its input.
+  const inputs = {};
+  for (const [key, field] of Object.entries(CONFIG_FIELDS)) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(field.min);
+    input.max = String(field.max);
+    input.step = String(field.step);
+    input.title = `${field.min.toPrecision(3)} to ${field.max}${field.rebuild ? ', restarts the world' : ''}`;
+    label.append(`${field.label} `, input);
+    fields.appendChild(label);
+    inputs[key] = input;
+  }
+
+  const sync = () => {
+    const config = handlers.getConfig();
+    for (const [key, input] of Object.entries(inputs)) {
+      input.value = String(config[key]);
+    }
+  };
+
+  const apply = (input) => {
+    try {
+      const config = normalizeConfig(input);
+      const rebuilt = handlers.apply(config);
+      sync();
+      show(rebuilt ? 'Settings applied; the world was restarted.' : 'Settings applied.');
+    } catch (err) {
+      show(`Could not apply settings: ${err.message}`, true);
+    }
+  };
+
+  el('settingsApply').addEventListener('click', () => {
+    const input = {};
+    for (const [key, field] of Object.entries(inputs)) {
+      // Empty or malformed inputs become NaN and are rejected by validation.
+      input[key] = field.value.trim() === '' ? NaN : Number(field.value);
+    }
+    apply(input);
+  });
+
+  el('settingsDefaults').addEventListener('click', () => {
+    apply({ ...DEFAULT_CONFIG });
+  });
+
+  el('settingsLink').addEventListener('click', async () => {
+    const link = window.location.href;
+    try {
+      await navigator.clipboard.writeText(link);
+      show('Link to these settings copied.');
+    } catch {
+      show(`Share this link: ${link}`);
+    }
+  });
+
+  sync();
+  return { sync };
+}
@@ -0,0 +1,458 @@
+// storage.js
+// Versioned save format for genomes, populations, whole evolution runs
+// and run recordings, plus localStorage checkpoints. Every save is a JSON
+// object with a small envelope:
+//
+//   { format: 'car-box-2d', version: 1, kind, savedAt, ...payload }
+//
+//   kind 'genome':     { genome, meta? }
+//   kind 'population': { population: [genome, ...], meta? }
+//   kind 'run':        { run: { evolution, terrain } }
+//   kind 'recording':  { recording, meta? }
+//
+// `meta` holds optional run metadata (seed, generation, fitness). A run
+// save holds everything needed to resume an evolution exactly where it
+// stopped: the `Evolution#snapshot()` data (or `IslandEvolution#snapshot()`,
+// with one such snapshot per island) and the terrain settings. The
+// snapshot's options record the selection strategy and island settings,
+// so saved runs can be compared; its lineage (lineage.js) keeps the
+// latest per-generation statistics and the current population's recent
+// ancestry. A recording save holds a generation's recorded frames in the
+// compact form produced by `encodeRecording` (see recording.js).
+//
+// Loading goes through `parseSave`, which validates the envelope and the
+// payload and throws a `SaveFormatError` naming the offending field.
+
+import { validateGenome, cloneGenome } from './genome.js';
+import { BIRTH_OPS } from './lineage.js';
+import { encodeRecording } from './recording.js';
+
+export const FORMAT_NAME = 'car-box-2d';
+export const FORMAT_VERSION = 1;
+export const SAVE_KINDS = ['genome', 'population', 'run', 'recording'];
+
+const CHECKPOINT_KEY = 'car-box-2d:checkpoint';
+// Body roles and fixture shapes a recording may hold (see recording.js).
+const RECORDED_ROLES = ['chassis', 'wheel', 'ground'];
+const RECORDED_SHAPES = ['circle', 'polygon', 'chain', 'edge'];
+
+/**
+ * Thrown when a save is malformed or comes from an incompatible version.
+ */
+export class SaveFormatError extends Error {
+  /**
+   * @param {string} message - What is wrong.
+   * @param {string} [path] - Field the problem was found at, e.g. 'population[3]'.
+   */
+  constructor(message, path) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'SaveFormatError';
+    this.path = path ?? null;
+  }
+}
+
+/**
+ * Create a save for a single genome.
+ * @param {Object} genome Car genome.
+ * @param {Object} [meta] Optional metadata, e.g. { seed, generation, fitness }.
+ * @returns {Object} the save object.
+ */
+export function createGenomeSave(genome, meta) {
+  return envelope('genome', { genome: cloneGenome(genome), ...(meta ? { meta } : {}) });
+}
+
+/**
+ * Create a save for a population.
+ * @param {Object[]} population Car genomes.
+ * @param {Object} [meta] Optional metadata, e.g. { seed, generation }.
+ * @returns {Object} the save object.
+ */
+export function createPopulationSave(population, meta) {
+  return envelope('population', {
+    population: population.map(cloneGenome),
+    ...(meta ? { meta } : {}),
+  });
+}
+
+/**
+ * Create a save for a whole evolution run.
+ * @param {Object} evolution Data from `Evolution#snapshot()` or
+ *   `IslandEvolution#snapshot()`.
+ * @param {{ options: Object, fresh: boolean }} terrain Terrain generator
+ *   options and whether each generation gets a fresh track.
+ * @returns {Object} the save object.
+ */
+export function createRunSave(evolution, terrain) {
+  return envelope('run', { run: { evolution, terrain } });
+}
+
+/**
+ * Create a save for a run recording.
+ * @param {Object} recording Recording from `Recorder#toRecording()`.
+ * @param {Object} [meta] Optional metadata, e.g. { seed, generation }.
+ * @returns {Object} the save object; its `recording` is encoded (pass it
+ *   to `decodeRecording` to replay it).
+ */
+export function createRecordingSave(recording, meta) {
+  return envelope('recording', {
+    recording: encodeRecording(recording),
+    ...(meta ? { meta } : {}),
+  });
+}
+
+/**
+ * Parse and validate a save.
+ *
+ * @param {string|Object} input JSON text or an already parsed object.
+ * @returns {Object} the validated save object.
+ * @throws {SaveFormatError} when the input is not a valid save.
+ */
+export function parseSave(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new SaveFormatError(`not valid JSON (${err.message})`);
+    }
+  }
+  if (!isObject(data)) {
+    throw new SaveFormatError('expected a JSON object');
+  }
+  if (data.format !== FORMAT_NAME) {
+    throw new SaveFormatError(`not a ${FORMAT_NAME} save (format is ${JSON.stringify(data.format)})`, 'format');
+  }
+  if (!Number.isInteger(data.version)) {
+    throw new SaveFormatError('missing or invalid version', 'version');
+  }
+  if (data.version > FORMAT_VERSION) {
+    throw new SaveFormatError(
+      `saved by a newer version (${data.version}); this build reads up to version ${FORMAT_VERSION}`,
+      'version',
+    );
+  }
+  if (data.version < 1) {
+    throw new SaveFormatError(`unsupported version ${data.version}`, 'version');
+  }
+  if (!SAVE_KINDS.includes(data.kind)) {
+    throw new SaveFormatError(`unknown kind ${JSON.stringify(data.kind)}, expected one of ${SAVE_KINDS.join(', ')}`, 'kind');
+  }
+
+  if (data.kind === 'genome') {
+    checkGenome(data.genome, 'genome');
+  } else if (data.kind === 'population') {
+    checkPopulation(data.population, 'population');
+  } else if (data.kind === 'run') {
+    checkRun(data.run, 'run');
+  } else {
+    checkRecording(data.recording, 'recording');
+  }
+  if (data.meta !== undefined && !isObject(data.meta)) {
+    throw new SaveFormatError('must be an object', 'meta');
+  }
+  return data;
+}
+
+/**
+ * Store a save as the automatic checkpoint.
+ * @param {Object} save Save object (usually a run save).
+ * @param {Storage} [storage=localStorage]
+ * @returns {boolean} false if the storage refused it (e.g. quota exceeded).
+ */
+export function saveCheckpoint(save, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(CHECKPOINT_KEY, JSON.stringify(save));
+    return true;
+  } catch (err) {
+    console.warn('[storage] could not write checkpoint', err);
+    return false;
+  }
+}
+
+/**
+ * Read the automatic checkpoint. A checkpoint that no longer validates
+ * (e.g. written by an incompatible version) is reported and ignored.
+ * @param {Storage} [storage=localStorage]
+ * @returns {?Object} the validated save, or null if there is none.
+ */
+export function loadCheckpoint(storage = globalThis.localStorage) {
+  let text = null;
+  try {
+    text = storage.getItem(CHECKPOINT_KEY);
+  } catch (err) {
+    console.warn('[storage] could not read checkpoint', err);
+  }
+  if (text === null) return null;
+  try {
+    return parseSave(text);
+  } catch (err) {
+    console.warn(`[storage] ignoring checkpoint: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Remove the automatic checkpoint.
+ * @param {Storage} [storage=localStorage]
+ */
+export function clearCheckpoint(storage = globalThis.localStorage) {
+  try {
+    storage.removeItem(CHECKPOINT_KEY);
+  } catch (err) {
+    console.warn('[storage] could not clear checkpoint', err);
+  }
+}
+
+// ---------- private helpers ----------
+
+function envelope(kind, payload) {
+  return {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    kind,
+    savedAt: new Date().toISOString(),
+    ...payload,
+  };
+}
+
+function checkGenome(genome, path) {
+  const problems = validateGenome(genome);
+  if (problems.length > 0) {
+    throw new SaveFormatError(`invalid genome: ${problems.join('; ')}`, path);
+  }
+}
+
+function checkPopulation(population, path) {
+  if (!Array.isArray(population) || population.length === 0) {
+    throw new SaveFormatError('must be a non-empty array of genomes', path);
+  }
+  population.forEach((genome, i) => checkGenome(genome, `${path}[${i}]`));
+}
+
+function checkRun(run, path) {
+  if (!isObject(run)) {
+    throw new SaveFormatError('must be an object', path);
+  }
+  const evolution = run.evolution;
+  if (isObject(evolution) && evolution.islands !== undefined) {
+    checkIslands(evolution, `${path}.evolution`);
+  } else {
+    checkEvolution(evolution, `${path}.evolution`);
+  }
+  const terrain = run.terrain;
+  if (!isObject(terrain) || !isObject(terrain.options) || typeof terrain.fresh !== 'boolean') {
+    throw new SaveFormatError('must be { options: Object, fresh: boolean }', `${path}.terrain`);
+  }
+}
+
+function checkEvolution(evolution, path) {
+  if (!isObject(evolution)) {
+    throw new SaveFormatError('must be an object', path);
+  }
+  if (!isObject(evolution.options)) {
+    throw new SaveFormatError('must be an object', `${path}.options`);
+  }
+  if (!Number.isInteger(evolution.generation) || evolution.generation < 0) {
+    throw new SaveFormatError('must be a non-negative integer', `${path}.generation`);
+  }
+  if (!Number.isInteger(evolution.rngState)) {
+    throw new SaveFormatError('must be an integer', `${path}.rngState`);
+  }
+  checkPopulation(evolution.population, `${path}.population`);
+  if (evolution.population.length !== evolution.options.populationSize) {
+    throw new SaveFormatError(
+      `has ${evolution.population.length} genomes but populationSize is ${evolution.options.populationSize}`,
+      `${path}.population`,
+    );
+  }
+  // Lineage ids and the lineage itself are optional: older saves start a
+  // new lineage when loaded.
+  if (evolution.ids !== undefined) {
+    if (!Array.isArray(evolution.ids) || evolution.ids.length !== evolution.population.length
+      || !evolution.ids.every(isId)) {
+      throw new SaveFormatError('must be an array of one positive integer id per genome', `${path}.ids`);
+    }
+  }
+  if (evolution.lineage !== undefined) checkLineage(evolution.lineage, `${path}.lineage`);
+}
+
+// Island-model run (see islands.js): options plus one evolution per island.
+function checkIslands(evolution, path) {
+  if (!isObject(evolution.options)) {
+    throw new SaveFormatError('must be an object', `${path}.options`);
+  }
+  const islands = evolution.islands;
+  if (!Array.isArray(islands) || islands.length < 2 || islands.length !== evolution.options.islands) {
+    throw new SaveFormatError(`must be an array of ${evolution.options.islands} island runs`, `${path}.islands`);
+  }
+  islands.forEach((island, i) => {
+    checkEvolution(island, `${path}.islands[${i}]`);
+    if (island.generation !== islands[0].generation) {
+      throw new SaveFormatError('must be at the same generation as the other islands', `${path}.islands[${i}].generation`);
+    }
+  });
+  if (evolution.lineage !== undefined) checkLineage(evolution.lineage, `${path}.lineage`);
+}
+
+// Lineage data (see `Lineage#toJSON` in lineage.js).
+function checkLineage(lineage, path) {
+  if (!isObject(lineage)) {
+    throw new SaveFormatError('must be an object', path);
+  }
+  if (!isId(lineage.nextId)) {
+    throw new SaveFormatError('must be a positive integer', `${path}.nextId`);
+  }
+  if (!Array.isArray(lineage.records)) {
+    throw new SaveFormatError('must be an array', `${path}.records`);
+  }
+  lineage.records.forEach((record, i) => {
+    const at = `${path}.records[${i}]`;
+    if (!isObject(record)) throw new SaveFormatError('must be an object', at);
+    if (!isId(record.id) || record.id >= lineage.nextId) {
+      throw new SaveFormatError('must be a positive integer below nextId', `${at}.id`);
+    }
+    if (!Number.isInteger(record.generation) || record.generation < 0) {
+      throw new SaveFormatError('must be a non-negative integer', `${at}.generation`);
+    }
+    if (!BIRTH_OPS.includes(record.op)) {
+      throw new SaveFormatError(`must be one of ${BIRTH_OPS.join(', ')}`, `${at}.op`);
+    }
+    if (!Array.isArray(record.parents) || !record.parents.every(isId)) {
+      throw new SaveFormatError('must be an array of ids', `${at}.parents`);
+    }
+    if (!Array.isArray(record.mutations) || !record.mutations.every((m) => typeof m === 'string')) {
+      throw new SaveFormatError('must be an array of strings', `${at}.mutations`);
+    }
+    if (record.fitness !== null && !Number.isFinite(record.fitness)) {
+      throw new SaveFormatError('must be a finite number or null', `${at}.fitness`);
+    }
+  });
+  if (!Array.isArray(lineage.generations)) {
+    throw new SaveFormatError('must be an array', `${path}.generations`);
+  }
+  lineage.generations.forEach((stats, i) => {
+    if (!isObject(stats) || !Number.isInteger(stats.generation) || !isObject(stats.wheelCounts)) {
+      throw new SaveFormatError('must be generation statistics', `${path}.generations[${i}]`);
+    }
+  });
+}
+
+function checkRecording(recording, path) {
+  if (!isObject(recording)) {
+    throw new SaveFormatError('must be an object', path);
+  }
+  if (!(recording.timeStep > 0)) {
+    throw new SaveFormatError('must be a positive number', `${path}.timeStep`);
+  }
+  const frames = recording.frameCount;
+  if (!Number.isInteger(frames) || frames < 1) {
+    throw new SaveFormatError('must be a positive integer', `${path}.frameCount`);
+  }
+  const isFrame = (value) => Number.isInteger(value) && value >= 0 && value < frames;
+  if (!Array.isArray(recording.eliminations)) {
+    throw new SaveFormatError('must be an array', `${path}.eliminations`);
+  }
+  recording.eliminations.forEach((e, i) => {
+    if (!isObject(e) || !isFrame(e.frame) || !isIndex(e.vehicle)) {
+      const at = `${path}.eliminations[${i}]`;
+      throw new SaveFormatError('must be { frame, vehicle } within the recording', at);
+    }
+  });
+  // Recordings from before damage was recorded have none.
+  if (recording.damage !== undefined) {
+    if (!Array.isArray(recording.damage)) {
+      throw new SaveFormatError('must be an array', `${path}.damage`);
+    }
+    recording.damage.forEach((e, i) => {
+      if (!isObject(e) || !isFrame(e.frame) || !isIndex(e.vehicle) || !Number.isFinite(e.value)) {
+        const at = `${path}.damage[${i}]`;
+        throw new SaveFormatError('must be { frame, vehicle, value } within the recording', at);
+      }
+    });
+  }
+  if (!Array.isArray(recording.bodies)) {
+    throw new SaveFormatError('must be an array', `${path}.bodies`);
+  }
+  recording.bodies.forEach((body, i) => {
+    const at = `${path}.bodies[${i}]`;
+    if (!isObject(body) || !Array.isArray(body.fixtures)) {
+      throw new SaveFormatError('must be an object with a fixtures array', at);
+    }
+    body.fixtures.forEach((fixture, j) => checkRecordedShape(fixture, `${at}.fixtures[${j}]`));
+    if (body.role !== null && !RECORDED_ROLES.includes(body.role)) {
+      throw new SaveFormatError(`must be null or one of ${RECORDED_ROLES.join(', ')}`, `${at}.role`);
+    }
+    if (body.vehicle !== -1 && !isIndex(body.vehicle)) {
+      throw new SaveFormatError('must be a vehicle index, or -1 for none', `${at}.vehicle`);
+    }
+    if (body.suspension != null) checkRecordedSuspension(body.suspension, `${at}.suspension`);
+    if (!isFrame(body.first)) {
+      throw new SaveFormatError(`must be a frame between 0 and ${frames - 1}`, `${at}.first`);
+    }
+    for (const key of ['last', 'detached']) {
+      if (body[key] != null && !(Number.isInteger(body[key]) && body[key] >= 0)) {
+        throw new SaveFormatError('must be a frame or null', `${at}.${key}`);
+      }
+    }
+    for (const key of ['x', 'y', 'a']) {
+      const samples = body[key];
+      if (!Array.isArray(samples) || samples.length === 0 || !samples.every(Number.isInteger)) {
+        throw new SaveFormatError('must be a non-empty array of integers', `${at}.${key}`);
+      }
+      if (samples.length > frames - body.first) {
+        throw new SaveFormatError(`has more samples than the ${frames} frames recorded`, `${at}.${key}`);
+      }
+    }
+  });
+}
+
+// One fixture of a recorded body (see `describeShape` in recording.js).
+function checkRecordedShape(shape, path) {
+  if (!isObject(shape) || !RECORDED_SHAPES.includes(shape.type)) {
+    throw new SaveFormatError(`must be a shape of type ${RECORDED_SHAPES.join(', ')}`, path);
+  }
+  if (shape.material !== undefined && typeof shape.material !== 'string') {
+    throw new SaveFormatError('must be a string', `${path}.material`);
+  }
+  if (shape.type === 'circle') {
+    if (!(Number.isFinite(shape.radius) && shape.radius > 0)) {
+      throw new SaveFormatError('must be a positive number', `${path}.radius`);
+    }
+    if (!isPoint(shape.center)) {
+      throw new SaveFormatError('must be an [x, y] point', `${path}.center`);
+    }
+    return;
+  }
+  const [min, max] = { polygon: [3, Infinity], chain: [2, Infinity], edge: [2, 2] }[shape.type];
+  const { vertices } = shape;
+  const count = Array.isArray(vertices) ? vertices.length : -1;
+  if (count < min || count > max || !vertices.every(isPoint)) {
+    const expected = max === min ? `${min}` : `at least ${min}`;
+    throw new SaveFormatError(`must be an array of ${expected} [x, y] points`, `${path}.vertices`);
+  }
+}
+
+// Suspension mount of a recorded wheel (see `describeSuspension` in
+// recording.js).
+function checkRecordedSuspension(suspension, path) {
+  if (!isObject(suspension) || !isPoint(suspension.anchor) || !isPoint(suspension.axis)
+    || !Number.isFinite(suspension.extension) || !Number.isFinite(suspension.compression)) {
+    throw new SaveFormatError('must be { anchor, axis, extension, compression } or null', path);
+  }
+}
+
+function isPoint(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+}
+
+function isIndex(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isId(value) {
+  return Number.isInteger(value) && value > 0;
+}
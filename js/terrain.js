@@ -0,0 +1,405 @@
+// terrain.js
+// Seeded procedural terrain. A track is a polyline of ground points built
+// from two layers of smooth value noise: long rolling hills and short
+// bumps. Both layers grow along the track according to a difficulty curve,
+// so hills get steeper and bumpier the further a car drives. The same seed
+// and options always give the same track, so every car of a generation
+// can face identical ground.
+//
+// On top of the surface the track places, again by seed and again harder
+// further along:
+//  - materials: patches of ice (low friction), mud (high friction and
+//    drag) and bouncy ground (restitution), see `MATERIALS`;
+//  - obstacles: static boxes, steps and ramps sitting on the ground;
+//  - gaps: stretches with no ground at all that cars have to jump.
+// Every feature is hashed from the seed and its slot index rather than
+// drawn from a running rng, so adding one kind never moves the others.
+//
+// Tracks are plain data ({ points, segments, obstacles, gaps, startX,
+// endX, minY, ... }); ground.js turns them into Planck bodies.
+//
+// With `streaming` the track has no end: instead of generating it up
+// front, `generateChunk` builds it piece by piece as cars drive (see
+// `TerrainStream` in ground.js). A chunk depends only on the seed and its
+// index, so every run with the same seed sees the same ground, and a
+// streamed track matches the fixed track of the same seed wherever both
+// exist. Difficulty still ramps up over `length` and stays there.
+
+import { hashSeed } from './random.js';
+
+// Every obstacle shape the generator knows; tracks use all by default.
+const OBSTACLE_TYPES = ['box', 'step', 'ramp'];
+
+/* Tunable defaults */
+export const DEFAULT_TERRAIN_OPTIONS = {
+  seed: 1,
+  length: 200,              // meters of track ahead of the start (x=0)
+  runBack: 20,              // meters of flat ground behind the start
+  flatStart: 5,             // meters after the start that blend in from flat
+  segmentWidth: 1,          // meters between ground points
+  hillHeight: 1.0,          // amplitude of the rolling hills at the start
+  hillWavelength: 24,       // meters between hill noise samples
+  roughness: 0.2,           // amplitude of the bumps at the start
+  bumpWavelength: 3,        // meters between bump noise samples
+  difficulty: 3,            // extra amplitude multiplier at the end of the track
+  difficultyExponent: 1.5,  // shape of the ramp: 1 = linear, >1 = late
+  featureStart: 15,         // meters after the start before materials, obstacles and gaps
+  materialLength: 10,       // meters per material patch
+  materialChance: 0.3,      // chance a patch is not plain ground
+  materials: ['ice', 'mud', 'bouncy'],
+  obstacleSpacing: 30,      // meters per obstacle slot
+  obstacleChance: 0.5,      // chance a slot holds an obstacle
+  obstacleTypes: [...OBSTACLE_TYPES],
+  gapSpacing: 40,           // meters per gap slot
+  gapChance: 0.4,           // chance a slot holds a gap
+  gapMinWidth: 1.5,         // meters, gap width at the start of the track
+  gapMaxWidth: 4,           // meters, gap width at the end of the track
+  streaming: false,         // endless track generated in chunks as cars drive
+  chunkLength: 40,          // meters per streamed chunk
+  aheadDistance: 80,        // meters of ground kept generated ahead of the lead car
+  behindDistance: 60,       // meters behind the rearmost running car past which bodies are destroyed
+};
+
+/**
+ * Surface materials. `damping` is the linear damping (1/s) given to a
+ * body while it touches the material (see ground.js).
+ */
+export const MATERIALS = {
+  ground: { friction: 0.6, restitution: 0, damping: 0 },
+  ice: { friction: 0.05, restitution: 0, damping: 0 },
+  mud: { friction: 1.5, restitution: 0, damping: 2.5 },
+  bouncy: { friction: 0.6, restitution: 0.8, damping: 0 },
+};
+
+const OBSTACLE_CLEARANCE = 4;   // meters kept free of obstacles on either side of a gap
+const OBSTACLE_FOOTING = 0.2;   // meters an obstacle reaches below the ground
+const OBSTACLE_MAX_LENGTH = 4;  // meters, longest obstacle (steps and ramps)
+
+/**
+ * Generate a track. With `opts.streaming` only a description of the
+ * endless track is returned (`{ seed, options, streaming: true, startX,
+ * endX: Infinity, segmentWidth }`); its ground is built chunk by chunk
+ * with `generateChunk`.
+ *
+ * @param {Object} [opts] Overrides for `DEFAULT_TERRAIN_OPTIONS`.
+ * @returns {{ seed: (number|string), options: Object, streaming: boolean,
+ *   points: {x: number, y: number}[],
+ *   segments: { material: string, points: {x: number, y: number}[] }[],
+ *   obstacles: { type: string, material: string, vertices: {x: number, y: number}[] }[],
+ *   gaps: { start: number, end: number }[],
+ *   startX: number, endX: number, minY: number, segmentWidth: number }}
+ *   the track. `points` are the surface, evenly spaced by `segmentWidth`
+ *   from `startX` to `endX` (gaps included). `segments` are the stretches
+ *   of actual ground: runs of `points` of one material, split where the
+ *   material changes (neighbours share their end point) and at gaps.
+ *   Obstacle `vertices` are a convex polygon in world space, counter-
+ *   clockwise. Gaps start and end on points.
+ */
+export function generateTerrain(opts = {}) {
+  const o = terrainOptions(opts);
+  const back = Math.ceil(o.runBack / o.segmentWidth);
+  if (o.streaming) {
+    return {
+      seed: o.seed,
+      options: o,
+      streaming: true,
+      startX: -back * o.segmentWidth,
+      endX: Infinity,
+      segmentWidth: o.segmentWidth,
+    };
+  }
+
+  const count = Math.ceil(o.length / o.segmentWidth);
+  const points = [];
+  for (let i = -back; i <= count; i++) {
+    points.push(surfacePoint(o, i));
+  }
+  // Keep at least one segment of ground past the last gap to land on.
+  const gaps = placeGaps(o, 0, o.length).filter((g) => g.end < o.length);
+  return {
+    seed: o.seed,
+    options: o,
+    streaming: false,
+    points,
+    segments: groundSegments(o, points, gaps),
+    obstacles: placeObstacles(o, gaps, 0, o.length).filter((ob) => ob.vertices[1].x <= o.length),
+    gaps,
+    startX: points[0].x,
+    endX: points[points.length - 1].x,
+    minY: Math.min(...points.map((p) => p.y)),
+    segmentWidth: o.segmentWidth,
+  };
+}
+
+/**
+ * Generate one chunk of a streamed track: the stretch from
+ * `index * chunkLength` to `(index + 1) * chunkLength` (rounded to whole
+ * segments). Neighbouring chunks share their end point. The chunk only
+ * depends on the options and `index`, so chunks can be generated in any
+ * order.
+ *
+ * @param {Object} opts Track options (`options` of a streamed track).
+ * @param {number} index Chunk index; chunk 0 starts at x=0.
+ * @returns {{ index: number, startX: number, endX: number, minY: number,
+ *   points: {x: number, y: number}[], segments: Object[], obstacles: Object[],
+ *   gaps: { start: number, end: number }[] }}
+ *   the chunk, with the same kinds of fields as a track from
+ *   `generateTerrain`. `obstacles` and `gaps` are those starting in the
+ *   chunk (they may reach into the next one); `segments` leave out every
+ *   gap overlapping the chunk.
+ */
+export function generateChunk(opts, index) {
+  const o = terrainOptions(opts);
+  const n = chunkSegments(o);
+  const points = [];
+  for (let i = index * n; i <= (index + 1) * n; i++) {
+    points.push(surfacePoint(o, i));
+  }
+  const startX = points[0].x;
+  const endX = points[points.length - 1].x;
+  // Gaps starting this far back can still reach into the chunk or be
+  // close enough to keep an obstacle out.
+  const reach = o.gapMaxWidth + o.segmentWidth + OBSTACLE_CLEARANCE + OBSTACLE_MAX_LENGTH;
+  const nearby = placeGaps(o, startX - reach, endX + reach);
+  return {
+    index,
+    startX,
+    endX,
+    minY: Math.min(...points.map((p) => p.y)),
+    points,
+    segments: groundSegments(o, points, nearby),
+    obstacles: placeObstacles(o, nearby, startX, endX),
+    gaps: nearby.filter((g) => g.start >= startX && g.start < endX),
+  };
+}
+
+/**
+ * Index of the streamed chunk containing `x`.
+ * @param {Object} opts Track options.
+ * @param {number} x World x coordinate (meters).
+ * @returns {number} chunk index (see `generateChunk`).
+ */
+export function chunkIndexAt(opts, x) {
+  const o = { ...DEFAULT_TERRAIN_OPTIONS, ...opts };
+  return Math.floor(x / (chunkSegments(o) * o.segmentWidth));
+}
+
+/**
+ * Height of a generated track's surface at `x`, interpolated between its
+ * points. Over a gap this is where the ground would be. Outside a fixed
+ * track the nearest end height is returned; a streamed track is evaluated
+ * directly.
+ *
+ * @param {Object} terrain Track from `generateTerrain`.
+ * @param {number} x World x coordinate (meters).
+ * @returns {number} ground height (meters).
+ */
+export function terrainHeightAt(terrain, x) {
+  if (terrain.streaming) return surfaceHeight(terrain.options, x);
+  const pts = terrain.points;
+  const f = (x - terrain.startX) / terrain.segmentWidth;
+  if (f <= 0) return pts[0].y;
+  if (f >= pts.length - 1) return pts[pts.length - 1].y;
+  const i = Math.floor(f);
+  const t = f - i;
+  return pts[i].y + (pts[i + 1].y - pts[i].y) * t;
+}
+
+/**
+ * Seed of the track used by a given generation. With `fresh` every
+ * generation drives a new track derived from the run seed (so designs do
+ * not overfit one track); without it all generations share one track.
+ *
+ * @param {number|string} seed Base terrain seed.
+ * @param {number} generation Generation number.
+ * @param {boolean} fresh Whether each generation gets its own track.
+ * @returns {number|string} the terrain seed for that generation.
+ */
+export function generationTerrainSeed(seed, generation, fresh) {
+  return fresh ? hashSeed(seed, 'generation', generation) : seed;
+}
+
+/**
+ * Seed of the track an island of an island-model run drives (see
+ * islands.js). Island 0 keeps the seed; every other island gets its own
+ * track derived from it.
+ *
+ * @param {number|string} seed Terrain seed, e.g. from `generationTerrainSeed`.
+ * @param {number} island Island index.
+ * @returns {number|string} the terrain seed for that island.
+ */
+export function islandTerrainSeed(seed, island) {
+  return island === 0 ? seed : hashSeed(seed, 'island', island);
+}
+
+// ---------- private helpers ----------
+
+// Options merged with the defaults and checked.
+function terrainOptions(opts) {
+  const o = { ...DEFAULT_TERRAIN_OPTIONS, ...opts };
+  if (!(o.length > 0) || !(o.segmentWidth > 0) || !(o.runBack >= 0)) {
+    throw new Error('terrain length and segmentWidth must be positive, runBack non-negative');
+  }
+  if (o.streaming && !(o.chunkLength > 0)) {
+    throw new Error('terrain chunkLength must be positive');
+  }
+  const unknownMaterial = o.materials.find((m) => !MATERIALS[m]);
+  if (unknownMaterial !== undefined) throw new Error(`unknown terrain material "${unknownMaterial}"`);
+  const unknownObstacle = o.obstacleTypes.find((t) => !OBSTACLE_TYPES.includes(t));
+  if (unknownObstacle !== undefined) throw new Error(`unknown obstacle type "${unknownObstacle}"`);
+  return o;
+}
+
+// Segments per streamed chunk.
+function chunkSegments(o) {
+  return Math.max(1, Math.round(o.chunkLength / o.segmentWidth));
+}
+
+// Surface point `i` segments from the start line.
+function surfacePoint(o, i) {
+  const x = i * o.segmentWidth;
+  return { x, y: surfaceHeight(o, x) };
+}
+
+// Difficulty multiplier at `x`: 1 at the start, 1 + difficulty at the end.
+function difficultyAt(o, x) {
+  return 1 + o.difficulty * progressAt(o, x);
+}
+
+// Progress along the track from 0 (start) to 1 (end), shaped by
+// `difficultyExponent`. Feature sizes grow with it.
+function progressAt(o, x) {
+  const t = Math.min(1, Math.max(0, x / o.length));
+  return Math.pow(t, o.difficultyExponent);
+}
+
+function surfaceHeight(o, x) {
+  if (x <= 0) return 0;
+  const d = difficultyAt(o, x);
+  const hills = o.hillHeight * d * valueNoise(o.seed, 'hills', x / o.hillWavelength);
+  const bumps = o.roughness * d * valueNoise(o.seed, 'bumps', x / o.bumpWavelength);
+  // Ease in from flat ground so every car gets a fair start.
+  const blend = o.flatStart > 0 ? smoothstep(Math.min(1, x / o.flatStart)) : 1;
+  return (hills + bumps) * blend;
+}
+
+// Smooth 1D value noise in [-1, 1]. Lattice values are hashed from the
+// seed, layer and lattice index, so any x can be evaluated independently.
+function valueNoise(seed, layer, u) {
+  const k = Math.floor(u);
+  const a = lattice(seed, layer, k);
+  const b = lattice(seed, layer, k + 1);
+  return a + (b - a) * smoothstep(u - k);
+}
+
+function lattice(seed, layer, k) {
+  return (hashSeed(seed, layer, k) / 4294967295) * 2 - 1;
+}
+
+// Uniform value in [0, 1) for slot `k` of a feature layer.
+function unit(seed, layer, k, key) {
+  return hashSeed(seed, layer, k, key) / 4294967296;
+}
+
+// Positions of the features of one layer between `from` and `to`: the
+// track past `featureStart` is cut into slots of `spacing` meters and each
+// slot holds a feature with probability `chance`, somewhere in its first
+// half.
+function featureSlots(o, layer, spacing, chance, from, to) {
+  const slots = [];
+  if (!(spacing > 0) || !(chance > 0)) return slots;
+  from = Math.max(from, o.featureStart);
+  for (let k = Math.floor(from / spacing); k * spacing < to; k++) {
+    if (unit(o.seed, layer, k, 'chance') >= chance) continue;
+    const x = (k + unit(o.seed, layer, k, 'offset') * 0.5) * spacing;
+    if (x >= from && x < to) slots.push({ k, x });
+  }
+  return slots;
+}
+
+function materialAt(o, x) {
+  if (x < o.featureStart || o.materials.length === 0) return 'ground';
+  const k = Math.floor(x / o.materialLength);
+  if (unit(o.seed, 'material', k, 'chance') >= o.materialChance) return 'ground';
+  return o.materials[Math.floor(unit(o.seed, 'material', k, 'kind') * o.materials.length)];
+}
+
+// Gaps whose slot lies between `from` and `to`.
+function placeGaps(o, from, to) {
+  const sw = o.segmentWidth;
+  return featureSlots(o, 'gap', o.gapSpacing, o.gapChance, from, to).map(({ x }) => {
+    const width = o.gapMinWidth + (o.gapMaxWidth - o.gapMinWidth) * progressAt(o, x);
+    const start = Math.round(x / sw) * sw;
+    return { start, end: start + Math.max(1, Math.round(width / sw)) * sw };
+  });
+}
+
+// Split the surface into runs of ground of one material, leaving out
+// segments that lie in a gap.
+function groundSegments(o, points, gaps) {
+  const segments = [];
+  let run = null;
+  for (let i = 0; i + 1 < points.length; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (gaps.some((g) => a.x >= g.start && b.x <= g.end)) {
+      run = null;
+      continue;
+    }
+    const material = materialAt(o, (a.x + b.x) / 2);
+    if (!run || run.material !== material) {
+      run = { material, points: [a] };
+      segments.push(run);
+    }
+    run.points.push(b);
+  }
+  return segments;
+}
+
+// Obstacles starting between `from` and `to`, kept clear of `gaps`.
+function placeObstacles(o, gaps, from, to) {
+  const obstacles = [];
+  for (const { k, x } of featureSlots(o, 'obstacle', o.obstacleSpacing, o.obstacleChance, from, to)) {
+    if (o.obstacleTypes.length === 0) break;
+    const type = o.obstacleTypes[Math.floor(unit(o.seed, 'obstacle', k, 'type') * o.obstacleTypes.length)];
+    const size = unit(o.seed, 'obstacle', k, 'size');
+    const p = progressAt(o, x);
+    let length;
+    let height;
+    switch (type) {
+      case 'box':
+        length = height = (0.3 + 0.4 * p) * (0.75 + 0.5 * size);
+        break;
+      case 'step':
+        length = 2 + 2 * size;
+        height = (0.15 + 0.25 * p) * (0.75 + 0.5 * size);
+        break;
+      default: // ramp
+        length = 2 + 2 * size;
+        height = (0.4 + 0.6 * p) * (0.75 + 0.5 * size);
+        break;
+    }
+    const x0 = x;
+    const x1 = x + length;
+    if (gaps.some((g) => x1 > g.start - OBSTACLE_CLEARANCE && x0 < g.end + OBSTACLE_CLEARANCE)) continue;
+
+    // Rest the obstacle on the highest ground under it and sink its foot
+    // below the lowest, so it never floats or leaves a slot under it.
+    const heights = [x0, x1];
+    for (let gx = Math.ceil(x0 / o.segmentWidth) * o.segmentWidth; gx < x1; gx += o.segmentWidth) {
+      heights.push(gx);
+    }
+    const ys = heights.map((hx) => surfaceHeight(o, hx));
+    const base = Math.min(...ys) - OBSTACLE_FOOTING;
+    const top = Math.max(...ys) + height;
+    const vertices = type === 'ramp'
+      ? [{ x: x0, y: base }, { x: x1, y: base }, { x: x1, y: top }, { x: x0, y: surfaceHeight(o, x0) }]
+      : [{ x: x0, y: base }, { x: x1, y: base }, { x: x1, y: top }, { x: x0, y: top }];
+    obstacles.push({ type, material: 'ground', vertices });
+  }
+  return obstacles;
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
@@ -1,98 +1,161 @@
 // world.js
 // Module responsible for constructing the physical simulation world and exposing
-// a simple stepping helper. This module uses Planck.js via the global
-// `planck` object that is loaded from the vendor bundle. A world is
-// comprised of gravity, a procedurally generated terrain, a simple car with
-// two wheels and powered joints.  When called, `createWorld` returns both
-// the world instance and a reference to the car body so that consumers can
-// follow it with a camera.
+// a simple stepping helper. Planck.js is resolved by planck.js: the global
+// `planck` object from the vendor bundle in the browser, the npm package
+// in Node. A world is comprised of gravity, a procedurally generated
+// terrain and a car built from a genome (see car.js). When called,
+// `createWorld` returns the world instance, a reference to the car body so
+// that consumers can follow it with a camera, and the full set of car
+// parts. `snapshotWorld` and `worldChecksum` capture the state after a
+// step, so runs can be checked for determinism (see regression.js).
 
-const pl = planck;
-const Vec2 = pl.Vec2;
+import { pl, Vec2 } from './planck.js';
+import { buildCar, carClearance } from './car.js';
+import { createDefaultGenome } from './genome.js';
+import { generateTerrain, terrainHeightAt } from './terrain.js';
+import { createGround } from './ground.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { NeuralController } from './controller.js';
+
+// Gap (meters) between the lowest point of a freshly spawned car and
+// the ground.
+const SPAWN_HEIGHT = 0.3;
+
+// Body fields `hashSnapshot` covers, in hashing order.
+const SNAPSHOT_NUMBERS = ['x', 'y', 'angle', 'vx', 'vy', 'spin'];
+// 32-bit FNV-1a parameters.
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// World -> TerrainStream of worlds on a streamed track, advanced by
+// `stepWorld`.
+const streams = new WeakMap();
+// World -> NeuralControllers of its brained cars, run by `stepWorld`.
+const controllers = new WeakMap();
 
 /**
  * Create a new Planck world populated with a terrain and a car.
  *
- * The terrain is procedurally generated as a chain of vertices defined by
- * multiple sine waves. It produces gentle rolling hills so that the car
- * always has something interesting to drive over. A powered car body with
- * two wheels is created and connected via revolute joints.
+ * The terrain is a procedurally generated track (see terrain.js) turned
+ * into chain shapes (one per material) and obstacle polygons by ground.js.
+ * A streamed track is generated around the car as it drives (see
+ * `stepWorld`). Pass the same track to every car of a generation so they
+ * all face identical ground. The car is built from `genome`; without
+ * one the reference box car with two wheels is used. If the genome has a
+ * brain, a `NeuralController` drives the car (see `stepWorld`).
  *
- * @returns {{ world: pl.World, car: pl.Body }} object containing the world
- *   and a reference to the car body. The caller owns the returned objects.
+ * @param {Object} [genome] Car genome (see genome.js). Invalid genomes are
+ *   repaired before the car is built.
+ * @param {Object} [opts]
+ * @param {Object} [opts.terrain] - Track from `generateTerrain`. Defaults
+ *   to the default track.
+ * @param {Object} [opts.physics] - Physics settings (gravity, motors,
+ *   friction; see `DEFAULT_CONFIG` in config.js). Missing ones use the
+ *   defaults.
+ * @param {boolean} [opts.brains=true] - Let brains drive their cars; off,
+ *   the motors are left to the caller (e.g. a manual driver).
+ * @returns {{ world: pl.World, car: pl.Body, vehicle: Object, terrain: Object }}
+ *   object containing the world, a reference to the car (chassis) body,
+ *   all car parts as returned by `buildCar` and the terrain (the track
+ *   data plus its ground `body`, or a `TerrainStream` for a streamed
+ *   track). The caller owns the returned objects.
  */
-export function createWorld() {
+export function createWorld(genome = createDefaultGenome(), opts = {}) {
+  const physics = { ...DEFAULT_CONFIG, ...opts.physics };
   // Create a new world with downward gravity.
-  const world = new pl.World(Vec2(0, -10));
+  const world = new pl.World(Vec2(0, -physics.gravity));
 
   // === Terrain ===
-  // Build a list of vertices for our ground shape. We combine several
-  // sine waves with different frequencies and amplitudes to give the
-  // impression of natural terrain. The x range spans from -50 to 150 so
-  // the car can drive forward for a while without running off the end.
-  const ground = world.createBody();
-  const points = [];
-  for (let i = -50; i <= 150; i += 1) {
-    const x = i;
-    // Combine two sine waves: a faster oscillation and a slower one.
-    const y = Math.sin(i * 0.20) * 0.5 + Math.sin(i * 0.05) * 0.2;
-    points.push(Vec2(x, y));
-  }
-  // Create a chain shape from our points. The chain is open (not a loop).
-  const chainShape = pl.Chain(points, false);
-  ground.createFixture(chainShape, { friction: 0.6 });
+  const terrain = addTerrain(world, opts.terrain ?? generateTerrain(), physics);
 
   // === Vehicle ===
-  // Car chassis body. Start it slightly above the ground to avoid
-  // immediate collisions.
-  const car = world.createBody({
-    type: 'dynamic',
-    position: Vec2(0, 1),
-  });
-  car.createFixture(pl.Box(1, 0.25), { density: 1, friction: 0.3 });
-
-  // Left wheel
-  const wheel1 = world.createBody({
-    type: 'dynamic',
-    position: Vec2(-0.8, 0.5),
-  });
-  wheel1.createFixture(pl.Circle(0.4), { density: 1, friction: 0.9 });
-
-  // Right wheel
-  const wheel2 = world.createBody({
-    type: 'dynamic',
-    position: Vec2(0.8, 0.5),
-  });
-  wheel2.createFixture(pl.Circle(0.4), { density: 1, friction: 0.9 });
-
-  // === Suspension and Drive ===
-  // Use revolute joints with motors enabled to drive the wheels. A
-  // constant motor speed will propel the car forward. Adjust motor speed
-  // and torque as desired for different behaviours.
-  const motorSpeed = -10.0;
-  const motorTorque = 20.0;
-  world.createJoint(pl.RevoluteJoint(
-    {
-      motorSpeed: motorSpeed,
-      maxMotorTorque: motorTorque,
-      enableMotor: true,
-    },
-    car,
-    wheel1,
-    wheel1.getPosition(),
-  ));
-  world.createJoint(pl.RevoluteJoint(
-    {
-      motorSpeed: motorSpeed,
-      maxMotorTorque: motorTorque,
-      enableMotor: true,
-    },
-    car,
-    wheel2,
-    wheel2.getPosition(),
+  // Build the car described by the genome and spawn it slightly above
+  // the ground at x=0 to avoid immediate collisions.
+  const vehicle = buildCar(world, genome, carOptions(physics, spawnPosition(terrain, genome)));
+  const car = vehicle.chassis;
+  if (opts.brains ?? true) addControllers(world, [vehicle]);
+
+  return { world, car, vehicle, terrain };
+}
+
+/**
+ * Create a Planck world with a whole generation of cars on one track.
+ *
+ * All cars spawn at the start line at the same time. They share one
+ * negative collision group (see `buildCar`), so they drive through each
+ * other while every one of them collides with the terrain.
+ *
+ * @param {Object[]} genomes Car genomes, one car per genome.
+ * @param {Object} [opts]
+ * @param {Object} [opts.terrain] - Track from `generateTerrain`. Defaults
+ *   to the default track.
+ * @param {Object} [opts.physics] - Physics settings, as for `createWorld`.
+ * @param {boolean} [opts.brains=true] - Let brains drive their cars.
+ * @returns {{ world: pl.World, vehicles: Object[], terrain: Object }}
+ *   object containing the world, one vehicle (see `buildCar`) per genome
+ *   in input order and the terrain. The caller owns the returned objects.
+ */
+export function createGenerationWorld(genomes, opts = {}) {
+  const physics = { ...DEFAULT_CONFIG, ...opts.physics };
+  const world = new pl.World(Vec2(0, -physics.gravity));
+  const terrain = addTerrain(world, opts.terrain ?? generateTerrain(), physics);
+  const vehicles = genomes.map((genome) => (
+    buildCar(world, genome, carOptions(physics, spawnPosition(terrain, genome)))
   ));
+  if (opts.brains ?? true) addControllers(world, vehicles);
+  return { world, vehicles, terrain };
+}
+
+/**
+ * Create the ground of a track and remember streamed ones for `stepWorld`.
+ * @param {pl.World} world
+ * @param {Object} track Track from `generateTerrain`.
+ * @param {Object} physics Complete physics settings.
+ * @returns {Object} the terrain (see `createGround` in ground.js).
+ */
+function addTerrain(world, track, physics) {
+  const terrain = createGround(world, track, { groundFriction: physics.groundFriction });
+  if (terrain.streaming) streams.set(world, terrain);
+  return terrain;
+}
+
+/**
+ * Give every vehicle whose genome has a brain a `NeuralController`, run
+ * by `stepWorld`.
+ * @param {pl.World} world
+ * @param {Object[]} vehicles Vehicles from `buildCar`.
+ */
+function addControllers(world, vehicles) {
+  const brained = vehicles.filter((vehicle) => vehicle.genome.brain);
+  if (brained.length === 0) return;
+  controllers.set(world, brained.map((vehicle) => new NeuralController(world, vehicle)));
+}
+
+/**
+ * `buildCar` options for the given physics settings.
+ * @param {Object} physics Complete physics settings.
+ * @param {pl.Vec2} position Chassis origin.
+ * @returns {Object}
+ */
+function carOptions(physics, position) {
+  return {
+    position,
+    motorSpeed: -physics.motorSpeed, // negative drives the car to +x
+    torqueScale: physics.torqueScale,
+    chassisFriction: physics.chassisFriction,
+    wheelFriction: physics.wheelFriction,
+  };
+}
 
-  return { world, car };
+/**
+ * Chassis origin that puts the car's lowest point `SPAWN_HEIGHT` above
+ * the ground at the start line (x=0).
+ * @param {Object} track Track from `generateTerrain`.
+ * @param {Object} genome Car genome.
+ * @returns {pl.Vec2} spawn position.
+ */
+function spawnPosition(track, genome) {
+  return Vec2(0, terrainHeightAt(track, 0) + carClearance(genome) + SPAWN_HEIGHT);
 }
 
 /**
@@ -100,11 +163,85 @@ export function createWorld() {
  *
  * This helper performs a simple world step with a fixed timestep. It is
  * separated from the creation logic to make the simulation loop easier
- * to read in the main entry file.
+ * to read in the main entry file. Cars with a brain set their motors
+ * before the step (see `NeuralController`). On a streamed track it also
+ * moves the generated ground along with the running cars (see `TerrainStream`).
  *
  * @param {pl.World} world The physics world to advance.
  * @param {number} dt The amount of time (in seconds) to step.
  */
 export function stepWorld(world, dt) {
+  for (const controller of controllers.get(world) ?? []) controller.update();
   world.step(dt);
-}
\ No newline at end of file
+  const stream = streams.get(world);
+  if (stream) stream.update();
+}
+
+/**
+ * Capture the physical state of every body in a world: position, angle
+ * and velocities, in the world's body order (which is the same for worlds
+ * built the same way). Worlds that simulate identically give identical
+ * snapshots, bit for bit.
+ *
+ * @param {pl.World} world
+ * @returns {{ bodies: Object[] }} one `{ role, x, y, angle, vx, vy, spin,
+ *   awake }` per body, where `role` comes from the body's user data
+ *   ('chassis', 'wheel', 'ground' or null).
+ */
+export function snapshotWorld(world) {
+  const bodies = [];
+  for (let b = world.getBodyList(); b; b = b.getNext()) {
+    const p = b.getPosition();
+    const v = b.getLinearVelocity();
+    bodies.push({
+      role: b.getUserData()?.role ?? null,
+      x: p.x,
+      y: p.y,
+      angle: b.getAngle(),
+      vx: v.x,
+      vy: v.y,
+      spin: b.getAngularVelocity(),
+      awake: b.isAwake(),
+    });
+  }
+  return { bodies };
+}
+
+/**
+ * Stable hash of a snapshot: 32-bit FNV-1a over the exact bits of every
+ * number (as little-endian float64) and every role, as 8 hex digits. Any
+ * difference in any body, however small, changes it.
+ *
+ * @param {{ bodies: Object[] }} snapshot Snapshot from `snapshotWorld`.
+ * @returns {string} the checksum.
+ */
+export function hashSnapshot(snapshot) {
+  const view = new DataView(new ArrayBuffer(8));
+  let hash = FNV_OFFSET;
+  const add = (byte) => {
+    hash = Math.imul(hash ^ byte, FNV_PRIME);
+  };
+  const addNumber = (n) => {
+    view.setFloat64(0, n, true);
+    for (let i = 0; i < 8; i++) add(view.getUint8(i));
+  };
+  addNumber(snapshot.bodies.length);
+  for (const body of snapshot.bodies) {
+    for (const ch of body.role ?? '') add(ch.charCodeAt(0) & 0xff);
+    add(0);
+    for (const key of SNAPSHOT_NUMBERS) addNumber(body[key]);
+    add(body.awake ? 1 : 0);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Checksum of a world's current state, i.e. `hashSnapshot(snapshotWorld(world))`.
+ * Take one after every `stepWorld` (or at checkpoints) and compare runs
+ * to check that they are deterministic.
+ * @param {pl.World} world
+ * @returns {string} the checksum.
+ */
+export function worldChecksum(world) {
+  return hashSnapshot(snapshotWorld(world));
+}
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ConfigError, DEFAULT_CONFIG, changedSettings, configFromQuery, configToQuery, evaluationOptions,
+  needsRebuild, normalizeConfig,
+} from '../js/config.js';
+
+test('normalizeConfig fills in defaults and freezes the result', () => {
+  const config = normalizeConfig({ gravity: 4 });
+  assert.equal(config.gravity, 4);
+  assert.equal(config.wheelFriction, DEFAULT_CONFIG.wheelFriction);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('normalizeConfig rejects unknown, broken and out-of-range settings', () => {
+  const cases = [
+    [{ speed: 1 }, 'speed: unknown setting'],
+    [{ gravity: '4' }, 'gravity: must be a finite number'],
+    [{ gravity: Infinity }, 'gravity: must be a finite number'],
+    [{ gravity: 100 }, /^gravity: must be between 0\.5 and 50/],
+    [{ minZoom: 5, maxZoom: 1 }, 'minZoom: must not exceed maxZoom (1)'],
+  ];
+  for (const [input, message] of cases) {
+    const matches = (text) => (message instanceof RegExp ? message.test(text) : text === message);
+    assert.throws(() => normalizeConfig(input), (err) => err instanceof ConfigError && matches(err.message));
+  }
+});
+
+test('configFromQuery keeps the valid settings and reports the others', () => {
+  const { config, errors } = configFromQuery('?gravity=4&wheelFriction=oops&timeStep=&other=1');
+  assert.equal(config.gravity, 4);
+  assert.equal(config.wheelFriction, DEFAULT_CONFIG.wheelFriction);
+  assert.equal(config.timeStep, DEFAULT_CONFIG.timeStep);
+  assert.deepEqual(errors.map((err) => err.key).sort(), ['timeStep', 'wheelFriction']);
+
+  // Zoom limits that are valid alone but not together are both dropped.
+  const zoom = configFromQuery('minZoom=5&maxZoom=1');
+  assert.equal(zoom.config.minZoom, DEFAULT_CONFIG.minZoom);
+  assert.equal(zoom.config.maxZoom, DEFAULT_CONFIG.maxZoom);
+  assert.equal(zoom.errors.length, 1);
+});
+
+test('configToQuery writes only changed settings and keeps other parameters', () => {
+  assert.equal(configToQuery(DEFAULT_CONFIG), '');
+  const config = normalizeConfig({ gravity: 4, fuel: 5000 });
+  const query = configToQuery(config, '?seed=7&wheelFriction=2');
+  assert.equal(query, '?seed=7&gravity=4&fuel=5000');
+  assert.deepEqual(configFromQuery(query), { config, errors: [] });
+});
+
+test('changed settings tell whether the world must be rebuilt', () => {
+  const camera = normalizeConfig({ cameraDamping: 0.5 });
+  const physics = normalizeConfig({ gravity: 4 });
+  assert.deepEqual(changedSettings(DEFAULT_CONFIG, camera), ['cameraDamping']);
+  assert.equal(needsRebuild(DEFAULT_CONFIG, camera), false);
+  assert.equal(needsRebuild(DEFAULT_CONFIG, physics), true);
+});
+
+test('evaluationOptions turns a zero fuel budget into none', () => {
+  assert.deepEqual(evaluationOptions(DEFAULT_CONFIG), { fuel: null });
+  assert.deepEqual(evaluationOptions(normalizeConfig({ fuel: 300 })), { fuel: 300 });
+});
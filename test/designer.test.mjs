@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CarDesigner } from '../js/designer.js';
+import { Evolution } from '../js/evolution.js';
+import { GENOME_LIMITS, createDefaultGenome, randomGenome } from '../js/genome.js';
+import { createRng } from '../js/random.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('a loaded car comes back out as the same genome', () => {
+  const rng = createRng('designer');
+  for (const genome of [createDefaultGenome(), randomGenome(rng), randomGenome(rng, { brain: true })]) {
+    const out = new CarDesigner({ genome }).genome;
+    assert.deepEqual(out.wheels.map((w) => w.vertex), genome.wheels.map((w) => w.vertex));
+    genome.chassis.vertices.forEach((v, i) => {
+      close(out.chassis.vertices[i].angle, v.angle);
+      close(out.chassis.vertices[i].radius, v.radius);
+    });
+    assert.deepEqual(out.brain, genome.brain);
+  }
+});
+
+test('massProperties adds up the chassis and the wheels', () => {
+  const designer = new CarDesigner();
+  const { mass, center } = designer.massProperties();
+  // A 2 x 0.5 m box of density 1 and two 0.4 m wheels on its bottom corners.
+  const wheel = Math.PI * 0.4 ** 2;
+  close(mass, 1 + 2 * wheel);
+  close(center.x, 0);
+  close(center.y, (-0.25 * 2 * wheel) / mass);
+});
+
+test('inserted vertices keep the chassis convex', () => {
+  const rng = createRng('insert');
+  for (let i = 0; i < 20; i++) {
+    const designer = new CarDesigner({ genome: randomGenome(rng) });
+    // Only edges long enough to split: shorter ones are reported instead.
+    const n = designer.points.length;
+    const edge = designer.points.findIndex((a, k) => {
+      const b = designer.points[(k + 1) % n];
+      return Math.hypot(b.x - a.x, b.y - a.y) > 0.5;
+    });
+    if (n >= GENOME_LIMITS.vertexCount.max || edge < 0) continue;
+    const wheels = designer.wheels.map((w) => designer.points[w.vertex]);
+    const index = designer.insertVertex(edge);
+    assert.equal(index, edge + 1);
+    assert.ok(!designer.problems.includes('chassis polygon must be convex'), designer.problems.join('; '));
+    // Wheels stay on their points.
+    assert.deepEqual(designer.wheels.map((w) => designer.points[w.vertex]), wheels);
+  }
+});
+
+test('vertex and wheel counts stay within the genome limits', () => {
+  const designer = new CarDesigner();
+  while (designer.points.length < GENOME_LIMITS.vertexCount.max) designer.insertVertex(0);
+  assert.equal(designer.insertVertex(0), null);
+  for (let v = 0; v < designer.points.length; v++) if (!designer.wheelAt(v)) designer.toggleWheel(v);
+  assert.equal(designer.wheels.length, GENOME_LIMITS.wheelCount.max);
+  const bare = designer.points.findIndex((_, v) => !designer.wheelAt(v));
+  assert.equal(designer.toggleWheel(bare), false);
+
+  while (designer.points.length > GENOME_LIMITS.vertexCount.min) designer.removeVertex(0);
+  assert.equal(designer.removeVertex(0), false);
+  assert.ok(designer.wheels.every((w) => w.vertex < designer.points.length));
+});
+
+test('dragging keeps vertices and wheels within the genome limits', () => {
+  const designer = new CarDesigner();
+  const corner = designer.points[0];
+  assert.equal(designer.press(corner, 0.05), true);
+  assert.equal(designer.selected, 0);
+  designer.drag({ x: 10, y: 5 });
+  designer.release();
+  close(Math.hypot(designer.points[0].x, designer.points[0].y), GENOME_LIMITS.vertexRadius.max);
+  assert.equal(designer.press({ x: 40, y: 40 }, 0.05), false);
+
+  designer.setWheelRadius(2, 50);
+  assert.equal(designer.wheelAt(2).radius, GENOME_LIMITS.wheelRadius.max);
+  designer.setDensity(-1);
+  assert.equal(designer.density, GENOME_LIMITS.density.min);
+});
+
+test('injecting designs records only the genomes that fit beside the elites', () => {
+  const evolution = new Evolution({ seed: 'inject', populationSize: 5, eliteCount: 2 });
+  const elites = evolution.ids.slice(0, 2);
+  const nextId = evolution.lineage.nextId;
+  const design = new CarDesigner().genome;
+  assert.equal(evolution.inject([design, design], 3), 3);
+  assert.deepEqual(evolution.ids.slice(0, 2), elites);
+  assert.equal(evolution.lineage.nextId, nextId + 3);
+  const ops = evolution.ids.slice(2).map((id) => evolution.lineage.get(id).op);
+  assert.deepEqual(ops, ['design', 'clone', 'clone']);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  GENOME_LIMITS, createDefaultGenome, createDefaultSuspension, randomGenome, repairGenome,
+  validateGenome,
+} from '../js/genome.js';
+import { createRng } from '../js/random.js';
+
+test('the default genome and random genomes are valid', () => {
+  assert.deepEqual(validateGenome(createDefaultGenome()), []);
+  const rng = createRng(5);
+  for (let i = 0; i < 50; i++) {
+    assert.deepEqual(validateGenome(randomGenome(rng)), []);
+    assert.deepEqual(validateGenome(randomGenome(rng, { brain: true })), []);
+  }
+});
+
+test('validateGenome reports what is wrong', () => {
+  assert.deepEqual(validateGenome(null), ['genome must be an object']);
+  const genome = createDefaultGenome();
+  genome.motorTorque = GENOME_LIMITS.motorTorque.max + 1;
+  genome.wheels[1].vertex = genome.wheels[0].vertex;
+  assert.deepEqual(validateGenome(genome), [
+    'wheels[1] shares vertex 2 with another wheel',
+    'motorTorque out of range',
+  ]);
+  genome.chassis.vertices.length = 2;
+  assert.ok(validateGenome(genome).includes('chassis must have 3-8 vertices, got 2'));
+});
+
+test('validateGenome rejects a concave chassis', () => {
+  const genome = createDefaultGenome();
+  genome.chassis.vertices.splice(1, 0, { angle: Math.PI / 2, radius: 0.2 });
+  genome.wheels.forEach((wheel) => { wheel.vertex += 1; });
+  assert.ok(validateGenome(genome).includes('chassis polygon must be convex'));
+});
+
+test('repairGenome returns an equal copy of a valid genome', () => {
+  const genome = createDefaultGenome();
+  genome.wheels[0].suspension = createDefaultSuspension();
+  const repaired = repairGenome(genome);
+  assert.deepEqual(repaired, genome);
+  assert.notEqual(repaired, genome);
+});
+
+test('repairGenome turns anything into a valid genome without modifying it', () => {
+  const broken = [
+    undefined,
+    {},
+    { chassis: { vertices: [{ angle: 1, radius: 9 }] }, wheels: 'none', motorTorque: -1 },
+    {
+      chassis: {
+        vertices: [0, 1, 2, 3].map((i) => ({ angle: -i, radius: 0.2 + 0.5 * (i % 2) })),
+        density: 99,
+      },
+      wheels: [{ vertex: 3, radius: 0 }, { vertex: 3, radius: 2 }, { vertex: 7, radius: 0.5 }],
+      motorTorque: NaN,
+      brain: { weights: [1, 2, 3] },
+    },
+  ];
+  for (const genome of broken) {
+    const copy = structuredClone(genome);
+    assert.deepEqual(validateGenome(repairGenome(genome)), []);
+    assert.deepEqual(genome, copy);
+  }
+});
+
+test('repairGenome keeps wheels on their vertices when sorting them', () => {
+  const genome = createDefaultGenome();
+  genome.chassis.vertices.reverse();
+  // Wheels 2 and 3 were on the bottom corners, now at indices 1 and 0.
+  genome.wheels = [{ vertex: 1, radius: 0.4, density: 1 }, { vertex: 0, radius: 0.3, density: 1 }];
+  const repaired = repairGenome(genome);
+  assert.deepEqual(repaired.wheels.map((w) => [w.vertex, w.radius]), [[2, 0.4], [3, 0.3]]);
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { IslandEvolution, restoreEvolution } from '../js/islands.js';
+
+const options = { seed: 'islands', populationSize: 4, eliteCount: 2, islands: 2, migrationInterval: 1 };
+
+test('migrants replace children and leave the elites in place', () => {
+  const run = new IslandEvolution({ ...options, migrationCount: 2 });
+  const [first, second] = run.islands.map((island) => [...island.ids]);
+  run.evolve([4, 3, 2, 1, 4, 3, 2, 1]);
+  assert.deepEqual(run.islands[0].ids.slice(0, 2), first.slice(0, 2));
+  assert.deepEqual(run.islands[1].ids.slice(0, 2), second.slice(0, 2));
+  for (const island of run.islands) {
+    const ops = island.ids.slice(2).map((id) => run.lineage.get(id).op);
+    assert.deepEqual(ops, ['migrant', 'migrant']);
+  }
+});
+
+test('more migrants than children is rejected', () => {
+  assert.throws(() => new IslandEvolution({ ...options, migrationCount: 3 }), /migrationCount/);
+});
+
+test('a restored run breeds like the original', () => {
+  const run = new IslandEvolution({ ...options, migrationCount: 1 });
+  const scores = (r) => r.population.map((genome) => genome.motorTorque);
+  run.evolve(scores(run));
+  const restored = restoreEvolution(JSON.parse(JSON.stringify(run.snapshot())));
+  assert.deepEqual(restored.ids, run.ids);
+  run.evolve(scores(run));
+  restored.evolve(scores(restored));
+  assert.deepEqual(restored.population, run.population);
+  assert.deepEqual(restored.ids, run.ids);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LINEAGE_COLUMNS, Lineage, generationStats, statsToCSV } from '../js/lineage.js';
+import { Evolution } from '../js/evolution.js';
+import { createDefaultGenome } from '../js/genome.js';
+
+// A family of three generations: 1 and 2 are seeds, 3 their child, 4 a
+// clone of 3, and 5 a child of 3 and 4.
+function family(opts) {
+  const lineage = new Lineage(opts);
+  lineage.add({ generation: 0, op: 'seed' });
+  lineage.add({ generation: 0, op: 'seed' });
+  lineage.add({ generation: 1, op: 'crossover', parents: [1, 2], mutations: ['motorTorque'] });
+  lineage.add({ generation: 2, op: 'clone', parents: [3] });
+  lineage.add({ generation: 3, op: 'crossover', parents: [3, 4] });
+  return lineage;
+}
+
+test('add gives ids in order and records the birth', () => {
+  const lineage = family();
+  assert.deepEqual([...lineage.records.keys()], [1, 2, 3, 4, 5]);
+  assert.deepEqual(lineage.get(3), {
+    id: 3, generation: 1, op: 'crossover', parents: [1, 2], mutations: ['motorTorque'], fitness: null,
+  });
+  lineage.setFitness(3, 12.5);
+  lineage.setFitness(4, NaN);
+  assert.equal(lineage.get(3).fitness, 12.5);
+  assert.equal(lineage.get(4).fitness, null);
+});
+
+test('ancestorIds follows parents up to a depth', () => {
+  const lineage = family();
+  assert.deepEqual([...lineage.ancestorIds([5])].sort(), [1, 2, 3, 4, 5]);
+  assert.deepEqual([...lineage.ancestorIds([5], 1)].sort(), [3, 4, 5]);
+  assert.deepEqual([...lineage.ancestorIds([5], 0)], [5]);
+});
+
+test('ancestry expands each ancestor once and marks cut-off nodes', () => {
+  const [three, four] = family().ancestry(5, 2).parents;
+  assert.deepEqual(three.parents.map((p) => p.id), [1, 2]);
+  assert.equal(three.truncated, false);
+  // 3 is reached again through 4.
+  assert.deepEqual(four.parents.map((p) => [p.id, p.repeated]), [[3, true]]);
+  const shallow = family().ancestry(5, 1).parents[0];
+  assert.deepEqual([shallow.id, shallow.parents, shallow.truncated], [3, [], true]);
+  assert.equal(family().ancestry(99), null);
+});
+
+test('prune keeps the given genomes and their recent ancestry', () => {
+  const lineage = family({ depth: 1 });
+  lineage.prune([5]);
+  assert.deepEqual([...lineage.records.keys()], [3, 4, 5]);
+  assert.equal(lineage.ancestry(5).parents[0].truncated, true);
+
+  const everything = family({ depth: Infinity });
+  everything.prune([4]);
+  assert.equal(everything.records.size, 5);
+});
+
+test('toJSON and fromJSON round-trip, trimmed for saves', () => {
+  const lineage = family({ depth: 1, savedGenerations: 2 });
+  for (let g = 0; g < 4; g++) lineage.addGeneration(generationStats(g, [createDefaultGenome()], [g]));
+  const full = Lineage.fromJSON(JSON.parse(JSON.stringify(lineage.toJSON())));
+  assert.deepEqual(full.toJSON(), lineage.toJSON());
+  assert.equal(full.nextId, 6);
+
+  const saved = lineage.toJSON([5]);
+  assert.deepEqual(saved.records.map((r) => r.id), [3, 4, 5]);
+  assert.deepEqual(saved.generations.map((s) => s.generation), [2, 3]);
+});
+
+test('toCSV writes one row per record', () => {
+  const lines = family().toCSV().trim().split('\n');
+  assert.equal(lines[0], LINEAGE_COLUMNS.join(','));
+  assert.equal(lines.length, 6);
+  assert.ok(lines[5].startsWith('5,3,crossover,3 4,'));
+});
+
+test('generationStats summarizes fitness and skips broken values', () => {
+  const a = createDefaultGenome();
+  const b = createDefaultGenome();
+  b.wheels.pop();
+  const stats = generationStats(7, [a, b, a], [1, NaN, 4]);
+  assert.equal(stats.generation, 7);
+  assert.equal(stats.size, 3);
+  assert.deepEqual([stats.best, stats.mean, stats.median, stats.worst], [4, 2.5, 2.5, 1]);
+  assert.deepEqual(stats.wheelCounts, { 1: 1, 2: 2, 3: 0, 4: 0 });
+  assert.ok(stats.diversity > 0);
+  assert.equal(statsToCSV([stats]).trim().split('\n').length, 2);
+});
+
+test('a long run keeps a bounded lineage', () => {
+  const evolution = new Evolution({ seed: 'lineage', populationSize: 10 });
+  const sizes = [];
+  for (let g = 0; g < 40; g++) {
+    evolution.evolve(evolution.population.map((_, i) => (g * 7 + i * 13) % 10));
+    sizes.push(evolution.lineage.records.size);
+  }
+  const { depth } = evolution.lineage.options;
+  assert.ok(Math.max(...sizes) <= 10 * (depth + 2), `${Math.max(...sizes)} records`);
+  for (const id of evolution.ids) assert.ok(evolution.lineage.get(id));
+});
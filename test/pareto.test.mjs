@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  crowdingDistances, nonDominatedSort, paretoRanking, paretoScores, rankGroups, selectionScores,
+} from '../js/pareto.js';
+
+const car = (distance, energy, mass) => ({ distance, energy, mass, fitness: distance });
+
+test('nonDominatedSort splits points into fronts', () => {
+  const points = [
+    car(10, 100, 50),  // front 0
+    car(5, 50, 50),    // front 0: cheaper
+    car(5, 100, 50),   // beaten by both above
+    car(4, 200, 60),   // beaten by all above
+    car(20, 500, 90),  // front 0: farthest
+  ];
+  assert.deepEqual(nonDominatedSort(points), [[0, 1, 4], [2], [3]]);
+});
+
+test('broken points and cars that never moved form the last front', () => {
+  const points = [car(10, 100, 50), car(NaN, 10, 10), car(0, 0, 40), car(3, 200, 60)];
+  assert.deepEqual(nonDominatedSort(points), [[0], [3], [1, 2]]);
+  const scores = paretoScores(points);
+  assert.ok(scores[0] > scores[3] && scores[3] > scores[2]);
+  assert.equal(scores[1], scores[2]);
+});
+
+test('crowding distance keeps the extremes and prefers sparse regions', () => {
+  const points = [car(1, 10, 50), car(2, 20, 50), car(2.2, 22, 50), car(5, 50, 50)];
+  const distances = crowdingDistances(points, [0, 1, 2, 3]);
+  assert.equal(distances[0], Infinity);
+  assert.equal(distances[3], Infinity);
+  assert.ok(distances[2] > distances[1]);
+});
+
+test('paretoScores order like the crowded comparison', () => {
+  const points = [car(1, 10, 50), car(2, 20, 50), car(2.2, 22, 50), car(5, 50, 50), car(1, 30, 50)];
+  const ranking = paretoRanking(points);
+  const scores = paretoScores(points);
+  assert.deepEqual(ranking.map((r) => r.rank), [0, 0, 0, 0, 1]);
+  assert.equal(scores[0], 0.5);
+  assert.ok(scores[2] > scores[1] && scores[1] > scores[4]);
+  assert.ok(scores[4] < 0);
+});
+
+test('groups are ranked on their own', () => {
+  // The second group's cars are all beaten by the first group's best.
+  const points = [car(10, 10, 10), car(5, 20, 10), car(4, 30, 20), car(2, 40, 20)];
+  assert.deepEqual(paretoRanking(points).map((r) => r.rank), [0, 1, 2, 3]);
+  const ranks = rankGroups(points, [2, 2], (group) => paretoRanking(group)).map((r) => r.rank);
+  assert.deepEqual(ranks, [0, 1, 0, 1]);
+  assert.deepEqual(selectionScores(points, 'pareto', [2, 2]), [0.5, -0.5, 0.5, -0.5]);
+  assert.throws(() => rankGroups(points, [2, 1], paretoRanking), /do not cover/);
+});
+
+test('selectionScores uses fitness for the distance objective', () => {
+  const points = [car(3, 10, 10), car(7, 1, 1)];
+  assert.deepEqual(selectionScores(points), [3, 7]);
+  assert.throws(() => selectionScores(points, 'speed'), /Unknown objective/);
+});
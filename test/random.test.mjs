@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRng, gaussian, hashSeed, randomInt, randomRange } from '../js/random.js';
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng());
+
+test('the same seed replays the same sequence', () => {
+  assert.deepEqual(draw(createRng(42), 20), draw(createRng(42), 20));
+  assert.deepEqual(draw(createRng('track'), 20), draw(createRng('track'), 20));
+  assert.notDeepEqual(draw(createRng(42), 20), draw(createRng(43), 20));
+});
+
+test('draws are floats in [0, 1)', () => {
+  for (const value of draw(createRng(7), 1000)) {
+    assert.ok(value >= 0 && value < 1, `${value} out of range`);
+  }
+});
+
+test('getState and setState resume a sequence mid-stream', () => {
+  const rng = createRng(9);
+  draw(rng, 5);
+  const state = rng.getState();
+  const expected = draw(rng, 10);
+  const resumed = createRng(0);
+  resumed.setState(state);
+  assert.deepEqual(draw(resumed, 10), expected);
+});
+
+test('hashSeed is an unsigned 32-bit hash of all its parts', () => {
+  const h = hashSeed(1, 'terrain', 3);
+  assert.ok(Number.isInteger(h) && h >= 0 && h < 2 ** 32);
+  assert.equal(hashSeed(1, 'terrain', 3), h);
+  assert.notEqual(hashSeed(1, 'terrain', 4), h);
+  // Parts are separated, so they cannot run into each other.
+  assert.notEqual(hashSeed('ab', 'c'), hashSeed('a', 'bc'));
+});
+
+test('randomRange and randomInt stay within their bounds', () => {
+  const rng = createRng(3);
+  const ints = new Set();
+  for (let i = 0; i < 500; i++) {
+    const x = randomRange(rng, -2, 5);
+    assert.ok(x >= -2 && x < 5);
+    ints.add(randomInt(rng, 1, 4));
+  }
+  assert.deepEqual([...ints].sort(), [1, 2, 3, 4]);
+});
+
+test('gaussian has mean 0 and standard deviation 1', () => {
+  const rng = createRng(11);
+  const values = Array.from({ length: 5000 }, () => gaussian(rng));
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  assert.ok(values.every(Number.isFinite));
+  assert.ok(Math.abs(mean) < 0.05, `mean ${mean}`);
+  assert.ok(Math.abs(Math.sqrt(variance) - 1) < 0.05, `deviation ${Math.sqrt(variance)}`);
+});
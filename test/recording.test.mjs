@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDefaultGenome } from '../js/genome.js';
+import { Recorder } from '../js/recording.js';
+import { SaveFormatError, createRecordingSave, parseSave } from '../js/storage.js';
+import { createGenerationWorld, stepWorld } from '../js/world.js';
+
+// A short recording of two cars, as saved.
+function savedRecording() {
+  const simulation = createGenerationWorld([createDefaultGenome(), createDefaultGenome()], {});
+  const recorder = new Recorder(simulation.world, { vehicles: simulation.vehicles });
+  for (let i = 0; i < 30; i++) {
+    stepWorld(simulation.world, 1 / 60);
+    recorder.capture();
+  }
+  return JSON.parse(JSON.stringify(createRecordingSave(recorder.toRecording())));
+}
+
+test('a saved recording parses back', () => {
+  const save = savedRecording();
+  assert.deepEqual(parseSave(JSON.stringify(save)), save);
+});
+
+const chassisOf = (recording) => recording.bodies.find((b) => b.role === 'chassis');
+
+test('malformed recordings are rejected with the field at fault', () => {
+  const cases = [
+    [(r) => { chassisOf(r).fixtures[0].vertices = 5; }, /fixtures\[0\]\.vertices/],
+    [(r) => { chassisOf(r).fixtures[0] = { type: 'polygon' }; }, /fixtures\[0\]\.vertices/],
+    [(r) => { r.bodies.find((b) => b.role === 'wheel').fixtures[0].radius = -1; }, /\.radius/],
+    [(r) => { r.bodies[0].fixtures.push({ type: 'blob' }); }, /bodies\[0\]\.fixtures\[\d+\]/],
+    [(r) => { r.bodies[0].role = 'ghost'; }, /bodies\[0\]\.role/],
+    [(r) => { r.bodies[0].vehicle = 'first'; }, /bodies\[0\]\.vehicle/],
+    [(r) => { r.eliminations.push({ frame: r.frameCount, vehicle: 0 }); }, /eliminations\[\d+\]/],
+    [(r) => { r.damage = [{ frame: 0, vehicle: 0 }]; }, /damage\[0\]/],
+  ];
+  for (const [edit, field] of cases) {
+    const save = savedRecording();
+    edit(save.recording);
+    const rejected = (err) => err instanceof SaveFormatError && field.test(err.message);
+    assert.throws(() => parseSave(JSON.stringify(save)), rejected);
+  }
+});
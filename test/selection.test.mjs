@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_SELECTION_OPTIONS, SELECTION_STRATEGIES, checkSelectionOptions } from '../js/selection.js';
+import { createRng } from '../js/random.js';
+
+// Genomes are stand-ins: their rank, best first.
+const rankedOf = (fitnesses) => fitnesses.map((fitness, i) => ({ genome: i, fitness }));
+
+// How often each rank is picked in `draws` selections.
+function picks(selection, ranked, overrides = {}, draws = 4000) {
+  const o = { ...DEFAULT_SELECTION_OPTIONS, selection, ...overrides };
+  const rng = createRng(`selection-${selection}`);
+  const counts = new Array(ranked.length).fill(0);
+  for (let i = 0; i < draws; i++) counts[SELECTION_STRATEGIES[selection](ranked, rng, o)] += 1;
+  return counts;
+}
+
+test('every strategy picks the same genomes for the same seed', () => {
+  const ranked = rankedOf([9, 7, 4, 2, 1]);
+  for (const name of Object.keys(SELECTION_STRATEGIES)) {
+    assert.deepEqual(picks(name, ranked, {}, 50), picks(name, ranked, {}, 50), name);
+  }
+});
+
+test('tournament favours better ranks more as it grows', () => {
+  const ranked = rankedOf([5, 4, 3, 2, 1]);
+  const small = picks('tournament', ranked, { tournamentSize: 1 });
+  const large = picks('tournament', ranked, { tournamentSize: 5 });
+  assert.ok(small.every((count) => Math.abs(count - 800) < 120), `${small}`);
+  assert.ok(large[0] > small[0] && large[4] < small[4]);
+});
+
+test('roulette picks in proportion to fitness above the worst', () => {
+  const counts = picks('roulette', rankedOf([3, 1, 0, -Infinity]));
+  assert.equal(counts[2], 0);
+  assert.equal(counts[3], 0);
+  assert.ok(Math.abs(counts[0] / counts[1] - 3) < 0.5, `${counts}`);
+  // Equal scores give every genome the same chance.
+  assert.ok(picks('roulette', rankedOf([2, 2, 2, 2])).every((count) => count > 800));
+});
+
+test('rank pressure sets how much the best genome is favoured', () => {
+  const ranked = rankedOf([10, 9, 8, 7, 6]);
+  const flat = picks('rank', ranked, { rankPressure: 1 });
+  const steep = picks('rank', ranked, { rankPressure: 2 });
+  assert.ok(flat.every((count) => Math.abs(count - 800) < 120), `${flat}`);
+  assert.equal(steep[4], 0);
+  assert.ok(Math.abs(steep[0] / 4000 - 0.4) < 0.04, `${steep}`);
+});
+
+test('truncation only breeds from the top of the ranking', () => {
+  const counts = picks('truncation', rankedOf([6, 5, 4, 3, 2, 1]), { truncation: 0.5 });
+  assert.deepEqual(counts.slice(3), [0, 0, 0]);
+  assert.ok(counts.slice(0, 3).every((count) => count > 1100));
+});
+
+test('checkSelectionOptions rejects invalid options', () => {
+  assert.doesNotThrow(() => checkSelectionOptions(DEFAULT_SELECTION_OPTIONS));
+  const bad = [
+    { selection: 'lottery' },
+    { tournamentSize: 0 },
+    { rankPressure: 2.5 },
+    { truncation: 0 },
+  ];
+  for (const override of bad) {
+    assert.throws(() => checkSelectionOptions({ ...DEFAULT_SELECTION_OPTIONS, ...override }), Error);
+  }
+});